@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { dataFile, statKey, loadEntries, saveEntries } = require("./dataStore");
+
+// Per-library cache of file analysis (hashes, duration, sample rate, BPM, key,
+// tags, loop / one-shot) in <destDir>/.samplesort/analysis-cache.json. Entries
+// are keyed by absolute path and only trusted while the file's size and mtime
+// are unchanged, so a re-run on an untouched library skips hashing, metadata
+// reads and decoding.
+
+const CACHE_FILE = "analysis-cache.json";
+const CACHE_VERSION = 1;
+const SAVE_DELAY_MS = 2000;
+
+function cacheFile(rootDir) {
+  return dataFile(rootDir, CACHE_FILE);
+}
+
+function openCache(rootDir) {
+  const file = cacheFile(rootDir);
+  let entries = loadEntries(file, CACHE_VERSION);
+  let dirty = false;
+  let timer = null;
+
+  function save() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!dirty) return;
+    saveEntries(file, CACHE_VERSION, entries);
+    dirty = false;
+  }
+
+  function touch() {
+    dirty = true;
+    if (timer) return;
+    timer = setTimeout(() => {
+      try { save(); } catch { /* next save retries */ }
+    }, SAVE_DELAY_MS);
+    timer.unref();
+  }
+
+  return {
+    file,
+    get size() { return entries.size; },
+
+    // Cached fields for a file, or null when unknown or changed since
+    lookup(filePath) {
+      const key = path.resolve(filePath);
+      const e = entries.get(key);
+      if (!e) return null;
+      const st = statKey(key);
+      if (st && st.size === e.size && st.mtimeMs === e.mtimeMs) return e;
+      entries.delete(key);
+      touch();
+      return null;
+    },
+
+    // Merge fields into a file's entry; hashes merge per algorithm
+    update(filePath, fields) {
+      const key = path.resolve(filePath);
+      const st = statKey(key);
+      if (!st) return;
+      const prev = entries.get(key);
+      const base = prev && prev.size === st.size && prev.mtimeMs === st.mtimeMs ? prev : st;
+      const next = { ...base, ...fields };
+      if (fields.hashes) next.hashes = { ...base.hashes, ...fields.hashes };
+      entries.set(key, next);
+      touch();
+    },
+
+    // A file was transferred: the copy/link/moved file has the same analysis
+    carry(src, dest, { moved = false } = {}) {
+      const from = path.resolve(src);
+      const e = entries.get(from);
+      if (!e) return;
+      const { size, mtimeMs, ...fields } = e;
+      if (moved) entries.delete(from);
+      const st = statKey(dest);
+      if (st && st.size === size) entries.set(path.resolve(dest), { ...st, ...fields });
+      touch();
+    },
+
+    clear() {
+      entries = new Map();
+      dirty = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      fs.rmSync(file, { force: true });
+    },
+
+    save,
+  };
+}
+
+// -------------------- Shared instances --------------------
+// One cache per library, shared by the organizer, the BPM/Key passes and IPC.
+
+const open = new Map();
+
+function cacheFor(rootDir) {
+  if (!rootDir) return null;
+  const key = path.resolve(rootDir);
+  if (!open.has(key)) open.set(key, openCache(key));
+  return open.get(key);
+}
+
+// The cache for a run, or null when config.useAnalysisCache is off
+function runCache(config, rootDir = config?.destDir) {
+  return config?.useAnalysisCache === false ? null : cacheFor(rootDir);
+}
+
+function clearCache(rootDir) {
+  const cache = cacheFor(rootDir);
+  if (cache) cache.clear();
+}
+
+function saveAll() {
+  for (const cache of open.values()) {
+    try { cache.save(); } catch { /* best effort */ }
+  }
+}
+
+// Pending writes (e.g. the CLI finishing before the save timer fires)
+process.on("exit", saveAll);
+
+module.exports = {
+  CACHE_FILE,
+  cacheFor,
+  runCache,
+  clearCache,
+  saveAll,
+};
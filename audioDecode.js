@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+
+// Node-side PCM decoder for WAV and AIFF/AIFC.
+// The renderer decodes with WebAudio; this covers headless runs (CLI, workers)
+// and returns an AudioBuffer-like object so the same analysis code applies.
+
+const DECODABLE_EXTS = new Set(["wav", "wave", "aif", "aiff", "aifc"]);
+
+function canDecode(filePath) {
+  return DECODABLE_EXTS.has(path.extname(filePath).slice(1).toLowerCase());
+}
+
+// --- Container parsing ------------------------------------------------
+
+// List top-level chunks of a RIFF/WAVE or FORM/AIFF file
+function readChunks(buf) {
+  if (buf.length < 12) return null;
+  const magic = buf.toString("ascii", 0, 4);
+  const kind = buf.toString("ascii", 8, 12);
+
+  let container, le;
+  if ((magic === "RIFF" || magic === "RF64") && kind === "WAVE") { container = "wav"; le = true; }
+  else if (magic === "FORM" && (kind === "AIFF" || kind === "AIFC")) { container = kind.toLowerCase(); le = false; }
+  else return null;
+
+  const chunks = [];
+  let off = 12;
+  while (off + 8 <= buf.length) {
+    const id = buf.toString("ascii", off, off + 4);
+    let size = le ? buf.readUInt32LE(off + 4) : buf.readUInt32BE(off + 4);
+    // Streamed/RF64 files may carry a bogus size on the data chunk
+    if (size === 0xFFFFFFFF || off + 8 + size > buf.length) size = buf.length - off - 8;
+    chunks.push({ id, offset: off + 8, size });
+    off += 8 + size + (size & 1); // chunks are word-aligned
+  }
+  return { container, chunks };
+}
+
+// 80-bit IEEE 754 extended (AIFF sample rate)
+function readExtended(buf, off) {
+  const exp = ((buf[off] & 0x7F) << 8) | buf[off + 1];
+  const hi = buf.readUInt32BE(off + 2);
+  const lo = buf.readUInt32BE(off + 6);
+  if (exp === 0 && hi === 0 && lo === 0) return 0;
+  const sign = (buf[off] & 0x80) ? -1 : 1;
+  return sign * (hi * Math.pow(2, exp - 16383 - 31) + lo * Math.pow(2, exp - 16383 - 63));
+}
+
+function wavFormat(buf, fmt) {
+  const o = fmt.offset;
+  let format = buf.readUInt16LE(o);
+  if (format === 0xFFFE && fmt.size >= 26) format = buf.readUInt16LE(o + 24); // EXTENSIBLE sub-format
+  return {
+    format: format === 3 ? "float" : (format === 1 ? "int" : null),
+    channels: buf.readUInt16LE(o + 2),
+    sampleRate: buf.readUInt32LE(o + 4),
+    bits: buf.readUInt16LE(o + 14),
+    le: true,
+    signed8: false, // WAV 8-bit is unsigned
+  };
+}
+
+function aiffFormat(buf, comm, container) {
+  const o = comm.offset;
+  let format = "int";
+  let le = false;
+  if (container === "aifc" && comm.size >= 22) {
+    const comp = buf.toString("ascii", o + 18, o + 22);
+    if (comp === "sowt") le = true;
+    else if (comp === "fl32" || comp === "FL32") format = "float";
+    else if (comp !== "NONE" && comp !== "twos") format = null;
+  }
+  return {
+    format,
+    channels: buf.readInt16BE(o),
+    sampleRate: readExtended(buf, o + 8),
+    bits: buf.readInt16BE(o + 6),
+    le,
+    signed8: true,
+  };
+}
+
+// Locate the PCM payload and its format
+function findPcm(buf) {
+  const parsed = readChunks(buf);
+  if (!parsed) return null;
+  const { container, chunks } = parsed;
+  const byId = (id) => chunks.find(c => c.id === id);
+
+  if (container === "wav") {
+    const fmt = byId("fmt ");
+    const data = byId("data");
+    if (!fmt || !data) return null;
+    return { ...wavFormat(buf, fmt), offset: data.offset, size: data.size };
+  }
+
+  const comm = byId("COMM");
+  const ssnd = byId("SSND");
+  if (!comm || !ssnd) return null;
+  const skip = 8 + buf.readUInt32BE(ssnd.offset); // offset + blockSize fields, then padding
+  return { ...aiffFormat(buf, comm, container), offset: ssnd.offset + skip, size: ssnd.size - skip };
+}
+
+// --- Decoding ---------------------------------------------------------
+
+function sampleReader(buf, { format, bits, le, signed8 }) {
+  if (format === "float" && bits === 32) return (o) => le ? buf.readFloatLE(o) : buf.readFloatBE(o);
+  if (format === "float" && bits === 64) return (o) => le ? buf.readDoubleLE(o) : buf.readDoubleBE(o);
+  if (format !== "int") return null;
+  switch (bits) {
+    case 8: return signed8
+      ? (o) => buf.readInt8(o) / 128
+      : (o) => (buf[o] - 128) / 128;
+    case 16: return (o) => (le ? buf.readInt16LE(o) : buf.readInt16BE(o)) / 32768;
+    case 24: return (o) => (le ? buf.readIntLE(o, 3) : buf.readIntBE(o, 3)) / 8388608;
+    case 32: return (o) => (le ? buf.readInt32LE(o) : buf.readInt32BE(o)) / 2147483648;
+    default: return null;
+  }
+}
+
+// Decode a buffer into an AudioBuffer-like object, or null if unsupported
+function decodeBuffer(buf) {
+  const pcm = findPcm(buf);
+  if (!pcm || !pcm.channels || !pcm.sampleRate) return null;
+
+  const read = sampleReader(buf, pcm);
+  if (!read) return null;
+
+  const bytes = Math.ceil(pcm.bits / 8);
+  const frameBytes = bytes * pcm.channels;
+  const length = Math.floor(pcm.size / frameBytes);
+  const channels = [];
+  for (let c = 0; c < pcm.channels; c++) channels.push(new Float32Array(length));
+
+  let o = pcm.offset;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < pcm.channels; c++) {
+      channels[c][i] = read(o);
+      o += bytes;
+    }
+  }
+
+  return {
+    sampleRate: pcm.sampleRate,
+    numberOfChannels: pcm.channels,
+    length,
+    duration: length / pcm.sampleRate,
+    getChannelData: (c) => channels[c],
+  };
+}
+
+async function decodeAudioFile(filePath, { maxBytes = Infinity } = {}) {
+  if (!canDecode(filePath)) return null;
+  const st = await fs.promises.stat(filePath);
+  if (st.size > maxBytes) {
+    const err = new Error("File too large to decode");
+    err.code = "E_TOO_LARGE";
+    throw err;
+  }
+  return decodeBuffer(await fs.promises.readFile(filePath));
+}
+
+module.exports = {
+  canDecode,
+  readChunks,
+  findPcm,
+  decodeBuffer,
+  decodeAudioFile,
+};
@@ -0,0 +1,122 @@
+const { decodeAudioFile } = require("./audioDecode");
+
+const { fft } = require("./fft");
+
+// Audio-content fingerprints for "same audio" dedupe.
+// Two files count as the same audio when they have the same sample rate and
+// frame count, their loudness envelopes match within a small tolerance, and
+// every audible block has the same spectrum: dominant frequency and spectral
+// centroid. Re-exports with other tags, another bit depth or stripped RIFF
+// chunks still group together while the file bytes differ; the same note at
+// another pitch (same length, same envelope) doesn't.
+
+const VERSION = 2; // bump when the features change; older cached fingerprints are redone
+const BLOCKS = 64;
+const FFT_SIZE = 4096;
+// Per-block RMS may differ by 1% (plus a floor for near-silent blocks);
+// requantizing 24-bit audio to 16-bit changes it far less than that
+const REL_TOLERANCE = 0.01;
+const ABS_TOLERANCE = 0.0002;
+// Spectra are only compared on blocks within 40 dB of the loudest one (and
+// above -60 dBFS), where dither and quantization noise can't move them
+const AUDIBLE_REL = 0.01;
+const AUDIBLE_ABS = 0.001;
+// A semitone is ~6%, so 2% of centroid and one FFT bin of peak keep notes apart
+const CENTROID_TOLERANCE = 0.02;
+const PEAK_TOLERANCE = 1;
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+
+// Dominant FFT bin and spectral centroid (Hz) of a Hann-windowed frame around center
+function frameSpectrum(mono, center, sampleRate, re, im) {
+  const from = center - FFT_SIZE / 2;
+  for (let i = 0; i < FFT_SIZE; i++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1));
+    re[i] = (mono[from + i] || 0) * w;
+    im[i] = 0;
+  }
+  fft(re, im);
+  let peak = 0, peakPower = 0, weighted = 0, total = 0;
+  for (let k = 1; k < FFT_SIZE / 2; k++) {
+    const p = re[k] * re[k] + im[k] * im[k];
+    if (p > peakPower) { peakPower = p; peak = k; }
+    weighted += p * k;
+    total += p;
+  }
+  const binHz = sampleRate / FFT_SIZE;
+  return { peak, centroid: total > 0 ? Number(((weighted / total) * binHz).toFixed(1)) : 0 };
+}
+
+// { v, key, env, peak, centroid } for a decoded AudioBuffer-like object
+function fingerprintAudio(audio) {
+  const { length, numberOfChannels: channels, sampleRate } = audio;
+  const mono = new Float32Array(length);
+  for (let c = 0; c < channels; c++) {
+    const data = audio.getChannelData(c);
+    for (let i = 0; i < length; i++) mono[i] += data[i] / channels;
+  }
+
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const blocks = Math.min(BLOCKS, length);
+  const env = [], peak = [], centroid = [];
+  for (let b = 0; b < blocks; b++) {
+    const start = Math.floor((b * length) / blocks);
+    const end = Math.floor(((b + 1) * length) / blocks);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += mono[i] * mono[i];
+    env.push(Number(Math.sqrt(sum / Math.max(1, end - start)).toFixed(4)));
+    const s = frameSpectrum(mono, Math.floor((start + end) / 2), sampleRate, re, im);
+    peak.push(s.peak);
+    centroid.push(s.centroid);
+  }
+  return { v: VERSION, key: `${Math.round(sampleRate)}:${length}`, env, peak, centroid };
+}
+
+// Fingerprint a WAV/AIFF file; null when it can't be decoded here
+async function fingerprintFile(filePath, { maxBytes = MAX_DECODE_BYTES } = {}) {
+  try {
+    const audio = await decodeAudioFile(filePath, { maxBytes });
+    if (!audio || !audio.length) return null;
+    return fingerprintAudio(audio);
+  } catch {
+    return null;
+  }
+}
+
+function sameAudio(a, b) {
+  if (!a || !b || a.v !== VERSION || b.v !== VERSION) return false;
+  if (a.key !== b.key || a.env.length !== b.env.length) return false;
+  const loudest = Math.max(...a.env, ...b.env);
+  return a.env.every((v, i) => {
+    const w = b.env[i];
+    if (Math.abs(v - w) > Math.max(ABS_TOLERANCE, REL_TOLERANCE * Math.max(v, w))) return false;
+    if (Math.min(v, w) < Math.max(AUDIBLE_ABS, AUDIBLE_REL * loudest)) return true;
+    const [c, d] = [a.centroid[i], b.centroid[i]];
+    return Math.abs(a.peak[i] - b.peak[i]) <= PEAK_TOLERANCE
+      && Math.abs(c - d) <= CENTROID_TOLERANCE * Math.max(c, d);
+  });
+}
+
+// Groups fingerprints by key so each file is only compared with candidates
+// of the same length and sample rate
+function createAudioIndex() {
+  const buckets = new Map(); // key -> [{ fp, file }]
+  return {
+    find(fp) {
+      const hit = (buckets.get(fp.key) || []).find(e => sameAudio(e.fp, fp));
+      return hit ? hit.file : null;
+    },
+    add(fp, file) {
+      if (!buckets.has(fp.key)) buckets.set(fp.key, []);
+      buckets.get(fp.key).push({ fp, file });
+    },
+  };
+}
+
+module.exports = {
+  FINGERPRINT_VERSION: VERSION,
+  fingerprintAudio,
+  fingerprintFile,
+  sameAudio,
+  createAudioIndex,
+};
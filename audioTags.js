@@ -0,0 +1,83 @@
+const fs = require("fs");
+const mm = require("music-metadata");
+
+// Embedded tags that category rules can match (keywordRules TAG_SOURCES):
+//   title, genre, comment  ID3 (any format music-metadata reads) or RIFF INFO INAM / IGNR / ICMT
+//   description            BWF "bext" description
+//   instrument             Apple Loops "cate" chunk (instrument category and sub-category)
+// Missing tags are "". ACID chunks carry loop type and tempo but no instrument,
+// so ACIDized files are matched through their INFO tags.
+
+const join = (values) => values
+  .map(v => (typeof v === "string" ? v : v?.text || ""))
+  .map(v => v.replace(/\0/g, "").trim())
+  .filter(Boolean)
+  .join(" ");
+
+// Apple's layout for "cate" isn't published; its text fields are fixed-size,
+// NUL-padded ASCII, so the readable runs are the category names
+function cateStrings(buf) {
+  return (buf.toString("latin1").match(/[\x20-\x7e]{2,}/g) || [])
+    .map(s => s.trim())
+    .filter(s => /[a-z]/i.test(s));
+}
+
+// Contents of the first top-level chunk with this id in a RIFF/WAVE or
+// FORM/AIFF file, reading only the chunk headers on the way
+async function readChunk(filePath, wanted) {
+  const fh = await fs.promises.open(filePath, "r");
+  try {
+    const head = Buffer.alloc(12);
+    await fh.read(head, 0, 12, 0);
+    const magic = head.toString("ascii", 0, 4);
+    const kind = head.toString("ascii", 8, 12);
+    let le;
+    if ((magic === "RIFF" || magic === "RF64") && kind === "WAVE") le = true;
+    else if (magic === "FORM" && (kind === "AIFF" || kind === "AIFC")) le = false;
+    else return null;
+
+    const { size: fileSize } = await fh.stat();
+    const hdr = Buffer.alloc(8);
+    let off = 12;
+    while (off + 8 <= fileSize) {
+      await fh.read(hdr, 0, 8, off);
+      const id = hdr.toString("ascii", 0, 4);
+      let size = le ? hdr.readUInt32LE(4) : hdr.readUInt32BE(4);
+      if (size === 0xFFFFFFFF || off + 8 + size > fileSize) size = fileSize - off - 8;
+      if (id === wanted) {
+        const body = Buffer.alloc(Math.min(size, 64 * 1024));
+        await fh.read(body, 0, body.length, off + 8);
+        return body;
+      }
+      off += 8 + size + (size & 1);
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
+
+async function readTags(filePath) {
+  const tags = { title: "", genre: "", comment: "", description: "", instrument: "" };
+
+  try {
+    const { common = {}, native = {} } = await mm.parseFile(filePath, { skipCovers: true, duration: false });
+    tags.title = join([common.title || ""]);
+    tags.genre = join(common.genre || []);
+    tags.comment = join(common.comment || []);
+    const bext = (native.exif || []).find(t => t.id === "bext.description");
+    tags.description = join([bext?.value || ""]);
+  } catch { /* unreadable or unsupported: no tags */ }
+
+  if (/\.(wav|wave|aif|aiff|aifc)$/i.test(filePath)) {
+    try {
+      const cate = await readChunk(filePath, "cate");
+      if (cate) tags.instrument = cateStrings(cate).join(" ");
+    } catch { /* no Apple Loops data */ }
+  }
+  return tags;
+}
+
+module.exports = {
+  readTags,
+};
@@ -0,0 +1,82 @@
+// Node-side BPM detection.
+// Same peak-interval approach as bpm-detective (which needs WebAudio's
+// OfflineAudioContext and therefore only runs in the renderer).
+
+const { decodeAudioFile } = require("./audioDecode");
+
+const MIN_PEAKS = 15;
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+
+function findPeaksAtThreshold(data, threshold) {
+  const peaks = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] > threshold) {
+      peaks.push(i);
+      i += 10000; // skip ~1/4s past this peak
+    }
+  }
+  return peaks;
+}
+
+function findPeaks(data) {
+  let peaks = [];
+  let threshold = 0.9;
+  // Lower the threshold until there are enough peaks for a reliable guess
+  while (peaks.length < MIN_PEAKS && threshold >= 0.3) {
+    peaks = findPeaksAtThreshold(data, threshold);
+    threshold -= 0.05;
+  }
+  return peaks.length < MIN_PEAKS ? null : peaks;
+}
+
+function countIntervals(peaks) {
+  const counts = new Map();
+  peaks.forEach((peak, index) => {
+    for (let i = 1; i < 10 && index + i < peaks.length; i++) {
+      const interval = peaks[index + i] - peak;
+      counts.set(interval, (counts.get(interval) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+function groupByTempo(intervalCounts, sampleRate) {
+  const tempos = new Map();
+  for (const [interval, count] of intervalCounts) {
+    if (interval === 0) continue;
+    let tempo = 60 / (interval / sampleRate);
+    // Fold into the 90-180 BPM range
+    while (tempo < 90) tempo *= 2;
+    while (tempo > 180) tempo /= 2;
+    tempo = Math.round(tempo);
+    tempos.set(tempo, (tempos.get(tempo) || 0) + count);
+  }
+  return tempos;
+}
+
+// audio: AudioBuffer-like ({ sampleRate, getChannelData }); returns BPM or null
+function detectBpm(audio) {
+  const peaks = findPeaks(audio.getChannelData(0));
+  if (!peaks) return null;
+
+  const tempos = groupByTempo(countIntervals(peaks), audio.sampleRate);
+  let best = null;
+  for (const [tempo, count] of tempos) {
+    if (!best || count > best.count) best = { tempo, count };
+  }
+  return best ? best.tempo : null;
+}
+
+// Tempo of a WAV/AIFF file; null when it is shorter than minDuration seconds,
+// can't be decoded here or has no clear beat
+async function detectFileBpm(filePath, { minDuration = 0, maxBytes = MAX_DECODE_BYTES } = {}) {
+  try {
+    const audio = await decodeAudioFile(filePath, { maxBytes });
+    if (!audio?.length || audio.duration < minDuration) return null;
+    return detectBpm(audio);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { detectBpm, detectFileBpm };
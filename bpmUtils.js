@@ -0,0 +1,529 @@
+const fs = require("fs");
+const path = require("path");
+const { createJournal } = require("./journal");
+const { uniqueDestPath, copyWithTimes, resolveConflict, replaceExisting } = require("./conflicts");
+const { configurePool, readFormat } = require("./workerPool");
+const { cacheFor, runCache } = require("./analysisCache");
+const { createProgress } = require("./progress");
+const { isCancelled, resetCancel, checkpoint } = require("./runControl");
+const { createIgnore, ignoredMessage } = require("./ignoreRules");
+
+// --- Helpers --------------------------------------------------
+
+const BPM_DIR_RE = /^(\d{2,3})\s*bpm$/i;
+const KEY_DIR_RE = /^(?:[A-G](?:#|b)?)\s+(?:Maj|Min)$/i;
+
+function isBpmDirName(name) { return BPM_DIR_RE.test(name); }
+function isKeyDirName(name) { return KEY_DIR_RE.test(name); }
+
+function isInsideBpmFolder(filePath) {
+  let dir = path.dirname(filePath);
+  while (true) {
+    const base = path.basename(dir);
+    if (isBpmDirName(base)) return true;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return false;
+}
+
+function isDuplicatesPath(p) {
+  return p.includes(`${path.sep}_Duplicates${path.sep}`) ||
+         path.basename(path.dirname(p)) === "_Duplicates";
+}
+
+function getParentBpmValue(filePath) {
+  const parent = path.basename(path.dirname(filePath));
+  const m = parent.match(BPM_DIR_RE);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+function firstNonBpmAncestorDir(filePath) {
+  let dir = path.dirname(filePath);
+  while (isBpmDirName(path.basename(dir))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return dir;
+}
+
+function moveOrCopySync(src, dest) {
+  try {
+    fs.renameSync(src, dest);
+  } catch (e) {
+    if (e.code === "EXDEV") {
+      copyWithTimes(src, dest);
+      fs.unlinkSync(src);
+    } else {
+      throw e;
+    }
+  }
+}
+
+// Move file into dir honoring the conflict policy; returns the new path, or null when skipped
+function moveIntoDir(file, dir, { journal = null, conflictPolicy, cache = null } = {}) {
+  const plan = resolveConflict(file, dir, path.basename(file), conflictPolicy);
+  if (plan.skip) return null;
+
+  if (journal) journal.mkdirp(dir);
+  else fs.mkdirSync(dir, { recursive: true });
+  if (plan.replace) replaceExisting(plan.dest, journal);
+  moveOrCopySync(file, plan.dest);
+  if (journal) journal.record("move", file, plan.dest);
+  if (cache) cache.carry(file, plan.dest, { moved: true });
+  return plan.dest;
+}
+
+function sanitizeKey(label) {
+  return String(label || "").replace(/[<>:"/\\|?*]/g, "").trim();
+}
+
+// --- Walk/Metadata ------------------------------------------------------
+
+function walkDir(dir, callback, ignore = null) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (ignore?.skip(full, entry.isDirectory())) continue;
+    if (entry.isDirectory()) walkDir(full, callback, ignore);
+    else if (entry.isFile()) callback(full);
+  }
+}
+
+// walkDir honoring the root's .samplesortignore and the config patterns,
+// then log how many files each rule excluded
+function walkIgnoring(rootDir, ignorePatterns, callback, webContents) {
+  const ignore = createIgnore(rootDir, ignorePatterns, msg => webContents.send("organizing-log", msg, "warning"));
+  walkDir(rootDir, callback, ignore);
+  for (const e of ignore.takeCounts()) webContents.send("organizing-log", ignoredMessage(e), "info");
+}
+
+// Duration in seconds (null when unknown), through the analysis cache if given
+async function getFileDuration(filePath, cache = null) {
+  try {
+    const hit = cache?.lookup(filePath);
+    if (hit && "duration" in hit) return hit.duration;
+    const format = await readFormat(filePath);
+    if (cache) cache.update(filePath, format);
+    return format.duration;
+  } catch {
+    return null;
+  }
+}
+
+// Move into BPM and (optionally) Key
+const NAME_BPM_RE = /\b(\d{2,3})\s*bpm\b/i;
+const NAME_BPM_LOOSE_RE = /(\d{2,3})\s*[-_ ]?\s*bpm/i;
+
+function bpmFromName(name) {
+  const m = String(name).match(NAME_BPM_RE) || String(name).match(NAME_BPM_LOOSE_RE);
+  const v = m ? parseInt(m[1], 10) : NaN;
+  return Number.isFinite(v) ? v : null;
+}
+
+function moveFileToBPMFolder(file, bpmValue, opts = {}) {
+  const { keyValue = null, dryRun = false, journal = null, conflictPolicy, cache = null } = opts;
+  const targetBpm = parseInt(bpmValue, 10);
+  if (!isFinite(targetBpm)) return null;
+
+  const dirNow = path.dirname(file);
+  const currentParentBpm = getParentBpmValue(file);
+  const alreadyInTargetBpm = currentParentBpm != null && currentParentBpm === targetBpm;
+
+  const baseDir = firstNonBpmAncestorDir(file);
+  const bpmDir = path.join(baseDir, `${targetBpm} BPM`);
+  const keyFolder = keyValue ? sanitizeKey(keyValue) : null;
+  const finalDir = keyFolder ? path.join(bpmDir, keyFolder) : bpmDir;
+
+  if (alreadyInTargetBpm && (!keyFolder || isKeyDirName(path.basename(dirNow)))) {
+    return path.join(finalDir, path.basename(file));
+  }
+
+  if (dryRun) return path.join(finalDir, path.basename(file));
+
+  return moveIntoDir(file, finalDir, { journal, conflictPolicy, cache });
+}
+
+// New: move into Key under current dir (or under BPM if currently in a BPM dir)
+function moveFileToKeyFolder(file, keyValue, { dryRun = false, journal = null, conflictPolicy, cache = null } = {}) {
+  const keyFolder = sanitizeKey(keyValue);
+  if (!keyFolder || !KEY_DIR_RE.test(keyFolder)) return null;
+
+  const dirNow = path.dirname(file);
+  const parentName = path.basename(dirNow);
+
+  // Already in a "Key" folder?
+  if (isKeyDirName(parentName)) {
+    return path.join(dirNow, path.basename(file));
+  }
+
+  const finalDir = path.join(dirNow, keyFolder);
+  if (dryRun) return path.join(finalDir, path.basename(file));
+
+  return moveIntoDir(file, finalDir, { journal, conflictPolicy, cache });
+}
+
+// --- BPM/Key passes (shared by the IPC handlers and the CLI) -------------
+
+// Build the BPM worklist: filters, thresholds and filename/parent shortcuts
+async function prepareBpmFiles({ destDir, config, limitTo }, webContents) {
+  resetCancel();
+  if (config?.bpmDebug) {
+    webContents.send("organizing-log", "Preparing BPM files…", "info");
+  }
+
+  const allowed = new Set(
+    (config.extensions || []).map(e => String(e).toLowerCase().replace(/^\./, ""))
+  );
+  const threshold = Number(config.BPMThreshold || 0);
+
+  // Collect candidates
+  const candidates = [];
+
+  const addIfOk = (file) => {
+    if (!file) return;
+
+    if (file.includes(`${path.sep}_Duplicates${path.sep}`)) return;
+
+    try {
+      const abs = path.resolve(file);
+      if (isInsideBpmFolder(abs)) {
+        if (config?.bpmDebug) {
+          const base = path.basename(file);
+          webContents.send("organizing-log", `Skip (already in BPM folder): <b>${base}</b>`, "info");
+        }
+        return;
+      }
+    } catch { }
+
+    try {
+      const st = fs.statSync(file);
+      if (!st.isFile()) return;
+      const ext = path.extname(file).toLowerCase().replace(/^\./, "");
+      if (allowed.size && !allowed.has(ext)) return;
+      candidates.push(path.resolve(file));
+    } catch { }
+  };
+
+  // Use only the files in current sort (limitTo), else scan whole tree
+  if (Array.isArray(limitTo)) {
+    if (limitTo.length === 0) return [];
+    for (const p of limitTo) addIfOk(p);
+  } else {
+    walkIgnoring(destDir, config.ignorePatterns, addIfOk, webContents);
+  }
+
+  // Dry runs scan the samples folder, but the cache lives with the library
+  const cache = runCache(config, config.destDir || destDir);
+  const cachedBpm = (f) => {
+    const hit = cache?.lookup(f);
+    return hit && "bpm" in hit ? { bpm: hit.bpm } : null;
+  };
+
+  // Durations are read in the worker pool, a few files ahead of the loop
+  const window = configurePool(config) * 2;
+  const durations = new Map();
+  const needsDuration = (f) =>
+    getParentBpmValue(f) == null && bpmFromName(path.basename(f)) == null && !cachedBpm(f);
+  const durationOf = (f) => {
+    if (!durations.has(f)) durations.set(f, getFileDuration(f, cache));
+    return durations.get(f);
+  };
+
+  // Build worklist with filename/parent-BPM shortcuts & threshold filtering
+  const filesToAnalyze = [];
+  const progress = createProgress(webContents, "bpm-prepare", candidates);
+  for (let i = 0; i < candidates.length; i++) {
+    if (await checkpoint(webContents)) break;
+    const file = candidates[i];
+    progress.at(i);
+    if (threshold > 0) {
+      for (let j = i; j < Math.min(candidates.length, i + window); j++) {
+        if (!durations.has(candidates[j]) && needsDuration(candidates[j])) durationOf(candidates[j]);
+      }
+    }
+
+    // prefer BPM from parent
+    const parentBpm = getParentBpmValue(file);
+    if (parentBpm != null) {
+      filesToAnalyze.push({ file, skipDetection: true, bpmValue: parentBpm });
+      continue;
+    }
+
+    // or BPM in filename
+    const base = path.basename(file);
+    const bpmVal = bpmFromName(base);
+    if (bpmVal != null) {
+      filesToAnalyze.push({ file, skipDetection: true, bpmValue: bpmVal });
+      continue;
+    }
+
+    // or BPM detected on an earlier run
+    const cached = cachedBpm(file);
+    if (cached) {
+      if (cached.bpm != null) {
+        filesToAnalyze.push({ file, skipDetection: true, bpmValue: cached.bpm, cached: true });
+      } else if (config?.bpmDebug) {
+        webContents.send("organizing-log", `Skip (no BPM found on an earlier run): <b>${base}</b>`, "info");
+      }
+      continue;
+    }
+
+    // threshold: only skip if we can determine duration and it’s below threshold
+    if (threshold > 0) {
+      try {
+        const dur = await durationOf(file);
+        durations.delete(file);
+        if (dur != null && dur < threshold) {
+          if (config?.bpmDebug) {
+            webContents.send(
+              "organizing-log",
+              `Skip (below threshold ${threshold}s): <b>${base}</b> (${dur.toFixed(2)}s)`,
+              "info"
+            );
+          }
+          continue;
+        }
+      } catch {
+        // duration unknown — let renderer try detection
+      }
+    }
+
+    filesToAnalyze.push({ file, skipDetection: false });
+
+    if ((i % 200) === 0) {
+      await new Promise(r => setImmediate(r));
+    }
+  }
+  progress.finish({ cancelled: isCancelled() });
+
+  try { cache?.save(); } catch { /* best effort */ }
+
+  if (config?.bpmDebug) {
+    webContents.send("organizing-log", `Prepared ${filesToAnalyze.length} file(s) for BPM analysis.`, "info");
+  }
+  return filesToAnalyze;
+}
+
+// Remember detection results (bpmValue null = nothing found) so the next run
+// skips decoding these files; runs before the results are moved
+function rememberBpmResults({ rootDir, items, useAnalysisCache }) {
+  const cache = runCache({ useAnalysisCache }, rootDir);
+  if (!cache) return 0;
+  let stored = 0;
+  for (const { file, bpmValue, keyValue } of (items || [])) {
+    if (!file) continue;
+    const fields = { bpm: bpmValue != null && isFinite(bpmValue) ? Number(bpmValue) : null };
+    if (keyValue) fields.key = keyValue;
+    cache.update(file, fields);
+    stored++;
+  }
+  cache.save();
+  return stored;
+}
+
+// crude key token detector: A, A#, Bb, with optional Maj/Min around word/dash/underscore boundaries
+const KEY_RE = /(?:^|[\s_\-])([A-G](?:#|b)?)(?:\s*(maj(?:or)?|min(?:or)?))?(?=$|[\s_\-])/i;
+
+function detectKeyFromName(name) {
+  const base = String(name || "").replace(/\.[a-z0-9]+$/i, "");
+  const m = base.match(KEY_RE);
+  if (!m) return null;
+
+  // Preserve accidental, force letter uppercase
+  const raw = m[1];            // e.g. "Bb", "A#", "e"
+  const letter = raw[0].toUpperCase();
+  const accidental = raw.slice(1); // "", "#" or "b"
+  const note = letter + accidental;
+
+  const qualRaw = (m[2] || "").toLowerCase();
+  let quality = null;
+  if (qualRaw.startsWith("maj")) quality = "Maj";
+  else if (qualRaw.startsWith("min")) quality = "Min";
+
+  return { note, quality }; // e.g. { note:"Bb", quality:"Min" } or { note:"E", quality:null }
+}
+
+// Key folder label for a file ("Bb Min"), or null when no usable key is found
+function keyLabelFor(file, { keyFromParent = false, keyNoteOnlyFallback = false } = {}) {
+  const info = detectKeyFromName(path.basename(file))
+    || (keyFromParent ? detectKeyFromName(path.basename(path.dirname(file))) : null);
+  if (!info) return null;
+  if (info.quality) return `${info.note} ${info.quality}`;
+  return keyNoteOnlyFallback ? info.note : null;
+}
+
+// "Bb Min" -> "Bbm", "F# Maj" -> "F#": the short notation of key tags and file names
+const KEY_LABEL_RE = /^([A-G])(#|b)?(?:\s+(Maj|Min))?$/;
+
+function keyNotation(label) {
+  const m = String(label || "").match(KEY_LABEL_RE);
+  return m ? `${m[1]}${m[2] || ""}${m[3] === "Min" ? "m" : ""}` : null;
+}
+
+// Move files into Key subfolders across a tree (or only limitTo)
+async function applyKeyFolders({
+  rootDir, extensions = [], dryRun, debug, keyFromParent, keyNoteOnlyFallback, limitTo, journalId, conflictPolicy, ignorePatterns
+}, webContents) {
+  if (!rootDir || !fs.existsSync(rootDir)) {
+    throw new Error(`Root directory not found: ${rootDir}`);
+  }
+
+  const journal = dryRun ? null : createJournal(rootDir, { kind: "key", id: journalId });
+  const cache = dryRun ? null : cacheFor(rootDir); // cached analysis follows moved files
+
+  const extSet = new Set(
+    (extensions || []).map(e => String(e).toLowerCase().replace(/^\./, ""))
+  );
+
+  const pending = [];
+
+  const consider = (file) => {
+    if (!file) return;
+    if (file.includes(`${path.sep}_Duplicates${path.sep}`)) return;
+    try {
+      const st = fs.statSync(file);
+      if (!st.isFile()) return;
+      const ext = path.extname(file).slice(1).toLowerCase();
+      if (extSet.size && !extSet.has(ext)) return;
+      pending.push(path.resolve(file));
+    } catch { }
+  };
+
+  //Only files in current sort
+  if (Array.isArray(limitTo)) {
+    if (limitTo.length === 0) return 0;
+    for (const p of limitTo) consider(p);
+  } else {
+    walkIgnoring(rootDir, ignorePatterns, consider, webContents);
+  }
+
+  let moved = 0;
+  const progress = createProgress(webContents, "key", pending);
+  resetCancel();
+  for (let i = 0; i < pending.length; i++) {
+    if (await checkpoint(webContents)) {
+      webContents.send("organizing-log", "⏹️ Key sort cancelled.", "warning");
+      break;
+    }
+    const file   = pending[i];
+    progress.at(i);
+    const base   = path.basename(file);
+    const parent = path.basename(path.dirname(file));
+
+    const infoFromName = detectKeyFromName(base);
+    const info = infoFromName || (keyFromParent ? detectKeyFromName(parent) : null);
+    if (!info) {
+      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
+      continue;
+    }
+
+    const keyLabel =
+      info.quality ? `${info.note} ${info.quality}` :
+      (keyNoteOnlyFallback ? info.note : null);
+
+    if (!keyLabel) {
+      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
+      continue;
+    }
+
+    // already inside a matching key folder? skip
+    const parentName = path.basename(path.dirname(file));
+    if (parentName === keyLabel) {
+      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
+      continue;
+    }
+
+    // choose base dir: if current dir *is* a BPM dir, use it, otherwise first non-BPM ancestor
+    const dirNow  = path.dirname(file);
+    const baseDir = isBpmDirName(path.basename(dirNow)) ? dirNow : firstNonBpmAncestorDir(file);
+    const keyDir  = path.join(baseDir, keyLabel);
+
+    if (!dryRun && !moveIntoDir(file, keyDir, { journal, conflictPolicy, cache })) {
+      if (debug) {
+        webContents.send("organizing-log", `Key sort: <b>${base}</b> left in place (name taken in <b>${keyLabel}</b>)`, "info");
+      }
+      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
+      continue;
+    }
+
+    moved++;
+    if (debug) {
+      webContents.send(
+        "organizing-log",
+        `${dryRun ? "[DRY RUN] " : ""}Key sort: <b>${base}</b> → <b>${path.join(path.basename(baseDir), keyLabel)}</b>`,
+        "info"
+      );
+    }
+
+    if ((i % 100) === 0) {
+      await new Promise(r => setImmediate(r));
+    }
+  }
+
+  progress.finish({ cancelled: isCancelled() });
+  try { cache?.save(); } catch { /* best effort */ }
+  return moved;
+}
+
+// Apply BPM (and optional Key) moves for analyzed files
+async function applyBpmResults(payload) {
+  const items = Array.isArray(payload) ? payload : (payload?.items || []);
+  const sortByKey = !!payload?.sortByKey;
+  const dryRun = !!payload?.dryRun;
+  const conflictPolicy = payload?.conflictPolicy;
+  const journal = (!dryRun && payload?.rootDir)
+    ? createJournal(payload.rootDir, { kind: "bpm", id: payload.journalId })
+    : null;
+  const cache = (!dryRun && payload?.rootDir) ? cacheFor(payload.rootDir) : null;
+
+  const counts = {};
+  let processed = 0;
+  let i = 0;
+
+  for (const { file, bpmValue, keyValue } of items) {
+    if (!file || !isFinite(bpmValue)) continue;
+
+    const opts = { keyValue: sortByKey ? keyValue : null, dryRun, journal, conflictPolicy, cache };
+
+    try {
+      if (!moveFileToBPMFolder(file, bpmValue, opts)) continue; // skipped by the conflict policy
+      const key = Math.round(Number(bpmValue));
+      counts[key] = (counts[key] || 0) + 1;
+      processed++;
+    } catch (err) {
+    }
+
+    // Yield to the main loop every 50 files
+    if ((++i % 50) === 0) {
+      await new Promise(r => setImmediate(r));
+    }
+  }
+
+  try { cache?.save(); } catch { /* best effort */ }
+  return processed;
+}
+
+module.exports = {
+  prepareBpmFiles,
+  applyKeyFolders,
+  applyBpmResults,
+  rememberBpmResults,
+  detectKeyFromName,
+  keyLabelFor,
+  keyNotation,
+  bpmFromName,
+  walkDir,
+  getFileDuration,
+  moveFileToBPMFolder,
+  moveFileToKeyFolder,
+  getParentBpmValue,
+  isBpmDirName,
+  isKeyDirName,
+  firstNonBpmAncestorDir,
+  isInsideBpmFolder,
+  uniqueDestPath,
+  isDuplicatesPath,
+};
\ No newline at end of file
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const organizer = require("./organizer");
+const {
+  prepareBpmFiles,
+  applyBpmResults,
+  applyKeyFolders,
+  rememberBpmResults,
+  keyLabelFor,
+  isDuplicatesPath,
+} = require("./bpmUtils");
+const { decodeAudioFile } = require("./audioDecode");
+const { detectBpm } = require("./bpmDetect");
+const { undoJournal, lastUndoableJournal } = require("./journal");
+const { CONFLICT_POLICIES } = require("./conflicts");
+const { INSTRUMENT_MODES } = require("./instrumentReview");
+const { clearCache } = require("./analysisCache");
+const { clearSyncState } = require("./syncState");
+const { createProgress } = require("./progress");
+const { readCheckpoint, clearCheckpoint } = require("./runCheckpoint");
+const { writeTagsPass } = require("./tagWriter");
+
+const EXIT_OK = 0;
+const EXIT_RUN_ERRORS = 1;
+const EXIT_USAGE = 2;
+const EXIT_CANCELLED = 130;
+
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+
+const USAGE = `Usage: samplesort <command> [options]
+
+Commands:
+  organize            Sort the samples directory into the destination
+  undo [runId]        Undo the last run (or the given run) in the destination
+  apply <plan>        Execute a dry-run plan (.json or .csv), e.g. after editing it
+  cache clear         Delete the destination's analysis cache
+  cache rebuild       Re-hash and re-read every file in the destination into the cache
+  sync reset          Forget which sources earlier runs organized (see --incremental)
+
+Options:
+  --config <file>     Config file (default: config.json next to the app)
+  --samples <dir>     Samples directory (overrides config; repeat for several)
+  --dest <dir>        Destination directory (overrides config)
+  --dry-run           Preview only, no files are touched
+  --move | --copy     Move or copy files (overrides config)
+  --hardlink          Hardlink files into the destination (copies across drives)
+  --symlink           Symlink files into the destination
+  --on-conflict <p>   Name clashes: rename, skip-identical, overwrite, keep-newer, keep-larger
+  --threads <n>       Worker threads for hashing and metadata reads (0 = automatic)
+  --no-cache          Don't read or write the analysis cache
+  --incremental       Skip sources that earlier runs already organized
+  --resume            Continue the destination's interrupted run (its saved settings)
+  --no-bpm            Skip the BPM pass
+  --no-key            Skip the Key pass
+  --write-tags        Write category, BPM, key and pack into the files' tags
+  --split-loops       Add Loops / One-Shots folders, classified from the audio
+  --rename <template> Rename files, e.g. "{category} {n:03} - {bpm}BPM {key}{ext}"
+  --instruments <m>   Guess the instrument of unmatched files: off, review, auto
+  --instrument-confidence <n>
+                      Confidence (0-1) auto mode needs to move a file (default 0.5)
+  --json              Print one JSON object per event instead of text
+  --quiet             Only print warnings and errors
+  -h, --help          Show this help
+
+Exit codes: 0 ok, 1 finished with errors, 2 bad usage or config, 130 cancelled`;
+
+// -------------------- Args --------------------
+function parseArgs(argv) {
+  const opts = { _: [] };
+  const takesValue = new Set(["config", "samples", "dest", "on-conflict", "threads", "rename", "instruments", "instrument-confidence"]);
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") { opts.help = true; continue; }
+    if (!a.startsWith("--")) { opts._.push(a); continue; }
+
+    const [name, inline] = a.slice(2).split(/=(.*)/s);
+    if (takesValue.has(name)) {
+      const val = inline ?? argv[++i];
+      if (val == null) throw new Error(`Missing value for --${name}`);
+      if (name === "samples") (opts.samples ||= []).push(val);
+      else opts[name] = val;
+    } else if (["dry-run", "move", "copy", "hardlink", "symlink", "no-bpm", "no-key", "write-tags", "split-loops", "no-cache", "incremental", "resume", "json", "quiet"].includes(name)) {
+      opts[name] = true;
+    } else {
+      throw new Error(`Unknown option --${name}`);
+    }
+  }
+  return opts;
+}
+
+function loadConfig(opts) {
+  const file = path.resolve(opts.config || path.join(__dirname, "config.json"));
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read config ${file}: ${err.message}`);
+  }
+  if (opts.samples) {
+    cfg.samplesDir = opts.samples[0];
+    cfg.sources = opts.samples.map(dir => ({ dir, enabled: true, packFormat: "" }));
+  }
+  if (opts.dest) cfg.destDir = opts.dest;
+  if (opts["dry-run"]) cfg.dryRun = true;
+  if (opts["on-conflict"]) {
+    if (!CONFLICT_POLICIES.includes(opts["on-conflict"])) {
+      throw new Error(`Unknown conflict policy "${opts["on-conflict"]}" (use ${CONFLICT_POLICIES.join(", ")})`);
+    }
+    cfg.conflictPolicy = opts["on-conflict"];
+  }
+  if (opts.threads != null) {
+    const n = Number(opts.threads);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid --threads "${opts.threads}" (use 0 or more)`);
+    cfg.workerThreads = n;
+  }
+  for (const mode of ["move", "copy", "hardlink", "symlink"]) {
+    if (opts[mode]) {
+      cfg.transferMode = mode;
+      cfg.moveFiles = mode === "move";
+    }
+  }
+  if (opts["no-bpm"]) cfg.sortByBPM = false;
+  if (opts["no-key"]) cfg.sortByKey = false;
+  if (opts["write-tags"]) cfg.writeTags = true;
+  if (opts["split-loops"]) cfg.splitLoops = true;
+  if (opts.rename != null) cfg.renameTemplate = opts.rename;
+  if (opts.instruments != null) {
+    if (!Object.hasOwn(INSTRUMENT_MODES, opts.instruments)) {
+      throw new Error(`Unknown instrument mode "${opts.instruments}" (use ${Object.keys(INSTRUMENT_MODES).join(", ")})`);
+    }
+    cfg.instrumentMode = opts.instruments;
+  }
+  if (opts["instrument-confidence"] != null) {
+    const n = Number(opts["instrument-confidence"]);
+    if (!(n >= 0 && n <= 1)) throw new Error(`Invalid --instrument-confidence "${opts["instrument-confidence"]}" (use 0 to 1)`);
+    cfg.instrumentConfidence = n;
+  }
+  if (opts["no-cache"]) cfg.useAnalysisCache = false;
+  if (opts.incremental) cfg.incrementalSync = true;
+  if (cfg.samplesDir) cfg.samplesDir = path.resolve(cfg.samplesDir);
+  if (Array.isArray(cfg.sources)) {
+    cfg.sources = cfg.sources.map(s => (s?.dir ? { ...s, dir: path.resolve(s.dir) } : s));
+  }
+  if (cfg.destDir) cfg.destDir = path.resolve(cfg.destDir);
+
+  if (opts.resume) {
+    const cp = cfg.destDir ? readCheckpoint(cfg.destDir) : null;
+    if (!cp) throw new Error(`No interrupted run to resume in ${cfg.destDir || "(no destination)"}`);
+    return { ...cp.config, resumeRunId: cp.runId };
+  }
+  return cfg;
+}
+
+// -------------------- Log sink --------------------
+// Stands in for webContents: the organizer and BPM/Key passes only call send()
+function createConsoleSink({ json = false, quiet = false } = {}) {
+  const stats = { errors: 0, warnings: 0, done: null };
+  const plain = (s) => String(s).replace(/<[^>]+>/g, "");
+
+  const print = (type, message) => {
+    if (type === "error") stats.errors++;
+    if (type === "warning") stats.warnings++;
+    if (quiet && type !== "error" && type !== "warning") return;
+
+    if (json) {
+      process.stdout.write(JSON.stringify({ event: "log", type, message: plain(message), time: new Date().toISOString() }) + "\n");
+      return;
+    }
+    const line = `[${type.toUpperCase()}] ${plain(message)}`;
+    if (type === "error") console.error(line);
+    else console.log(line);
+  };
+
+  return {
+    stats,
+    log: print,
+    send(channel, ...args) {
+      if (channel === "organizing-log") {
+        const [message, type = "info"] = args;
+        print(type, message);
+        return;
+      }
+      if (channel === "organizing-done") stats.done = args[0] || {};
+      if (json) {
+        process.stdout.write(JSON.stringify({ event: channel, data: args[0] ?? null, time: new Date().toISOString() }) + "\n");
+      }
+    },
+  };
+}
+
+// -------------------- BPM / Key --------------------
+async function runBpmPass(cfg, destDir, limitTo, journalId, sink, isCancelled) {
+  const scanDir = cfg.dryRun ? cfg.samplesDir : destDir;
+  const items = await prepareBpmFiles({ destDir: scanDir, config: cfg, limitTo }, sink);
+  if (!items.length) {
+    sink.log("warning", "No files found for BPM analysis.");
+    return 0;
+  }
+
+  const threshold = Number(cfg.BPMThreshold || 0);
+  const results = [];
+  const detections = []; // for the analysis cache, including "no BPM found"
+  let takenFromName = 0, detected = 0, failed = 0;
+  const progress = createProgress(sink, "bpm", items.map(it => it.file));
+
+  for (const [i, it] of items.entries()) {
+    if (isCancelled()) {
+      sink.log("warning", "BPM analysis cancelled.");
+      break;
+    }
+    progress.at(i);
+    const { file } = it;
+    if (isDuplicatesPath(file)) continue;
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".mid" || ext === ".midi") continue;
+
+    const name = path.basename(file);
+    const keyValue = cfg.sortByKey ? keyLabelFor(file, cfg) : null;
+
+    if (it.skipDetection && isFinite(it.bpmValue)) {
+      results.push({ file, bpmValue: it.bpmValue, keyValue });
+      takenFromName++;
+      continue;
+    }
+
+    try {
+      const audio = await decodeAudioFile(file, { maxBytes: MAX_DECODE_BYTES });
+      if (!audio) {
+        if (cfg.bpmDebug) sink.log("info", `No Node decoder for <b>${name}</b>; BPM skipped.`);
+        failed++;
+        continue;
+      }
+      if (audio.duration < threshold) continue;
+
+      const bpmValue = detectBpm(audio);
+      if (bpmValue == null) {
+        failed++;
+        detections.push({ file, bpmValue: null });
+        if (cfg.bpmDebug) sink.log("warning", `BPM not found for <b>${name}</b>`);
+        continue;
+      }
+      detected++;
+      if (cfg.bpmDebug) sink.log("success", `Detected BPM: <b>${bpmValue}</b> for <b>${name}</b>`);
+      results.push({ file, bpmValue, keyValue });
+      detections.push({ file, bpmValue, keyValue });
+    } catch (err) {
+      failed++;
+      if (cfg.bpmDebug) sink.log("warning", `Decode failed for <b>${name}</b>: ${err.message}`);
+    }
+  }
+  progress.finish({ cancelled: isCancelled() });
+
+  rememberBpmResults({ rootDir: cfg.destDir || destDir, items: detections, useAnalysisCache: cfg.useAnalysisCache });
+
+  if (cfg.dryRun) {
+    sink.log("info", `[DRY RUN] BPM Analysis run. Would move ${results.length} files `
+      + `(from name: ${takenFromName}, detected: ${detected}, failed: ${failed}).`);
+    return results.length;
+  }
+
+  const processed = await applyBpmResults({
+    items: results,
+    sortByKey: !!cfg.sortByKey,
+    dryRun: false,
+    rootDir: destDir,
+    journalId,
+    conflictPolicy: cfg.conflictPolicy,
+  });
+  sink.log("info", `BPM sorting complete. Processed: ${processed} `
+    + `(from name: ${takenFromName}, detected: ${detected}, failed: ${failed}).`);
+  return processed;
+}
+
+// -------------------- Commands --------------------
+async function organize(cfg, sink) {
+  let cancelled = false;
+  const onSigint = () => {
+    cancelled = true;
+    organizer.requestCancel();
+    sink.log("warning", "Cancelling…");
+  };
+  process.once("SIGINT", onSigint);
+
+  try {
+    await organizer.startOrganizing(cfg, sink);
+    const done = sink.stats.done;
+    if (!done) return cancelled ? EXIT_CANCELLED : EXIT_RUN_ERRORS;
+
+    const destDir = done.destDir;
+    const limitTo = (done.newFiles || []).map(f => path.resolve(f.dest || f));
+
+    // A path template (or the dry-run plan) already has files in their BPM/Key folders
+    if (limitTo.length && !cancelled && !done.templated && !done.plan) {
+      if (cfg.sortByBPM) {
+        sink.log("warning", "Starting BPM sort...");
+        await runBpmPass(cfg, destDir, limitTo, done.journalId, sink, () => cancelled);
+      }
+      if (cfg.sortByKey && !cancelled) {
+        sink.log("warning", "Applying Key subfolders…");
+        const moved = await applyKeyFolders({
+          rootDir: cfg.dryRun ? cfg.samplesDir : destDir,
+          extensions: cfg.extensions || [],
+          dryRun: !!cfg.dryRun,
+          debug: !!cfg.bpmDebug,
+          keyFromParent: !!cfg.keyFromParent,
+          keyNoteOnlyFallback: !!cfg.keyNoteOnlyFallback,
+          limitTo,
+          journalId: done.journalId,
+          conflictPolicy: cfg.conflictPolicy,
+          ignorePatterns: cfg.ignorePatterns,
+        }, sink);
+        sink.log("info", `Key sort complete. ${moved} file(s) updated.`);
+      }
+    }
+
+    if (cfg.writeTags && limitTo.length && !cancelled) {
+      sink.log("warning", "Writing tags…");
+      const tagged = await writeTagsPass({
+        rootDir: destDir,
+        journalId: done.journalId,
+        files: done.newFiles,
+        dryRun: !!cfg.dryRun,
+        debug: !!cfg.bpmDebug,
+        keyFromParent: !!cfg.keyFromParent,
+        keyNoteOnlyFallback: !!cfg.keyNoteOnlyFallback,
+        useAnalysisCache: cfg.useAnalysisCache,
+      }, sink);
+      sink.log("info", `${cfg.dryRun ? "[DRY RUN] Would tag" : "Tagging complete. Tagged"} ${tagged} file(s).`);
+    }
+
+    if (cancelled) {
+      if (!cfg.dryRun) sink.log("info", "Run with --resume to continue where it stopped.");
+      return EXIT_CANCELLED;
+    }
+    if (!cfg.dryRun && done.journalId) clearCheckpoint(destDir, done.journalId);
+    sink.log("info", cfg.dryRun ? "Dry run complete. No files altered." : "SampleSort complete!");
+    return sink.stats.errors ? EXIT_RUN_ERRORS : EXIT_OK;
+  } finally {
+    process.removeListener("SIGINT", onSigint);
+  }
+}
+
+async function undo(cfg, runId, sink) {
+  if (!cfg.destDir) throw new Error("Destination directory is empty.");
+  const id = runId || lastUndoableJournal(cfg.destDir)?.id;
+  if (!id) {
+    sink.log("warning", "No run to undo.");
+    return EXIT_OK;
+  }
+  const r = await undoJournal(cfg.destDir, id, sink);
+  sink.log("success", `Undid run ${id}: ${r.restored} moved back, ${r.removed} copies removed, `
+    + `${r.skipped} skipped, ${r.dirsRemoved} empty folders removed.`);
+  return sink.stats.errors ? EXIT_RUN_ERRORS : EXIT_OK;
+}
+
+async function apply(cfg, planFile, sink) {
+  if (!planFile) throw new Error("apply needs a plan file (.json or .csv)");
+  let cancelled = false;
+  const onSigint = () => {
+    cancelled = true;
+    organizer.requestCancel();
+  };
+  process.once("SIGINT", onSigint);
+  try {
+    const r = await organizer.applyPlan(path.resolve(planFile), cfg, sink);
+    if (cancelled) return EXIT_CANCELLED;
+    return (r.failed || sink.stats.errors) ? EXIT_RUN_ERRORS : EXIT_OK;
+  } finally {
+    process.removeListener("SIGINT", onSigint);
+  }
+}
+
+async function cache(cfg, action, sink) {
+  if (!cfg.destDir) throw new Error("Destination directory is empty.");
+  if (action === "clear") {
+    clearCache(cfg.destDir);
+    sink.log("success", `Analysis cache cleared for ${cfg.destDir}.`);
+    return EXIT_OK;
+  }
+  if (action === "rebuild") {
+    const onSigint = () => organizer.requestCancel();
+    process.once("SIGINT", onSigint);
+    try {
+      const r = await organizer.rebuildCache(cfg, sink);
+      return (!r || sink.stats.errors) ? EXIT_RUN_ERRORS : EXIT_OK;
+    } finally {
+      process.removeListener("SIGINT", onSigint);
+    }
+  }
+  throw new Error("cache needs an action: clear or rebuild");
+}
+
+function sync(cfg, action, sink) {
+  if (!cfg.destDir) throw new Error("Destination directory is empty.");
+  if (action !== "reset") throw new Error("sync needs an action: reset");
+  clearSyncState(cfg.destDir);
+  sink.log("success", `Sync state cleared for ${cfg.destDir}.`);
+  return EXIT_OK;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...rest] = opts._;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return opts.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  const sink = createConsoleSink({ json: !!opts.json, quiet: !!opts.quiet });
+  let cfg;
+  try {
+    cfg = loadConfig(opts);
+  } catch (err) {
+    sink.log("error", err.message);
+    return EXIT_USAGE;
+  }
+
+  try {
+    switch (command) {
+      case "organize": return await organize(cfg, sink);
+      case "undo": return await undo(cfg, rest[0], sink);
+      case "apply": return await apply(cfg, rest[0], sink);
+      case "cache": return await cache(cfg, rest[0], sink);
+      case "sync": return sync(cfg, rest[0], sink);
+      default:
+        console.error(`Unknown command: ${command}`);
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+  } catch (err) {
+    sink.log("error", err.message);
+    return EXIT_RUN_ERRORS;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, createConsoleSink };
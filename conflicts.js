@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+
+// What to do when a file with the same name is already at the destination.
+//   rename          keep both, the new one gets " (2)", " (3)", ...
+//   skip-identical  skip byte-identical files, otherwise keep both
+//   overwrite       replace the existing file
+//   keep-newer      replace it only if the incoming file was modified later
+//   keep-larger     replace it only if the incoming file is bigger
+// Every policy except rename skips byte-identical files.
+
+const CONFLICT_POLICIES = ["rename", "skip-identical", "overwrite", "keep-newer", "keep-larger"];
+
+function uniqueDestPath(dir, file) {
+  const ext = path.extname(file);
+  const base = path.basename(file, ext);
+  let candidate = path.join(dir, file);
+  let i = 2;
+  while (fs.existsSync(candidate)) {
+    candidate = path.join(dir, `${base} (${i})${ext}`);
+    i++;
+  }
+  return candidate;
+}
+
+// Byte-for-byte comparison, bailing out at the first difference
+function sameContent(a, b) {
+  const sa = fs.statSync(a);
+  const sb = fs.statSync(b);
+  if (sa.size !== sb.size) return false;
+  if (sa.ino && sa.dev === sb.dev && sa.ino === sb.ino) return true; // hardlinks
+
+  const CHUNK = 1024 * 1024;
+  const bufA = Buffer.alloc(CHUNK);
+  const bufB = Buffer.alloc(CHUNK);
+  const fa = fs.openSync(a, "r");
+  const fb = fs.openSync(b, "r");
+  try {
+    let pos = 0;
+    while (pos < sa.size) {
+      const n = fs.readSync(fa, bufA, 0, CHUNK, pos);
+      fs.readSync(fb, bufB, 0, CHUNK, pos);
+      if (n === 0) break;
+      if (bufA.compare(bufB, 0, n, 0, n) !== 0) return false;
+      pos += n;
+    }
+    return true;
+  } finally {
+    fs.closeSync(fa);
+    fs.closeSync(fb);
+  }
+}
+
+// copyFileSync stamps the copy with the current time; keep-newer compares
+// mtimes, so copies keep the source's times
+function copyWithTimes(src, dest) {
+  fs.copyFileSync(src, dest);
+  const st = fs.statSync(src);
+  fs.utimesSync(dest, st.atime, st.mtime);
+}
+
+// Decide where src goes in dir. Returns { dest, replace } or { skip: reason }.
+// replace means the file at dest has to be cleared out first (see replaceExisting).
+function resolveConflict(src, dir, name, policy = "rename") {
+  const target = path.join(dir, name);
+  let existing;
+  try {
+    existing = fs.statSync(target);
+  } catch {
+    return { dest: target, replace: false };
+  }
+  if (path.resolve(src) === path.resolve(target)) return { skip: "already in place" };
+
+  const keepBoth = { dest: uniqueDestPath(dir, name), replace: false };
+  const replace = { dest: target, replace: true };
+  if (!CONFLICT_POLICIES.includes(policy) || policy === "rename") return keepBoth;
+  if (sameContent(src, target)) return { skip: "identical file already there" };
+
+  const incoming = fs.statSync(src);
+  switch (policy) {
+    case "overwrite":
+      return replace;
+    case "keep-newer":
+      return incoming.mtimeMs > existing.mtimeMs ? replace : { skip: "existing file is newer" };
+    case "keep-larger":
+      return incoming.size > existing.size ? replace : { skip: "existing file is larger" };
+    default:
+      return keepBoth;
+  }
+}
+
+// Clear the way for a replacement: journaled runs keep the old file for undo
+function replaceExisting(target, journal) {
+  if (journal) journal.stash(target);
+  else fs.unlinkSync(target);
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  uniqueDestPath,
+  sameContent,
+  copyWithTimes,
+  resolveConflict,
+  replaceExisting,
+};
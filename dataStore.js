@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIRNAME } = require("./journal");
+
+// Small JSON files in a library's <destDir>/.samplesort folder: the analysis
+// cache and sync state (path-keyed { version, entries }), the run checkpoint
+// and the per-run reports.
+
+function dataFile(rootDir, name) {
+  return path.join(path.resolve(rootDir), DATA_DIRNAME, name);
+}
+
+function reportsDir(rootDir) {
+  return dataFile(rootDir, "reports");
+}
+
+// Newest <prefix>-*.json report for a destination, or null
+function latestReport(rootDir, prefix) {
+  const dir = reportsDir(rootDir);
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return null; }
+  const reports = names.filter(n => n.startsWith(`${prefix}-`) && n.endsWith(".json"))
+    .map(n => path.join(dir, n))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return reports[0] || null;
+}
+
+// Write then rename, so a crash never leaves half a file behind
+function writeJson(file, data, space) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, space));
+  fs.renameSync(tmp, file);
+}
+
+// What a path-keyed entry is trusted by: size and mtime (null for no file)
+function statKey(file) {
+  try {
+    const st = fs.statSync(file);
+    return st.isFile() ? { size: st.size, mtimeMs: Math.round(st.mtimeMs) } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Missing, corrupt or another version: no entries
+function loadEntries(file, version) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (data.version === version && data.entries && typeof data.entries === "object") {
+      return new Map(Object.entries(data.entries));
+    }
+  } catch { /* start over */ }
+  return new Map();
+}
+
+function saveEntries(file, version, entries) {
+  writeJson(file, { version, entries: Object.fromEntries(entries) });
+}
+
+module.exports = {
+  dataFile,
+  reportsDir,
+  latestReport,
+  writeJson,
+  statKey,
+  loadEntries,
+  saveEntries,
+};
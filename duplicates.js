@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+const { reportsDir, latestReport } = require("./dataStore");
+
+// Duplicate groups found by dedupe, saved per run in
+// <dest>/.samplesort/reports/duplicates-<runId>.json so they can be reviewed
+// later and resolved: keep one copy, move the others to _Duplicates.
+// Shared by the organizer (collect/apply) and the renderer's review view (rules).
+//
+// Member roles:
+//   library     in the Destination (already there, or placed by the run)
+//   quarantine  sent to _Duplicates by the run
+//   source      still in the Sample Directory (skipped, or a dry run)
+
+const DUPLICATE_RULES = {
+  "prefer-destination": "Prefer the copy in the Destination",
+  "shortest-path": "Prefer the shortest path",
+  "prefer-wav": "Prefer WAV/AIFF over other formats",
+  "largest": "Prefer the largest file",
+};
+
+const ROLE_RANK = { library: 0, quarantine: 1, source: 2 };
+const LOSSLESS_EXTS = new Set(["wav", "wave", "aif", "aiff", "aifc"]);
+
+function extOf(p) {
+  return path.extname(p).slice(1).toLowerCase();
+}
+
+// -------------------- Collecting --------------------
+
+// groups: Map of original path -> { members: [{ path, role }] }
+function noteDuplicate(groups, original, originalRole, dup, dupRole) {
+  let g = groups.get(original);
+  if (!g) groups.set(original, g = { members: [{ path: original, role: originalRole }] });
+  g.members.push({ path: dup, role: dupRole });
+}
+
+// placed: Map of source path -> destination path for files this run transferred
+function writeDuplicateReport(rootDir, runId, groups, { dryRun = false, placed = new Map() } = {}) {
+  const dir = reportsDir(rootDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `duplicates-${runId || Date.now()}.json`);
+
+  const out = [...groups.values()].map((g, i) => ({
+    id: i + 1,
+    members: g.members.map(m => (m.role === "source" && placed.has(m.path))
+      ? { path: placed.get(m.path), role: "library" }
+      : m),
+  }));
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    createdAt: new Date().toISOString(),
+    runId,
+    destDir: path.resolve(rootDir),
+    dryRun,
+    groups: out,
+  }, null, 2));
+  return file;
+}
+
+function readDuplicateReport(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(data.groups)) throw new Error("Not a duplicates report");
+  return data;
+}
+
+function saveDuplicateReport(file, report) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+}
+
+// Newest report for a destination, or null
+function latestDuplicateReport(rootDir) {
+  return latestReport(rootDir, "duplicates");
+}
+
+// -------------------- Reviewing --------------------
+
+// Add what the review view shows: size, modified time, format, existence
+function describeMember(m) {
+  let st = null;
+  try { st = fs.statSync(m.path); } catch {}
+  return {
+    ...m,
+    exists: !!st,
+    size: st ? st.size : null,
+    mtimeMs: st ? st.mtimeMs : null,
+    ext: extOf(m.path),
+    folder: path.dirname(m.path),
+  };
+}
+
+// Members still on disk, best first according to rule
+function rankMembers(members, rule = "prefer-destination") {
+  const byRole = (a, b) => ROLE_RANK[a.role] - ROLE_RANK[b.role];
+  const byLength = (a, b) => a.path.length - b.path.length;
+  const compare = {
+    "prefer-destination": [byRole, byLength],
+    "shortest-path": [byLength, byRole],
+    "prefer-wav": [(a, b) => LOSSLESS_EXTS.has(b.ext) - LOSSLESS_EXTS.has(a.ext), byRole, byLength],
+    "largest": [(a, b) => (b.size || 0) - (a.size || 0), byRole, byLength],
+  }[rule] || [byRole, byLength];
+
+  return members
+    .filter(m => m.exists !== false)
+    .slice()
+    .sort((a, b) => {
+      for (const c of compare) {
+        const d = c(a, b);
+        if (d) return d;
+      }
+      return 0;
+    });
+}
+
+function pickKeeper(members, rule) {
+  return rankMembers(members, rule)[0]?.path || null;
+}
+
+module.exports = {
+  DUPLICATE_RULES,
+  noteDuplicate,
+  writeDuplicateReport,
+  readDuplicateReport,
+  saveDuplicateReport,
+  latestDuplicateReport,
+  describeMember,
+  rankMembers,
+  pickKeeper,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+
+// Ignore rules for sources, in gitignore syntax: config.ignorePatterns apply
+// everywhere, a .samplesortignore file in a root adds its own (and can undo
+// global ones with "!"). Matching is case-insensitive, like the file systems
+// sample libraries usually live on.
+//
+//   Presets/          any folder named Presets (and everything in it)
+//   /Project Files    only at the top of the root
+//   *.asd             any file or folder ending in .asd
+//   Loops/**/*.mid    MIDI files anywhere under a top-level Loops folder
+//   !Keep.wav         bring back something an earlier rule excluded
+
+const IGNORE_FILE = ".samplesortignore";
+
+const escapeRe = (c) => c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+
+function globToRegExpSource(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*" && glob[i + 1] === "*") {
+      // "**/" is zero or more folders, "**" anywhere else matches across folders
+      if (glob[i + 2] === "/") { re += "(?:.*/)?"; i += 2; }
+      else { re += ".*"; i += 1; }
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[" && glob.indexOf("]", i + 2) > i) {
+      const end = glob.indexOf("]", i + 2);
+      const body = glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\");
+      re += `[${body}]`;
+      i = end;
+    } else if (c === "\\" && i + 1 < glob.length) {
+      re += escapeRe(glob[++i]);
+    } else {
+      re += escapeRe(c);
+    }
+  }
+  return re;
+}
+
+// One pattern line; null for blank lines and comments. Throws when invalid.
+function compileIgnorePattern(line, origin = "config") {
+  let p = String(line).replace(/(?<!\\)\s+$/, "");
+  if (!p || p.startsWith("#")) return null;
+
+  const source = p;
+  const negate = p.startsWith("!");
+  if (negate) p = p.slice(1);
+  else if (p.startsWith("\\!") || p.startsWith("\\#")) p = p.slice(1);
+
+  const dirOnly = p.endsWith("/");
+  p = p.replace(/\/+$/, "");
+  // A slash at the start or in the middle ties the pattern to the root
+  const anchored = p.includes("/");
+  p = p.replace(/^\/+/, "");
+  if (!p) return null;
+
+  const prefix = anchored || p.startsWith("**/") ? "^" : "^(?:.*/)?";
+  return { source, origin, negate, dirOnly, re: new RegExp(`${prefix}${globToRegExpSource(p)}$`, "i") };
+}
+
+// Error message for an invalid pattern, or null when it's fine
+function validateIgnorePattern(line) {
+  try {
+    compileIgnorePattern(line);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+function compileLines(lines, originOf, onError) {
+  const rules = [];
+  lines.forEach((line, i) => {
+    try {
+      const rule = compileIgnorePattern(line, originOf(i));
+      if (rule) rules.push(rule);
+    } catch (e) {
+      onError?.(`Invalid ignore pattern "${line}" (${originOf(i)}): ${e.message}`);
+    }
+  });
+  return rules;
+}
+
+// Rules for one root: config patterns first, then the root's own file, so the
+// file gets the last word. onError(message) hears about invalid lines.
+function createIgnore(rootDir, patterns = [], onError = null) {
+  const root = path.resolve(rootDir);
+  const file = path.join(root, IGNORE_FILE);
+  let fileLines = [];
+  try {
+    fileLines = fs.readFileSync(file, "utf-8").split(/\r?\n/);
+  } catch { /* no ignore file */ }
+
+  const rules = [
+    ...compileLines(Array.isArray(patterns) ? patterns : [], () => "config", onError),
+    ...compileLines(fileLines, (i) => `${file}:${i + 1}`, onError),
+  ];
+  const counts = new Map(); // rule -> files excluded
+
+  // The last matching rule decides, as in gitignore
+  function decide(rel, isDir) {
+    let hit = null;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.re.test(rel)) hit = rule;
+    }
+    return hit && !hit.negate ? hit : null;
+  }
+
+  // The rule excluding rel ("/"-separated, under the root), or null.
+  // Folders along the way are checked first: nothing inside an excluded folder comes back.
+  function match(rel, isDir = false) {
+    const parts = rel.split("/").filter(Boolean);
+    for (let i = 1; i <= parts.length; i++) {
+      const rule = decide(parts.slice(0, i).join("/"), i < parts.length || isDir);
+      if (rule) return rule;
+    }
+    return null;
+  }
+
+  function relOf(absPath) {
+    const rel = path.relative(root, path.resolve(absPath));
+    if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+    return rel.split(path.sep).join("/");
+  }
+
+  const count = (rule, n) => counts.set(rule, (counts.get(rule) || 0) + n);
+
+  return {
+    rootDir: root,
+    get size() { return rules.length; },
+
+    // Walkers: true when absPath is excluded. An excluded folder counts
+    // every file under it, so the totals are in files either way.
+    skip(absPath, isDir = false) {
+      if (!rules.length) return false;
+      const rel = relOf(absPath);
+      const rule = rel && match(rel, isDir);
+      if (!rule) return false;
+      count(rule, isDir ? countFiles(absPath) : 1);
+      return true;
+    },
+
+    // A file inside an archive, matched as if the archive were a folder
+    // (named like the archive, without extension) next to it
+    skipInArchive(archivePath, innerRel) {
+      if (!rules.length) return false;
+      const archiveRel = relOf(archivePath.replace(/\.[^./\\]+$/, ""));
+      if (!archiveRel) return false;
+      const rule = match(`${archiveRel}/${innerRel.split(path.sep).join("/")}`);
+      if (rule) count(rule, 1);
+      return !!rule;
+    },
+
+    // [{ rule, origin, files }] since the last call
+    takeCounts() {
+      const out = [...counts].map(([rule, files]) => ({ rule: rule.source, origin: rule.origin, files }));
+      counts.clear();
+      return out;
+    },
+  };
+}
+
+function countFiles(dir) {
+  let n = 0;
+  try {
+    for (const e of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (e.isDirectory()) n += countFiles(path.join(dir, e.name));
+      else n++;
+    }
+  } catch { /* unreadable: nothing to count */ }
+  return n;
+}
+
+// Log line for one takeCounts() entry
+function ignoredMessage({ rule, origin, files }) {
+  return `Ignored ${files} file(s) by rule <b>${rule}</b> (${origin}).`;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  compileIgnorePattern,
+  validateIgnorePattern,
+  createIgnore,
+  ignoredMessage,
+};
@@ -0,0 +1,171 @@
+const { canDecode, decodeAudioFile } = require("./audioDecode");
+const { fft } = require("./fft");
+
+// Offline instrument guess for files no category matched. Four features,
+// measured on the first few seconds of the mono mix:
+//
+//   centroid   spectral centroid in Hz (bright hats vs dark kicks and basses)
+//   zcr        zero crossings per sample (noise-like hats and snares cross often)
+//   attack     ms from the first audible frame to 80% of the peak level
+//   low        share of the spectral energy below 150 Hz
+//
+// plus the duration and how much is still sounding in the second half, which
+// separate a kick from a bass note and a pad from a vocal phrase. Every
+// instrument has a profile of typical ranges; each feature scores 1 inside its
+// range and falls to 0 by a factor of SOFTNESS outside. The best profile wins,
+// and its confidence drops when another one scores nearly as well.
+
+const INSTRUMENTS = {
+  kick: ["kick", "kicks", "bass drum", "bd"],
+  snare: ["snare", "snares", "sd"],
+  hat: ["hat", "hats", "hihat", "hihats", "hi hat", "hi hats", "hh"],
+  clap: ["clap", "claps"],
+  bass: ["bass", "basses", "808", "808s", "sub"],
+  pad: ["pad", "pads"],
+  vocal: ["vocal", "vocals", "vox", "voice"],
+  fx: ["fx", "sfx", "effect", "effects"],
+};
+
+// [lo, hi] per feature; null leaves that side open
+const PROFILES = {
+  kick: { duration: [0.1, 1.5], sustain: [null, 0.15], centroid: [40, 400], zcr: [null, 0.02], attack: [null, 15], low: [0.4, null] },
+  snare: { duration: [0.08, 1], sustain: [null, 0.2], centroid: [900, 5000], zcr: [0.04, 0.3], attack: [null, 10], low: [null, 0.3] },
+  hat: { duration: [0.03, 1.5], sustain: [null, 0.3], centroid: [7000, null], zcr: [0.2, null], attack: [null, 5], low: [null, 0.03] },
+  clap: { duration: [0.1, 0.8], sustain: [null, 0.2], centroid: [1000, 4000], zcr: [0.08, 0.3], attack: [5, 40], low: [null, 0.1] },
+  bass: { duration: [0.3, null], sustain: [0.2, null], centroid: [30, 500], zcr: [null, 0.02], attack: [null, 80], low: [0.4, null] },
+  pad: { duration: [1.5, null], sustain: [0.4, null], centroid: [250, 3000], zcr: [0.005, 0.1], attack: [100, null], low: [null, 0.4] },
+  vocal: { duration: [0.5, null], sustain: [0.1, 0.8], centroid: [400, 3000], zcr: [0.02, 0.15], attack: [10, 200], low: [null, 0.2] },
+  fx: { duration: [1, null], centroid: [1500, null], zcr: [0.05, null], attack: [20, null] },
+};
+
+const ANALYZE_SEC = 3;
+const FFT_SIZE = 2048;
+const ENV_SEC = 0.005;
+const LOW_HZ = 150;
+const SOFTNESS = 2;
+const SILENCE = 1e-4;
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+
+function monoMix(audio, length) {
+  const out = new Float32Array(length);
+  for (let c = 0; c < audio.numberOfChannels; c++) {
+    const data = audio.getChannelData(c);
+    for (let i = 0; i < length; i++) out[i] += data[i] / audio.numberOfChannels;
+  }
+  return out;
+}
+
+// Energy-weighted centroid and low-band share over Hann-windowed frames
+function spectralFeatures(mono, sampleRate) {
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const binHz = sampleRate / FFT_SIZE;
+  let weighted = 0, total = 0, low = 0;
+
+  for (let start = 0; start + FFT_SIZE <= Math.max(mono.length, FFT_SIZE); start += FFT_SIZE / 2) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1));
+      re[i] = (mono[start + i] || 0) * w;
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 1; k < FFT_SIZE / 2; k++) {
+      const p = re[k] * re[k] + im[k] * im[k];
+      weighted += p * k * binHz;
+      total += p;
+      if (k * binHz < LOW_HZ) low += p;
+    }
+  }
+  return total > 0 ? { centroid: weighted / total, low: low / total } : null;
+}
+
+// Attack time and how much of the peak level the second half keeps
+function envelopeFeatures(mono, sampleRate) {
+  const hop = Math.max(1, Math.round(sampleRate * ENV_SEC));
+  const env = [];
+  for (let s = 0; s < mono.length; s += hop) {
+    let sum = 0;
+    const end = Math.min(mono.length, s + hop);
+    for (let i = s; i < end; i++) sum += mono[i] * mono[i];
+    env.push(Math.sqrt(sum / (end - s)));
+  }
+  const peak = env.reduce((a, v) => Math.max(a, v), 0);
+  const start = env.findIndex(v => v > peak * 0.1);
+  const peakAt = env.findIndex(v => v >= peak * 0.8);
+  const half = env.slice(Math.floor(env.length / 2));
+  const tail = half.reduce((a, v) => a + v, 0) / Math.max(1, half.length);
+  return { peak, attack: (peakAt - start) * ENV_SEC * 1000, sustain: peak > 0 ? tail / peak : 0 };
+}
+
+function zeroCrossings(mono) {
+  let n = 0, counted = 0;
+  for (let i = 1; i < mono.length; i++) {
+    if (Math.abs(mono[i]) < SILENCE && Math.abs(mono[i - 1]) < SILENCE) continue;
+    counted++;
+    if ((mono[i] >= 0) !== (mono[i - 1] >= 0)) n++;
+  }
+  return counted ? n / counted : 0;
+}
+
+// Features of an AudioBuffer-like object, or null for silence
+function instrumentFeatures(audio) {
+  const length = Math.min(audio.length, Math.round(audio.sampleRate * ANALYZE_SEC));
+  const mono = monoMix(audio, length);
+  const env = envelopeFeatures(mono, audio.sampleRate);
+  if (env.peak < SILENCE) return null;
+  const spectral = spectralFeatures(mono, audio.sampleRate);
+  if (!spectral) return null;
+  // The second half of a long file says more about sustain than the first 3 s
+  const sustain = audio.length > length
+    ? envelopeFeatures(monoMix(audio, audio.length), audio.sampleRate).sustain
+    : env.sustain;
+  return {
+    duration: audio.duration,
+    sustain,
+    attack: env.attack,
+    zcr: zeroCrossings(mono),
+    ...spectral,
+  };
+}
+
+// 1 inside [lo, hi], falling to 0 at a factor of SOFTNESS outside
+function band(x, [lo, hi]) {
+  const v = Math.max(x, 1e-6);
+  if (lo != null && v < lo) return Math.max(0, 1 - Math.log(lo / v) / Math.log(SOFTNESS));
+  if (hi != null && v > hi) return Math.max(0, 1 - Math.log(v / hi) / Math.log(SOFTNESS));
+  return 1;
+}
+
+// { instrument, confidence (0-1), scores } for a feature set
+function classifyInstrument(features) {
+  const scores = {};
+  for (const [name, profile] of Object.entries(PROFILES)) {
+    const keys = Object.keys(profile);
+    scores[name] = keys.reduce((sum, k) => sum + band(features[k], profile[k]), 0) / keys.length;
+  }
+  const [[best, top], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const confidence = top * (1 - (second / top) ** 4);
+  return { instrument: best, confidence: Number(confidence.toFixed(2)), scores };
+}
+
+// { instrument, confidence } for a WAV/AIFF file; null when it can't be decoded here or is silent
+async function classifyInstrumentFile(filePath, { maxBytes = MAX_DECODE_BYTES } = {}) {
+  if (!canDecode(filePath)) return null;
+  try {
+    const audio = await decodeAudioFile(filePath, { maxBytes });
+    const features = audio?.length ? instrumentFeatures(audio) : null;
+    if (!features) return null;
+    const { instrument, confidence } = classifyInstrument(features);
+    return { instrument, confidence };
+  } catch (e) {
+    if (e.code === "E_TOO_LARGE") return null;
+    throw e;
+  }
+}
+
+module.exports = {
+  INSTRUMENTS,
+  instrumentFeatures,
+  classifyInstrument,
+  classifyInstrumentFile,
+};
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+const { reportsDir, latestReport } = require("./dataStore");
+
+// Instrument suggestions for files that went to Miscellaneous, saved per run in
+// <dest>/.samplesort/reports/instruments-<runId>.json so they can be reviewed
+// and moved into the suggested (or another) category later.
+// Shared by the organizer (collect/apply) and the renderer's review view.
+//
+// Items: { id, src, dest, instrument, confidence, main, category, resolved? }
+// where main/category is the suggested category (null when no category fits
+// the instrument) and dest is where the run placed the file.
+
+const INSTRUMENT_MODES = {
+  off: "Off",
+  review: "Suggest, and list them for review",
+  auto: "Apply above the confidence threshold, list the rest",
+};
+
+// withMain: whether categories sit below their main folder in this layout
+function writeInstrumentReport(rootDir, runId, items, { dryRun = false, withMain = true } = {}) {
+  const dir = reportsDir(rootDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `instruments-${runId || Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    version: 1,
+    createdAt: new Date().toISOString(),
+    runId,
+    destDir: path.resolve(rootDir),
+    dryRun,
+    withMain,
+    items: items.map((item, i) => ({ id: i + 1, ...item })),
+  }, null, 2));
+  return file;
+}
+
+function readInstrumentReport(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(data.items)) throw new Error("Not an instruments report");
+  return data;
+}
+
+function saveInstrumentReport(file, report) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+}
+
+// Newest report for a destination, or null
+function latestInstrumentReport(rootDir) {
+  return latestReport(rootDir, "instruments");
+}
+
+// Where a file in the Miscellaneous folder goes for category { main, category }:
+// the Miscellaneous level is swapped for the category's, everything below
+// (pack, BPM and Key folders) is kept. null when the file isn't in one.
+function recategorizedPath(rootDir, file, { main, category }, { withMain = true } = {}) {
+  const segs = path.relative(path.resolve(rootDir), file).split(path.sep);
+  const i = segs.slice(0, -1).indexOf("Miscellaneous");
+  if (i === -1 || !category) return null;
+  const level = withMain && main ? [main, category] : [category];
+  return path.join(path.resolve(rootDir), ...segs.slice(0, i), ...level, ...segs.slice(i + 1));
+}
+
+module.exports = {
+  INSTRUMENT_MODES,
+  writeInstrumentReport,
+  readInstrumentReport,
+  saveInstrumentReport,
+  latestInstrumentReport,
+  recategorizedPath,
+};
@@ -0,0 +1,323 @@
+const fs = require("fs");
+const path = require("path");
+const { copyWithTimes } = require("./conflicts");
+
+// --- Helpers --------------------------------------------------
+
+// Per-library app data lives in a hidden folder inside the destination,
+// so walkers that skip dotfiles never pick it up.
+const DATA_DIRNAME = ".samplesort";
+
+function journalDir(rootDir) {
+  return path.join(path.resolve(rootDir), DATA_DIRNAME, "journals");
+}
+
+function newRunId() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const rand = Math.random().toString(36).slice(2, 6);
+  return `${stamp}_${rand}`;
+}
+
+function appendLine(file, obj) {
+  fs.appendFileSync(file, JSON.stringify(obj) + "\n");
+}
+
+// lstat-based: a symlink whose target is gone still counts as present
+function pathPresent(p) {
+  try { fs.lstatSync(p); return true; } catch { return false; }
+}
+
+function readEntries(file) {
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { /* torn last line after a crash */ }
+  }
+  return out;
+}
+
+function moveBack(src, dest) {
+  try {
+    fs.renameSync(src, dest);
+  } catch (e) {
+    if (e.code === "EXDEV") {
+      copyWithTimes(src, dest);
+      fs.unlinkSync(src);
+    } else {
+      throw e;
+    }
+  }
+}
+
+// --- Journal --------------------------------------------------
+
+// Open (or continue) a run journal. Every line is written as it happens,
+// so a crash mid-run still leaves an undoable record.
+function createJournal(rootDir, { kind = "organize", id } = {}) {
+  const dir = journalDir(rootDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const runId = id || newRunId();
+  const file = path.join(dir, `${runId}.jsonl`);
+  if (!fs.existsSync(file)) {
+    appendLine(file, {
+      type: "run",
+      id: runId,
+      kind,
+      rootDir: path.resolve(rootDir),
+      startedAt: new Date().toISOString(),
+    });
+  }
+
+  let stashed = 0;
+  function stash(target) {
+    const root = path.resolve(rootDir);
+    const rel = path.relative(root, path.resolve(target));
+    const backup = path.join(root, DATA_DIRNAME, "replaced", runId,
+      rel.startsWith("..") ? path.basename(target) : rel);
+    fs.mkdirSync(path.dirname(backup), { recursive: true });
+    moveBack(target, backup);
+    appendLine(file, { type: "op", op: "move", src: target, dest: backup, replaced: true, at: Date.now() });
+    stashed++;
+    return backup;
+  }
+
+  return {
+    id: runId,
+    file,
+    // Originals this journal object set aside in replaced/<run>/
+    get stashed() { return stashed; },
+    // op: "move" | "copy" | "hardlink" | "symlink"; extra carries e.g. { archive } for extracted files
+    record(op, src, dest, extra = {}) {
+      appendLine(file, { type: "op", op, src, dest, ...extra, at: Date.now() });
+    },
+    // Set aside a file that is about to be replaced; undo moves it back
+    stash,
+    // Swap target for a rewritten version of it (tmp, e.g. with new tags). The
+    // original is stashed and the new file recorded as a copy of it, so undo
+    // deletes the rewrite before moving the original back.
+    rewrite(target, tmp) {
+      const backup = stash(target);
+      moveBack(tmp, target);
+      appendLine(file, { type: "op", op: "copy", src: backup, dest: target, replaced: true, at: Date.now() });
+      return backup;
+    },
+    // mkdir -p that remembers the topmost folder it had to create
+    mkdirp(target) {
+      const created = fs.mkdirSync(target, { recursive: true });
+      if (created) appendLine(file, { type: "mkdir", dir: target, top: created });
+    },
+  };
+}
+
+function summarize(file) {
+  const entries = readEntries(file);
+  const head = entries.find(e => e.type === "run") || {};
+  return {
+    id: head.id || path.basename(file, ".jsonl"),
+    kind: head.kind || "organize",
+    rootDir: head.rootDir || null,
+    startedAt: head.startedAt || null,
+    ops: entries.filter(e => e.type === "op").length,
+    undone: entries.some(e => e.type === "undo"),
+  };
+}
+
+// Newest first
+function listJournals(rootDir) {
+  const dir = journalDir(rootDir);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(n => n.endsWith(".jsonl"))
+    .sort()
+    .reverse()
+    .map(n => summarize(path.join(dir, n)));
+}
+
+function lastUndoableJournal(rootDir) {
+  return listJournals(rootDir).find(j => !j.undone && j.ops > 0) || null;
+}
+
+// Files a run placed, as { src, dest, op, archive? } with dest where the file
+// ended up: later moves in the same journal (BPM/Key folders) are followed,
+// op stays the transfer that placed it.
+function journalTransfers(rootDir, id) {
+  const file = path.join(journalDir(rootDir), `${id}.jsonl`);
+  if (!fs.existsSync(file)) return [];
+
+  const byDest = new Map();
+  for (const e of readEntries(file)) {
+    if (e.type !== "op" || e.replaced) continue;
+    const prev = byDest.get(e.src);
+    if (prev) {
+      byDest.delete(e.src);
+      prev.dest = e.dest;
+      byDest.set(e.dest, prev);
+    } else {
+      const placed = { src: e.src, dest: e.dest, op: e.op };
+      byDest.set(e.dest, e.archive ? { ...placed, archive: e.archive } : placed);
+    }
+  }
+  return [...byDest.values()];
+}
+
+// Reverse a run: delete copies and links, move moved files home, then drop the
+// folders the run created if they ended up empty.
+async function undoJournal(rootDir, id, webContents) {
+  const file = path.join(journalDir(rootDir), `${id}.jsonl`);
+  if (!fs.existsSync(file)) throw new Error(`No journal found for run ${id}`);
+
+  const entries = readEntries(file);
+  if (entries.some(e => e.type === "undo")) throw new Error(`Run ${id} was already undone`);
+
+  const log = (msg, type = "info") => webContents?.send("organizing-log", msg, type);
+  let restored = 0, removed = 0, skipped = 0;
+
+  const pruned = entries.some(e => e.type === "pruned");
+  const ops = entries.filter(e => e.type === "op").reverse();
+  let i = 0;
+  for (const e of ops) {
+    const name = path.basename(e.dest);
+    try {
+      if (e.replaced && pruned && !pathPresent(e.dest)) {
+        log(`Undo: the replaced original of <b>${name}</b> was pruned and can't be put back.`, "warning");
+        skipped++;
+      } else if (!pathPresent(e.dest)) {
+        log(`Undo: <b>${name}</b> is no longer at <b>${e.dest}</b>. Skipped.`, "warning");
+        skipped++;
+      } else if (e.replaced && e.op === "copy" && !pathPresent(e.src)) {
+        // A rewrite whose original was pruned: the rewritten file is all that's left
+        log(`Undo: the original of <b>${name}</b> was pruned, so the rewritten file is kept.`, "warning");
+        skipped++;
+      } else if (e.op === "copy" || e.op === "hardlink" || e.op === "symlink") {
+        fs.unlinkSync(e.dest);
+        removed++;
+      } else if (e.archive) {
+        // Moved out of an extraction temp folder: only safe to drop if the archive is still around
+        if (fs.existsSync(e.archive)) {
+          fs.unlinkSync(e.dest);
+          removed++;
+        } else {
+          log(`Undo: archive <b>${path.basename(e.archive)}</b> was deleted, keeping <b>${e.dest}</b>.`, "warning");
+          skipped++;
+        }
+      } else if (fs.existsSync(e.src)) {
+        log(`Undo: <b>${e.src}</b> already exists. Left <b>${name}</b> in place.`, "warning");
+        skipped++;
+      } else {
+        fs.mkdirSync(path.dirname(e.src), { recursive: true });
+        moveBack(e.dest, e.src);
+        restored++;
+      }
+    } catch (err) {
+      log(`Undo failed for <b>${name}</b>: ${err.message}`, "error");
+      skipped++;
+    }
+    if ((++i % 50) === 0) await new Promise(r => setImmediate(r));
+  }
+
+  // Folders: deepest first, stop at the first one that still has content
+  const dirs = entries.filter(e => e.type === "mkdir").reverse();
+  let dirsRemoved = 0;
+  for (const { dir, top } of dirs) {
+    let cur = dir;
+    while (cur.length >= top.length) {
+      try { fs.rmdirSync(cur); dirsRemoved++; } catch { break; }
+      if (cur === top) break;
+      cur = path.dirname(cur);
+    }
+  }
+
+  // Originals that went back leave empty folders; ones that couldn't stay put
+  const replaced = replacedDir(rootDir, id);
+  try {
+    if (fs.existsSync(replaced) && !dirUsage(replaced).files) fs.rmSync(replaced, { recursive: true, force: true });
+  } catch { /* best effort */ }
+
+  const result = { restored, removed, skipped, dirsRemoved };
+  appendLine(file, { type: "undo", at: new Date().toISOString(), ...result });
+  return result;
+}
+
+// --- Replaced originals ---------------------------------------
+
+// Files a run replaced (conflict overwrites, tag rewrites of moved files) are
+// kept whole in replaced/<run>/ so undo can put them back. Only the newest
+// KEEP_REPLACED_RUNS runs keep them; undoing an older run keeps the new files.
+const KEEP_REPLACED_RUNS = 10;
+
+function replacedDir(rootDir, id) {
+  return path.join(path.resolve(rootDir), DATA_DIRNAME, "replaced", id);
+}
+
+function dirUsage(dir) {
+  let files = 0, bytes = 0;
+  for (const d of fs.readdirSync(dir, { withFileTypes: true })) {
+    const p = path.join(dir, d.name);
+    if (d.isDirectory()) {
+      const sub = dirUsage(p);
+      files += sub.files;
+      bytes += sub.bytes;
+    } else {
+      files++;
+      bytes += fs.lstatSync(p).size;
+    }
+  }
+  return { files, bytes };
+}
+
+// Delete the replaced originals of all but the newest `keep` runs (and folders
+// undo emptied). Pruned journals get a "pruned" line. Returns what's left:
+// { runs, bytes, pruned }
+function pruneReplaced(rootDir, keep = KEEP_REPLACED_RUNS) {
+  const base = path.join(path.resolve(rootDir), DATA_DIRNAME, "replaced");
+  const out = { runs: 0, bytes: 0, pruned: 0 };
+  if (!fs.existsSync(base)) return out;
+
+  // Run ids start with their ISO timestamp: newest first
+  const ids = fs.readdirSync(base, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .sort()
+    .reverse();
+  for (const id of ids) {
+    const dir = replacedDir(rootDir, id);
+    const { files, bytes } = dirUsage(dir);
+    if (files && out.runs < keep) {
+      out.runs++;
+      out.bytes += bytes;
+      continue;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (!files) continue;
+    out.pruned++;
+    const file = path.join(journalDir(rootDir), `${id}.jsonl`);
+    if (fs.existsSync(file)) appendLine(file, { type: "pruned", at: new Date().toISOString(), files, bytes });
+  }
+  return out;
+}
+
+// After a run that set originals aside: prune, then say how much disk they take
+function reportReplaced(rootDir, webContents) {
+  const log = (msg, type = "info") => webContents?.send("organizing-log", msg, type);
+  try {
+    const { runs, bytes, pruned } = pruneReplaced(rootDir);
+    const where = path.join(path.resolve(rootDir), DATA_DIRNAME, "replaced");
+    log(`Replaced originals kept for undo: ${(bytes / 1024 ** 2).toFixed(1)} MB from ${runs} run(s) in <b>${where}</b>.`, "info");
+    if (pruned) log(`Deleted the replaced originals of ${pruned} older run(s); undoing those keeps the new files.`, "info");
+  } catch (e) {
+    log(`Could not prune replaced originals: ${e.message}`, "warning");
+  }
+}
+
+module.exports = {
+  DATA_DIRNAME,
+  KEEP_REPLACED_RUNS,
+  createJournal,
+  pruneReplaced,
+  reportReplaced,
+  listJournals,
+  lastUndoableJournal,
+  journalTransfers,
+  undoJournal,
+};
@@ -0,0 +1,287 @@
+// Keyword syntax for category rules, shared by the organizer, config
+// validation in main and the category editor in the renderer.
+//
+//   kick           plain: case-insensitive substring, "-" and "_" count as spaces
+//   kick_??        glob:  * and ? wildcards, matched against the whole name (no extension)
+//   /^hh[_ -]?open/i   regex: JavaScript RegExp, matched against the raw name (no extension)
+
+//
+// A rule's matchIn lists where its keywords are looked for (MATCH_SOURCES);
+// without it, the file name and (with checkParentFolder) the parent folder.
+// A rule's sampleType (SAMPLE_TYPES) limits it to loops or one-shots as
+// classified from the audio; with no keywords it matches every such file.
+//
+// pickCategory matches a file against the flattened rules, first match in
+// tree order or (matchMode "best") the highest score.
+
+const REGEX_KEYWORD_RE = /^\/(.+)\/([a-z]*)$/s;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+// In the order they're tried; everything after "parent" is an embedded tag
+const MATCH_SOURCES = {
+  name: "File name",
+  parent: "Parent folder",
+  title: "Title (ID3 / RIFF INAM)",
+  genre: "Genre (ID3 / RIFF IGNR)",
+  comment: "Comment (ID3 / RIFF ICMT)",
+  description: "BWF description",
+  instrument: "Apple Loops instrument",
+};
+const TAG_SOURCES = Object.keys(MATCH_SOURCES).slice(2);
+
+// Rule condition values, and the folder each gets in the Loops / One-Shots split
+const SAMPLE_TYPES = {
+  loop: "Loops",
+  "one-shot": "One-Shots",
+};
+
+// A rule's matchIn, cleaned up; null means the default sources
+function normalizeMatchIn(list) {
+  if (!Array.isArray(list)) return null;
+  const out = Object.keys(MATCH_SOURCES).filter(src => list.includes(src));
+  return out.length ? out : null;
+}
+
+// normalize strings for keyword matching
+function normalizeString(s) {
+  return String(s)
+    .toLowerCase()
+    .replace(/[-_]+/g, " ")   // treat - and _ like spaces
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isRegexKeyword(k) { return REGEX_KEYWORD_RE.test(String(k).trim()); }
+function isGlobKeyword(k) { return !isRegexKeyword(k) && /[*?]/.test(String(k)); }
+
+function globToRegExp(glob) {
+  const body = String(glob).trim()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  return new RegExp(`^${body}$`, "i");
+}
+
+// Compile one keyword; throws on an invalid pattern
+function compileKeyword(keyword) {
+  const raw = String(keyword).trim();
+  const m = raw.match(REGEX_KEYWORD_RE);
+  if (m) {
+    if (!ALLOWED_FLAGS.test(m[2])) throw new Error(`Unsupported regex flags "${m[2]}" (use i, m, s or u)`);
+    return { type: "regex", source: raw, re: new RegExp(m[1], m[2]) };
+  }
+  if (/[*?]/.test(raw)) return { type: "glob", source: raw, re: globToRegExp(raw) };
+  return { type: "text", source: raw, text: normalizeString(raw) };
+}
+
+// Error message for an invalid keyword, or null when it's fine
+function validateKeyword(keyword) {
+  try {
+    compileKeyword(keyword);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Compile a list, dropping (and reporting) invalid entries
+function compileKeywords(list, onError) {
+  const out = [];
+  for (const k of (Array.isArray(list) ? list : [])) {
+    if (!String(k).trim()) continue;
+    try {
+      const c = compileKeyword(k);
+      if (c.type !== "text" || c.text) out.push(c);
+    } catch (e) {
+      if (onError) onError(k, e.message);
+    }
+  }
+  return out;
+}
+
+// hay: raw name; patternHay: same name without extension (for globs/regex)
+function keywordMatches(c, hay, patternHay = hay) {
+  if (c.type === "text") return normalizeString(hay).includes(c.text);
+  c.re.lastIndex = 0;
+  return c.re.test(patternHay);
+}
+
+// One flattened rule ({ patterns, exclude, matchAll, sampleType }) against one
+// haystack. hay: raw name; patternHay: name without extension for glob/regex
+// keywords. Rules with a sampleType were already narrowed to files of that type, so
+// one without keywords matches on the condition alone.
+function matchesKeywords(ent, hay, patternHay = hay) {
+  const ps = ent.patterns || compileKeywords(ent.keywords);
+  if (ps.length === 0) return !!ent.sampleType;
+  // Any exclude hit rejects the category so the next rule gets a chance
+  if ((ent.exclude || []).some(p => keywordMatches(p, hay, patternHay))) return false;
+  return ent.matchAll
+    ? ps.every(p => keywordMatches(p, hay, patternHay))
+    : ps.some(p => keywordMatches(p, hay, patternHay));
+}
+
+// matchMode "best": every category is scored and the highest wins, instead of
+// the first match in tree order.
+const FILENAME_WEIGHT = 2; // a file-name (or title tag) hit outweighs the same hit elsewhere
+
+// Longer / multi-word keywords are more specific than short ones
+function keywordSpecificity(c) {
+  if (c.type === "text") return c.text.replace(/ /g, "").length + 2 * (c.text.split(" ").length - 1);
+  const literal = c.type === "regex"
+    ? c.source.replace(/^\/|\/[a-z]*$/g, "").replace(/\\./g, "")
+    : c.source;
+  return literal.replace(/[^a-z0-9 ]/gi, "").length;
+}
+
+// A condition-only rule scores below a single keyword hit in any one source,
+// even summed over name and parent folder
+function scoreCategory(ent, hay, patternHay = hay) {
+  const ps = ent.patterns || compileKeywords(ent.keywords);
+  if (ps.length === 0) return ent.sampleType ? 0.5 : 0;
+  if ((ent.exclude || []).some(p => keywordMatches(p, hay, patternHay))) return 0;
+  const hits = ps.filter(p => keywordMatches(p, hay, patternHay));
+  if (!hits.length || (ent.matchAll && hits.length < ps.length)) return 0;
+  return hits.reduce((sum, p) => sum + 1 + keywordSpecificity(p), 0);
+}
+
+// Where a rule looks: its matchIn, or the file name plus the parent folder
+// when checkParentFolder is on
+function ruleSources(ent, config) {
+  return ent.matchIn || (config.checkParentFolder ? ["name", "parent"] : ["name"]);
+}
+
+// The haystacks of one file per match source: { [source]: { hay, patternHay } }
+function matchHaystacks({ fileName, fileStem, parentFolder }, tags = {}) {
+  const hays = { name: { hay: fileName, patternHay: fileStem } };
+  if (parentFolder) hays.parent = { hay: parentFolder, patternHay: parentFolder };
+  for (const src of TAG_SOURCES) {
+    if (tags[src]) hays[src] = { hay: tags[src], patternHay: tags[src] };
+  }
+  return hays;
+}
+
+// Returns { matched, via, tied } where via is the match source that decided
+// and tied lists the other categories that scored the same as the winner
+// (best mode only). First mode tries each source in MATCH_SOURCES order
+// across all rules before moving on to the next one.
+function pickCategory(spec, hays, config) {
+  const order = Object.keys(MATCH_SOURCES).filter(src => hays[src]);
+
+  if (config.matchMode !== "best") {
+    for (const src of order) {
+      const { hay, patternHay } = hays[src];
+      for (const ent of spec) {
+        if (ruleSources(ent, config).includes(src) && matchesKeywords(ent, hay, patternHay)) {
+          return { matched: ent, via: src, tied: [] };
+        }
+      }
+    }
+    return { matched: null, via: null, tied: [] };
+  }
+
+  let best = [];
+  let bestScore = 0;
+  for (const ent of spec) {
+    const sources = ruleSources(ent, config);
+    let score = 0;
+    let via = null; // first source that contributed
+    for (const src of order) {
+      if (!sources.includes(src)) continue;
+      const weight = src === "name" || src === "title" ? FILENAME_WEIGHT : 1;
+      const s = weight * scoreCategory(ent, hays[src].hay, hays[src].patternHay);
+      if (s && !via) via = src;
+      score += s;
+    }
+    if (score === 0 || score < bestScore) continue;
+    if (score > bestScore) { best = []; bestScore = score; }
+    best.push({ ent, via });
+  }
+  if (!best.length) return { matched: null, via: null, tied: [] };
+
+  // Ties keep tree order so results stay deterministic
+  const [win, ...rest] = best;
+  return {
+    matched: win.ent,
+    via: win.via,
+    score: bestScore,
+    tied: rest.map(r => r.ent),
+  };
+}
+
+// Split a keyword list string on , ; or newlines, keeping /regex/ tokens intact
+function splitKeywords(str) {
+  const out = [];
+  const s = String(str || "");
+  let i = 0;
+  while (i < s.length) {
+    while (i < s.length && /[\s,;]/.test(s[i])) i++;
+    if (i >= s.length) break;
+
+    let j = i;
+    if (s[i] === "/") {
+      // scan to the closing unescaped slash, then flags
+      j = i + 1;
+      let inClass = false;
+      while (j < s.length) {
+        if (s[j] === "\\") { j += 2; continue; }
+        if (s[j] === "[") inClass = true;
+        else if (s[j] === "]") inClass = false;
+        else if (s[j] === "/" && !inClass) break;
+        j++;
+      }
+      j++;
+      while (j < s.length && /[a-z]/i.test(s[j])) j++;
+      // not a well-formed regex: fall back to plain splitting
+      if (!isRegexKeyword(s.slice(i, j))) j = i;
+    }
+    if (j === i) {
+      while (j < s.length && !/[,;\n]/.test(s[j])) j++;
+    }
+    const tok = s.slice(i, j).trim();
+    if (tok) out.push(tok);
+    i = j;
+  }
+  return out;
+}
+
+// Validate every keyword in a mainCategories tree; returns a list of problems
+function validateCategories(mainCategories) {
+  const problems = [];
+  for (const m of (Array.isArray(mainCategories) ? mainCategories : [])) {
+    for (const c of (m.categories || [])) {
+      for (const k of [...(c.keywords || []), ...(c.exclude || [])]) {
+        const error = validateKeyword(k);
+        if (error) problems.push({ main: m.name, category: c.name, keyword: k, error });
+      }
+      for (const src of (Array.isArray(c.matchIn) ? c.matchIn : [])) {
+        if (!Object.hasOwn(MATCH_SOURCES, src)) {
+          problems.push({ main: m.name, category: c.name, keyword: src, error: "Unknown match source" });
+        }
+      }
+      if (c.sampleType && !Object.hasOwn(SAMPLE_TYPES, c.sampleType)) {
+        problems.push({ main: m.name, category: c.name, keyword: c.sampleType, error: "Unknown sample type" });
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  MATCH_SOURCES,
+  TAG_SOURCES,
+  SAMPLE_TYPES,
+  normalizeMatchIn,
+  normalizeString,
+  isRegexKeyword,
+  isGlobKeyword,
+  compileKeyword,
+  compileKeywords,
+  validateKeyword,
+  validateCategories,
+  keywordMatches,
+  matchesKeywords,
+  scoreCategory,
+  matchHaystacks,
+  pickCategory,
+  splitKeywords,
+};
@@ -0,0 +1,140 @@
+const mm = require("music-metadata");
+const { canDecode, decodeAudioFile } = require("./audioDecode");
+const { detectBpm } = require("./bpmDetect");
+
+// Loop vs one-shot classification from the audio itself, for files whose
+// names don't say. Each feature votes; it takes a clear vote for "loop":
+//
+//   duration   under ~0.75 s is a hit, not a loop
+//   bars       the length is a whole number of 4/4 bars at the tempo
+//   onsets     several attacks spread over the file
+//   decay      a one-shot peaks early and fades out; a loop is still going at the
+//              end (weakly: so is a held pad note)
+//
+// Formats Node can't decode (MP3, FLAC…) only get the duration and bar votes.
+
+const FRAME_SEC = 0.01;
+const MIN_ONSET_GAP_SEC = 0.05;
+const SILENCE = 1e-4;
+const SHORT_SEC = 0.75;
+const MAX_DECODE_BYTES = 64 * 1024 * 1024;
+
+// Per-frame RMS of the mono mix
+function envelope(audio) {
+  const { length, numberOfChannels: channels, sampleRate } = audio;
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(audio.getChannelData(c));
+  const hop = Math.max(1, Math.round(sampleRate * FRAME_SEC));
+
+  const env = new Float32Array(Math.ceil(length / hop));
+  for (let f = 0; f < env.length; f++) {
+    const end = Math.min(length, (f + 1) * hop);
+    let sum = 0;
+    for (let i = f * hop; i < end; i++) {
+      let mono = 0;
+      for (let c = 0; c < channels; c++) mono += data[c][i];
+      mono /= channels;
+      sum += mono * mono;
+    }
+    env[f] = Math.sqrt(sum / Math.max(1, end - f * hop));
+  }
+  return env;
+}
+
+// Frames where the level jumps well above the recent average
+function countOnsets(env, peak) {
+  const gap = Math.round(MIN_ONSET_GAP_SEC / FRAME_SEC);
+  const floor = peak * 0.1;
+  let onsets = 0;
+  let last = -gap;
+  for (let f = 1; f < env.length; f++) {
+    let avg = 0;
+    const from = Math.max(0, f - 10);
+    for (let j = from; j < f; j++) avg += env[j];
+    avg /= f - from;
+    if (env[f] > floor && env[f] > avg * 1.5 + SILENCE && f - last >= gap) {
+      onsets++;
+      last = f;
+    }
+  }
+  return onsets;
+}
+
+// Whole 4/4 bars in duration at bpm (null when it doesn't fit). Exported
+// loops are usually cut to the sample, so allow 20 ms or 1% of slack.
+function wholeBars(duration, bpm) {
+  if (!bpm || !(duration > 0)) return null;
+  const barSec = 240 / bpm;
+  const bars = Math.round(duration / barSec);
+  if (bars < 1) return null;
+  return Math.abs(duration - bars * barSec) <= Math.max(0.02, 0.01 * duration) ? bars : null;
+}
+
+// { type: "loop" | "one-shot", bpm, bars, onsets, decay } from whichever
+// features are known; type is null when there is nothing to go on
+function classifyFeatures({ duration, bpm = null, onsets = null, decay = null, peakAt = null }) {
+  if (!(duration > 0)) return { type: null, bpm, bars: null, onsets, decay };
+  const bars = wholeBars(duration, bpm);
+  let score = 0;
+
+  if (duration < SHORT_SEC) score -= 3;
+  if (bars) score += 2;
+  else if (bpm) score -= 1;
+  if (onsets != null) {
+    if (onsets >= 4 && onsets / duration >= 1.5) score += 1;
+    else if (onsets <= 1) score -= 1;
+  }
+  if (decay != null) {
+    if (decay < 0.05 && peakAt < 0.25) score -= 1.5;
+    else if (decay > 0.3) score += 0.5;
+  }
+  return { type: score >= 1 ? "loop" : "one-shot", bpm, bars, onsets, decay };
+}
+
+// audio: AudioBuffer-like; bpm: tempo from the name or folder, if any
+function classifyAudio(audio, { bpm = null } = {}) {
+  const env = envelope(audio);
+  let peak = 0;
+  let peakFrame = 0;
+  for (let f = 0; f < env.length; f++) {
+    if (env[f] > peak) { peak = env[f]; peakFrame = f; }
+  }
+  if (peak < SILENCE) return { type: null, bpm, bars: null, onsets: 0, decay: null };
+
+  const tailFrom = Math.floor(env.length * 0.75);
+  let tail = 0;
+  for (let f = tailFrom; f < env.length; f++) tail += env[f];
+  tail /= Math.max(1, env.length - tailFrom);
+
+  const onsets = countOnsets(env, peak);
+  // A detected tempo of something with hardly any attacks is noise
+  const tempo = bpm || (onsets >= 4 ? detectBpm(audio) : null);
+
+  return classifyFeatures({
+    duration: audio.duration,
+    bpm: tempo,
+    onsets,
+    decay: tail / peak,
+    peakAt: peakFrame / env.length,
+  });
+}
+
+async function classifyFile(filePath, { bpm = null, maxBytes = MAX_DECODE_BYTES } = {}) {
+  if (canDecode(filePath)) {
+    try {
+      const audio = await decodeAudioFile(filePath, { maxBytes });
+      if (audio?.length) return classifyAudio(audio, { bpm });
+    } catch (e) {
+      if (e.code !== "E_TOO_LARGE") throw e;
+    }
+  }
+  const { format = {} } = await mm.parseFile(filePath, { skipCovers: true });
+  return classifyFeatures({ duration: format.duration, bpm });
+}
+
+module.exports = {
+  wholeBars,
+  classifyFeatures,
+  classifyAudio,
+  classifyFile,
+};
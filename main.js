@@ -2,13 +2,24 @@ const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
 const path = require("path");
 const fs = require("fs");
 const organizer = require("./organizer");
-const { walkDir, getFileDuration, moveFileToBPMFolder, getParentBpmValue, uniqueDestPath, isBpmDirName, firstNonBpmAncestorDir, isInsideBpmFolder } = require("./bpmUtils");
+const { prepareBpmFiles, applyKeyFolders, applyBpmResults, rememberBpmResults } = require("./bpmUtils");
+const { DATA_DIRNAME, createJournal, listJournals, lastUndoableJournal, undoJournal } = require("./journal");
+const { createWatcher } = require("./watcher");
+const { validateCategories } = require("./keywordRules");
+const { validateTemplate } = require("./pathTemplate");
+const { validateRenameTemplate } = require("./renameTemplate");
+const { validateIgnorePattern } = require("./ignoreRules");
+const { clearCache } = require("./analysisCache");
+const { clearSyncState } = require("./syncState");
+const { latestDuplicateReport } = require("./duplicates");
+const { latestInstrumentReport } = require("./instrumentReview");
+const { readCheckpoint, clearCheckpoint } = require("./runCheckpoint");
+const { writeTagsPass } = require("./tagWriter");
 
 let mainWindow;
+let watcher = null;
 const configPath = path.join(__dirname, "config.json");
 
-const yieldIO = () => new Promise(res => setImmediate(res));
-
 // -------------------- Helper --------------------
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -74,6 +85,20 @@ ipcMain.handle("load-config", async () => {
 
 // Save config
 ipcMain.handle("save-config", async (event, updatedConfig) => {
+  const problems = validateCategories(updatedConfig?.mainCategories);
+  if (problems.length) {
+    const p = problems[0];
+    const more = problems.length > 1 ? ` (+${problems.length - 1} more)` : "";
+    throw new Error(`Invalid keyword "${p.keyword}" in ${p.category}: ${p.error}${more}`);
+  }
+  const templateError = validateTemplate(updatedConfig?.pathTemplate);
+  if (templateError) throw new Error(`Invalid path template: ${templateError}`);
+  const renameError = validateRenameTemplate(updatedConfig?.renameTemplate);
+  if (renameError) throw new Error(`Invalid file name template: ${renameError}`);
+  for (const p of updatedConfig?.ignorePatterns || []) {
+    const err = validateIgnorePattern(p);
+    if (err) throw new Error(`Invalid ignore pattern "${p}": ${err}`);
+  }
   try {
     fs.writeFileSync(configPath, JSON.stringify(updatedConfig, null, 2));
     console.log("Config saved successfully!");
@@ -100,274 +125,171 @@ ipcMain.handle("open-path", async (event, folderPath) => {
 
 // BPM Sort (prepare list for renderer)
 ipcMain.handle("prepare-bpm-files", async (event, { destDir, config, limitTo }) => {
-  if (config?.bpmDebug) {
-    event.sender.send("organizing-log", "Preparing BPM files…", "info");
-  }
-
-  const allowed = new Set(
-    (config.extensions || []).map(e => String(e).toLowerCase().replace(/^\./, ""))
-  );
-  const threshold = Number(config.BPMThreshold || 0);
-
-  // Collect candidates
-  const candidates = [];
-
-  const addIfOk = (file) => {
-    if (!file) return;
-
-    if (file.includes(`${path.sep}_Duplicates${path.sep}`)) return;
-
-    try {
-      const abs = path.resolve(file);
-      if (isInsideBpmFolder(abs)) {
-        if (config?.bpmDebug) {
-          const base = path.basename(file);
-          event.sender.send("organizing-log", `Skip (already in BPM folder): <b>${base}</b>`, "info");
-        }
-        return;
-      }
-    } catch { }
-
-    try {
-      const st = fs.statSync(file);
-      if (!st.isFile()) return;
-      const ext = path.extname(file).toLowerCase().replace(/^\./, "");
-      if (allowed.size && !allowed.has(ext)) return;
-      candidates.push(path.resolve(file));
-    } catch { }
-  };
-
-  // Use only the files in current sort (limitTo), else scan whole tree
-  if (Array.isArray(limitTo)) {
-    if (limitTo.length === 0) return [];
-    for (const p of limitTo) addIfOk(p);
-  } else {
-    walkDir(destDir, addIfOk);
-  }
-
-  // Build worklist with filename/parent-BPM shortcuts & threshold filtering
-  const filesToAnalyze = [];
-  for (let i = 0; i < candidates.length; i++) {
-    const file = candidates[i];
+  return prepareBpmFiles({ destDir, config, limitTo }, event.sender);
+});
 
-    // prefer BPM from parent
-    const parentBpm = getParentBpmValue(file);
-    if (parentBpm != null) {
-      filesToAnalyze.push({ file, skipDetection: true, bpmValue: parentBpm });
-      continue;
-    }
+// Handle key folders
+ipcMain.handle("apply-key-folders", async (event, opts) => {
+  return applyKeyFolders(opts, event.sender);
+});
 
-    // or BPM in filename
-    const base = path.basename(file);
-    const m = base.match(/\b(\d{2,3})\s*bpm\b/i) || base.match(/(\d{2,3})\s*[-_ ]?\s*bpm/i);
-    if (m) {
-      const bpmVal = parseInt(m[1], 10);
-      if (Number.isFinite(bpmVal)) {
-        filesToAnalyze.push({ file, skipDetection: true, bpmValue: bpmVal });
-        continue;
-      }
-    }
+// Handle BPM results
+ipcMain.handle("bpm-results", async (_event, payload) => {
+  return applyBpmResults(payload);
+});
 
-    // threshold: only skip if we can determine duration and it’s below threshold
-    if (threshold > 0) {
-      try {
-        const dur = await getFileDuration(file);
-        if (dur != null && dur < threshold) {
-          if (config?.bpmDebug) {
-            event.sender.send(
-              "organizing-log",
-              `Skip (below threshold ${threshold}s): <b>${base}</b> (${dur.toFixed(2)}s)`,
-              "info"
-            );
-          }
-          continue;
-        }
-      } catch {
-        // duration unknown — let renderer try detection
-      }
-    }
+// Write category/BPM/key/pack tags into the run's files (after BPM/Key)
+ipcMain.handle("write-tags", async (event, opts) => {
+  return writeTagsPass(opts, event.sender);
+});
 
-    filesToAnalyze.push({ file, skipDetection: false });
+// Cache BPM detections from the renderer before the files are moved
+ipcMain.handle("bpm-cache-store", (_event, payload) => {
+  return rememberBpmResults(payload);
+});
 
-    if ((i % 200) === 0) {
-      await new Promise(r => setImmediate(r));
+ipcMain.on("renderer-error", (_e, msg) => {
+  try {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send("organizing-log", msg, "error");
     }
-  }
-
-  if (config?.bpmDebug) {
-    event.sender.send("organizing-log", `Prepared ${filesToAnalyze.length} file(s) for BPM analysis.`, "info");
-  }
-  return filesToAnalyze;
+  } catch {}
 });
 
-// crude key token detector: A, A#, Bb, with optional Maj/Min around word/dash/underscore boundaries
-const KEY_RE = /(?:^|[\s_\-])([A-G](?:#|b)?)(?:\s*(maj(?:or)?|min(?:or)?))?(?=$|[\s_\-])/i;
-
-function detectKeyFromName(name) {
-  const base = String(name || "").replace(/\.[a-z0-9]+$/i, "");
-  const m = base.match(KEY_RE);
-  if (!m) return null;
-
-  // Preserve accidental, force letter uppercase
-  const raw = m[1];            // e.g. "Bb", "A#", "e"
-  const letter = raw[0].toUpperCase();
-  const accidental = raw.slice(1); // "", "#" or "b"
-  const note = letter + accidental;
+// Start organizing
+ipcMain.on("start-organizing", (event, config) => {
+  organizer.startOrganizing(config, event.sender);
+});
 
-  const qualRaw = (m[2] || "").toLowerCase();
-  let quality = null;
-  if (qualRaw.startsWith("maj")) quality = "Maj";
-  else if (qualRaw.startsWith("min")) quality = "Min";
+// Cancel organizing
+ipcMain.handle("organizing-cancel", () => {
+  organizer.requestCancel();
+});
 
-  return { note, quality }; // e.g. { note:"Bb", quality:"Min" } or { note:"E", quality:null }
-}
+// Pause/resume the organize pass and the BPM/Key passes that run here
+ipcMain.handle("organizing-pause", () => { organizer.requestPause(); });
+ipcMain.handle("organizing-resume", () => { organizer.requestResume(); });
 
-// Handle key folders
-ipcMain.handle("apply-key-folders", async (_evt, {
-  rootDir, extensions = [], dryRun, debug, keyFromParent, keyNoteOnlyFallback, limitTo
-}) => {
-  if (!rootDir || !fs.existsSync(rootDir)) {
-    throw new Error(`Root directory not found: ${rootDir}`);
-  }
+// Interrupted run for a destination (see runCheckpoint.js), or null
+ipcMain.handle("checkpoint-load", (_e, { destDir }) => {
+  return destDir ? readCheckpoint(destDir) : null;
+});
 
-  const extSet = new Set(
-    (extensions || []).map(e => String(e).toLowerCase().replace(/^\./, ""))
-  );
-
-  const pending = [];
-
-  const consider = (file) => {
-    if (!file) return;
-    if (file.includes(`${path.sep}_Duplicates${path.sep}`)) return;
-    try {
-      const st = fs.statSync(file);
-      if (!st.isFile()) return;
-      const ext = path.extname(file).slice(1).toLowerCase();
-      if (extSet.size && !extSet.has(ext)) return;
-      pending.push(path.resolve(file));
-    } catch { }
-  };
+// Every pass of the run finished (or the user discarded it)
+ipcMain.handle("checkpoint-clear", (_e, { destDir, runId }) => {
+  if (destDir) clearCheckpoint(destDir, runId);
+});
 
-  //Only files in current sort
-  if (Array.isArray(limitTo)) {
-    if (limitTo.length === 0) return 0;
-    for (const p of limitTo) consider(p);
-  } else {
-    walkDir(rootDir, consider);
+// Jobs that run on their own (watch mode, cache rebuild) use the saved config,
+// not what the controls show
+function readSavedConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read saved config: ${err.message}`);
   }
+}
 
-  let moved = 0;
-  for (let i = 0; i < pending.length; i++) {
-    const file   = pending[i];
-    const base   = path.basename(file);
-    const parent = path.basename(path.dirname(file));
-
-    const infoFromName = detectKeyFromName(base);
-    const info = infoFromName || (keyFromParent ? detectKeyFromName(parent) : null);
-    if (!info) {
-      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
-      continue;
-    }
-
-    const keyLabel =
-      info.quality ? `${info.note} ${info.quality}` :
-      (keyNoteOnlyFallback ? info.note : null);
-
-    if (!keyLabel) {
-      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
-      continue;
-    }
+// Watch mode: auto-sort new files in samplesDir using the saved config
+ipcMain.handle("watch-start", async (event) => {
+  if (watcher) return true;
+  const config = readSavedConfig();
+  const w = createWatcher(config, event.sender);
+  if (!(await w.start())) return false;
+  watcher = w;
+  return true;
+});
 
-    // already inside a matching key folder? skip
-    const parentName = path.basename(path.dirname(file));
-    if (parentName === keyLabel) {
-      if ((i % 100) === 0) await new Promise(r => setImmediate(r));
-      continue;
-    }
+ipcMain.handle("watch-pause", () => { watcher?.pause(); });
+ipcMain.handle("watch-resume", () => { watcher?.resume(); });
+ipcMain.handle("watch-stop", () => {
+  watcher?.stop();
+  watcher = null;
+});
 
-    // choose base dir: if current dir *is* a BPM dir, use it, otherwise first non-BPM ancestor
-    const dirNow  = path.dirname(file);
-    const baseDir = isBpmDirName(path.basename(dirNow)) ? dirNow : firstNonBpmAncestorDir(file);
-    const keyDir  = path.join(baseDir, keyLabel);
-
-    if (!dryRun) {
-      fs.mkdirSync(keyDir, { recursive: true });
-      const dest = uniqueDestPath(keyDir, path.basename(file));
-      try {
-        fs.renameSync(file, dest);
-      } catch (e) {
-        if (e.code === "EXDEV") {
-          fs.copyFileSync(file, dest);
-          fs.unlinkSync(file);
-        } else {
-          throw e;
-        }
-      }
-    }
+// Start a journal for runs that don't go through the organizer (BPM/Key post-process)
+ipcMain.handle("journal-begin", (_e, { rootDir, kind }) => {
+  return createJournal(rootDir, { kind }).id;
+});
 
-    moved++;
-    if (debug) {
-      _evt.sender.send(
-        "organizing-log",
-        `${dryRun ? "[DRY RUN] " : ""}Key sort: <b>${base}</b> → <b>${path.join(path.basename(baseDir), keyLabel)}</b>`,
-        "info"
-      );
-    }
+// List past runs for a destination, newest first
+ipcMain.handle("journal-list", (_e, { rootDir }) => {
+  if (!rootDir || !fs.existsSync(rootDir)) return [];
+  return listJournals(rootDir);
+});
 
-    if ((i % 100) === 0) {
-      await new Promise(r => setImmediate(r));
-    }
+// Undo a run (or the last undoable one when no id is given)
+ipcMain.handle("journal-undo", async (event, { rootDir, id }) => {
+  if (!rootDir || !fs.existsSync(rootDir)) {
+    throw new Error(`Destination directory not found: ${rootDir}`);
   }
+  const runId = id || lastUndoableJournal(rootDir)?.id;
+  if (!runId) throw new Error("No run to undo.");
+  const result = await undoJournal(rootDir, runId, event.sender);
+  return { id: runId, ...result };
+});
 
-  return moved;
+// Pick a saved dry-run plan (defaults to <dest>/.samplesort/plans)
+ipcMain.handle("plan-pick", async (_e, { destDir } = {}) => {
+  const opts = {
+    properties: ["openFile"],
+    filters: [{ name: "SampleSort plan", extensions: ["json", "csv"] }],
+  };
+  const plans = destDir ? path.join(destDir, DATA_DIRNAME, "plans") : null;
+  if (plans && fs.existsSync(plans)) opts.defaultPath = plans;
+  const { canceled, filePaths } = await dialog.showOpenDialog(opts);
+  return canceled ? null : (filePaths[0] || null);
 });
 
-// Handle BPM results
-ipcMain.handle("bpm-results", async (_event, payload) => {
-  const items = Array.isArray(payload) ? payload : (payload?.items || []);
-  const sortByKey = !!payload?.sortByKey;
-  const dryRun = !!payload?.dryRun;
+// Execute a dry-run plan; the run is journaled so it can be undone
+ipcMain.handle("plan-apply", async (event, { file, destDir, transferMode, conflictPolicy }) => {
+  if (!file || !fs.existsSync(file)) throw new Error(`Plan not found: ${file}`);
+  return organizer.applyPlan(file, { destDir, transferMode, conflictPolicy }, event.sender);
+});
 
-  const counts = {};
-  let processed = 0;
-  let i = 0;
+// Analysis cache for a destination: forget everything, or re-analyze every file
+ipcMain.handle("cache-clear", (_e, { destDir }) => {
+  if (!destDir) throw new Error("Destination directory is empty.");
+  clearCache(destDir);
+});
 
-  for (const { file, bpmValue, keyValue } of items) {
-    if (!file || !isFinite(bpmValue)) continue;
+ipcMain.handle("sync-clear", (_e, { destDir }) => {
+  if (!destDir) throw new Error("Destination directory is empty.");
+  clearSyncState(destDir);
+});
 
-    const opts = { keyValue: sortByKey ? keyValue : null, dryRun };
+// The saved settings (extensions, ignore rules, dedupe, threads) for the chosen destination
+ipcMain.handle("cache-rebuild", (event, { destDir }) => {
+  if (!destDir) throw new Error("Destination directory is empty.");
+  return organizer.rebuildCache({ ...readSavedConfig(), destDir }, event.sender);
+});
 
-    try {
-      moveFileToBPMFolder(file, bpmValue, opts);
-      const key = Math.round(Number(bpmValue));
-      counts[key] = (counts[key] || 0) + 1;
-      processed++;
-    } catch (err) {
-    }
+// Duplicate review: newest report for a destination, load one, apply the choices
+ipcMain.handle("dupes-latest", (_e, { destDir }) => {
+  return destDir ? latestDuplicateReport(destDir) : null;
+});
 
-    // Yield to the main loop every 50 files
-    if ((++i % 50) === 0) {
-      await yieldIO();
-    }
-  }
+ipcMain.handle("dupes-load", (_e, { file, useAnalysisCache }) => {
+  if (!file || !fs.existsSync(file)) throw new Error(`Report not found: ${file}`);
+  return organizer.loadDuplicateReport(file, { useAnalysisCache });
+});
 
-  return processed;
+ipcMain.handle("dupes-apply", (event, { file, choices, transferMode, useAnalysisCache }) => {
+  if (!file || !fs.existsSync(file)) throw new Error(`Report not found: ${file}`);
+  return organizer.applyDuplicateChoices(file, choices, { transferMode, useAnalysisCache }, event.sender);
 });
 
-ipcMain.on("renderer-error", (_e, msg) => {
-  try {
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send("organizing-log", msg, "error");
-    }
-  } catch {}
+// Instrument review: newest report for a destination, load one, apply the choices
+ipcMain.handle("instruments-latest", (_e, { destDir }) => {
+  return destDir ? latestInstrumentReport(destDir) : null;
 });
 
-// Start organizing
-ipcMain.on("start-organizing", (event, config) => {
-  organizer.startOrganizing(config, event.sender);
+ipcMain.handle("instruments-load", (_e, { file }) => {
+  if (!file || !fs.existsSync(file)) throw new Error(`Report not found: ${file}`);
+  return organizer.loadInstrumentReport(file);
 });
 
-// Cancel organizing
-ipcMain.handle("organizing-cancel", () => {
-  organizer.requestCancel();
-});
\ No newline at end of file
+ipcMain.handle("instruments-apply", (event, { file, choices, useAnalysisCache }) => {
+  if (!file || !fs.existsSync(file)) throw new Error(`Report not found: ${file}`);
+  return organizer.applyInstrumentChoices(file, choices, { useAnalysisCache }, event.sender);
+});
@@ -0,0 +1,56 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { parentPort, isMainThread } = require("worker_threads");
+const mm = require("music-metadata");
+const { fingerprintFile } = require("./audioFingerprint");
+const { readTags } = require("./audioTags");
+const { classifyFile } = require("./loopDetect");
+const { classifyInstrumentFile } = require("./instrumentDetect");
+const { detectFileBpm } = require("./bpmDetect");
+
+// Per-file work that runs in the worker pool (see workerPool.js). The same
+// functions run inline when worker threads aren't available.
+
+function hashFile(filePath, algo = "sha1") {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash(algo);
+    const s = fs.createReadStream(filePath);
+    s.on("error", reject);
+    s.on("data", chunk => h.update(chunk));
+    s.on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+// Only the fields callers use; the full metadata object doesn't clone cheaply
+async function readFormat(filePath) {
+  const { format = {} } = await mm.parseFile(filePath);
+  return {
+    duration: Number.isFinite(format.duration) ? format.duration : null,
+    sampleRate: format.sampleRate || null,
+  };
+}
+
+const tasks = {
+  hash: ({ file, algo }) => hashFile(file, algo),
+  format: ({ file }) => readFormat(file),
+  fingerprint: ({ file }) => fingerprintFile(file),
+  tags: ({ file }) => readTags(file),
+  sampleType: ({ file, bpm }) => classifyFile(file, { bpm }),
+  instrument: ({ file }) => classifyInstrumentFile(file),
+  bpm: ({ file, minDuration }) => detectFileBpm(file, { minDuration }),
+};
+
+if (!isMainThread && parentPort) {
+  parentPort.on("message", async ({ id, type, args }) => {
+    try {
+      const fn = tasks[type];
+      if (!fn) throw new Error(`Unknown task "${type}"`);
+      parentPort.postMessage({ id, result: await fn(args) });
+    } catch (e) {
+      parentPort.postMessage({ id, error: e.message });
+    }
+  });
+  parentPort.postMessage({ ready: true });
+}
+
+module.exports = { tasks };
@@ -1,9 +1,40 @@
 const fs = require("fs");
 const path = require("path");
-const mm = require("music-metadata");
 const extractZip = require("./extractZip");
 const { extractRarArchive } = require("./extractRar");
-const crypto = require("crypto");
+const { createJournal, listJournals, journalTransfers, reportReplaced, DATA_DIRNAME } = require("./journal");
+const {
+  MATCH_SOURCES, TAG_SOURCES, SAMPLE_TYPES, compileKeywords, keywordMatches, validateCategories, normalizeMatchIn, normalizeString,
+  matchHaystacks, pickCategory,
+} = require("./keywordRules");
+const { templateTokens, validateTemplate, renderTemplate } = require("./pathTemplate");
+const { renameTokens, validateRenameTemplate, cleanName, shortMinorKey, renderFileName } = require("./renameTemplate");
+const {
+  keyLabelFor, bpmFromName, getParentBpmValue, isDuplicatesPath,
+} = require("./bpmUtils");
+const { uniqueDestPath, copyWithTimes, resolveConflict, replaceExisting } = require("./conflicts");
+const { writePlan, readPlan, PLAN_OPS } = require("./plan");
+const {
+  configurePool, hashFile, readFormat, audioFingerprint, readTags, classifySample, guessInstrument, detectTempo,
+} = require("./workerPool");
+const { FINGERPRINT_VERSION, createAudioIndex } = require("./audioFingerprint");
+const { canDecode } = require("./audioDecode");
+const {
+  noteDuplicate, writeDuplicateReport, readDuplicateReport, saveDuplicateReport, describeMember,
+} = require("./duplicates");
+const { INSTRUMENTS } = require("./instrumentDetect");
+const {
+  INSTRUMENT_MODES, writeInstrumentReport, readInstrumentReport, saveInstrumentReport, recategorizedPath,
+} = require("./instrumentReview");
+const { cacheFor, runCache } = require("./analysisCache");
+const { openSyncState } = require("./syncState");
+const { packSegments } = require("./packLabel");
+const { sourceRoots, sourceFor, packOptionsFor } = require("./sources");
+const { createIgnore, ignoredMessage } = require("./ignoreRules");
+const { createProgress } = require("./progress");
+const runControl = require("./runControl");
+const { requestCancel, requestPause, requestResume, isCancelled, resetCancel, checkpoint } = runControl;
+const { writeCheckpoint, readCheckpoint } = require("./runCheckpoint");
 
 // -------------------- Helpers --------------------
 // trim whitespace
@@ -13,10 +44,9 @@ const normalizeKeywords = (list) =>
         .filter(k => k.length > 0);
 
 const _yield = () => new Promise(r => setImmediate(r));
-let cancelRequested = false;
-function requestCancel() { cancelRequested = true; }
 
-function getAllFiles(dir) {
+// ignore: optional ignore rules (ignoreRules.createIgnore) for the tree
+function getAllFiles(dir, ignore = null) {
     let results = [];
     const entries = fs.readdirSync(dir, { withFileTypes: true });
 
@@ -25,9 +55,11 @@ function getAllFiles(dir) {
 
     const fullPath = path.join(dir, entry.name);
     try {
+        if (ignore?.skip(fullPath, entry.isDirectory())) continue;
         if (entry.isDirectory()) {
-        results = results.concat(getAllFiles(fullPath));
-        } else if (entry.isFile()) {
+        results = results.concat(getAllFiles(fullPath, ignore));
+        } else if (entry.isFile() || (entry.isSymbolicLink() && fs.statSync(fullPath).isFile())) {
+        // symlinked files count too (symlink output mode creates them)
         if (isHiddenName(path.basename(fullPath))) continue;
         results.push(fullPath);
         }
@@ -39,22 +71,96 @@ function getAllFiles(dir) {
     return results;
 }
 
-// Move or copy files
-function moveOrCopySync(src, dest, move) {
-    if (!move) {
-    fs.copyFileSync(src, dest);
-    return;
+// Files under every source root, each once even when roots are nested
+function getSourceFiles(roots, onError) {
+  const files = new Set();
+  for (const root of roots) {
+    try {
+      for (const f of getAllFiles(root.dir, root.ignore)) files.add(f);
+    } catch (e) {
+      onError?.(root, e);
+    }
+  }
+  return [...files];
+}
+
+// Move, copy or link files; returns the mode actually used
+// (a hardlink across drives falls back to a copy)
+function moveOrCopySync(src, dest, mode = "copy") {
+    if (mode === "hardlink") {
+    try {
+        fs.linkSync(src, dest);
+        return "hardlink";
+    } catch (e) {
+        if (e.code !== "EXDEV") throw e;
+        copyWithTimes(src, dest);
+        return "copy";
+    }
+    }
+    if (mode === "symlink") {
+    fs.symlinkSync(path.resolve(src), dest, "file");
+    return "symlink";
+    }
+    if (mode !== "move") {
+    copyWithTimes(src, dest);
+    return "copy";
     }
     try {
     fs.renameSync(src, dest);
     } catch (e) {
     if (e.code === "EXDEV") {
-        fs.copyFileSync(src, dest);
+        copyWithTimes(src, dest);
         fs.unlinkSync(src);
     } else {
         throw e;
     }
     }
+    return "move";
+}
+
+const TRANSFER_MODES = ["copy", "move", "hardlink", "symlink"];
+const ACTION_LABELS = { copy: "Copied", move: "Moved", hardlink: "Hardlinked", symlink: "Symlinked" };
+
+// Older configs only have the moveFiles flag
+function transferModeOf(config) {
+  if (TRANSFER_MODES.includes(config.transferMode)) return config.transferMode;
+  return config.moveFiles ? "move" : "copy";
+}
+
+// Extracted files live in a temp folder that is deleted afterwards, so links to them would dangle
+function fileTransferMode(config) {
+  const mode = transferModeOf(config);
+  return config._archiveSource && (mode === "hardlink" || mode === "symlink") ? "move" : mode;
+}
+
+// Transfer one file and journal it; returns the mode actually used
+function transferFile(config, webContents, src, dest, wanted = fileTransferMode(config)) {
+  const used = moveOrCopySync(src, dest, wanted);
+  journalTransfer(config, src, dest, used);
+  config._cache?.carry(src, dest, { moved: used === "move" });
+  if (wanted === "hardlink" && used === "copy" && !config._linkFallbackWarned) {
+    config._linkFallbackWarned = true;
+    webContents.send(
+      "organizing-log",
+      "Hardlinks can't cross drives: files on a different drive than the destination are copied instead.",
+      "warning"
+    );
+  }
+  return used;
+}
+
+// Record a finished transfer in the run journal (set on config._journal)
+function journalTransfer(config, src, dest, op) {
+  const journal = config._journal;
+  if (!journal) return;
+  const extra = config._archiveSource ? { archive: config._archiveSource } : {};
+  journal.record(op, src, dest, extra);
+}
+
+// mkdir -p that the run journal can clean up on undo
+function ensureDir(config, dir) {
+  if (config._journal) config._journal.mkdirp(dir);
+  else fs.mkdirSync(dir, { recursive: true });
 }
 
 function isHiddenName(name) {
@@ -79,29 +185,22 @@ function removeFolderRecursive(folderPath) {
   }
 }
 
-// Avoid overwritting same file names
-function uniqueDestPath(dir, file) {
-    const ext = path.extname(file);
-    const base = path.basename(file, ext);
-    let candidate = path.join(dir, file);
-    let i = 2;
-    while (fs.existsSync(candidate)) {
-    candidate = path.join(dir, `${base} (${i})${ext}`);
-    i++;
-    }
-    return candidate;
-}
 
 function flattenMainCategories(cfg) {
     if (Array.isArray(cfg.mainCategories) && cfg.mainCategories.length) {
       const out = [];
       for (const m of cfg.mainCategories) {
         for (const c of (m.categories || [])) {
+          const keywords = normalizeKeywords(c.keywords || []);
           out.push({
             main: m.name,
             category: c.name,
-            keywords: normalizeKeywords(c.keywords || []),
-            matchAll: !!c.matchAll
+            keywords,
+            patterns: compileKeywords(keywords), // invalid patterns are reported in beginRun
+            exclude: compileKeywords(normalizeKeywords(c.exclude || [])),
+            matchAll: !!c.matchAll,
+            matchIn: normalizeMatchIn(c.matchIn),
+            sampleType: Object.hasOwn(SAMPLE_TYPES, c.sampleType || "") ? c.sampleType : null,
           });
         }
       }
@@ -109,18 +208,44 @@ function flattenMainCategories(cfg) {
     }
     const out = [];
     for (const [cat, keywords] of Object.entries(cfg.categories || {})) {
-      out.push({ main: "", category: cat, keywords: normalizeKeywords(keywords) });
+      const kws = normalizeKeywords(keywords);
+      out.push({ main: "", category: cat, keywords: kws, patterns: compileKeywords(kws) });
     }
     return out;
 }
 
-function matchesKeywords(ent, hay) {
-  const ks = (ent.keywords || []).map(k => normalizeString(k)).filter(Boolean);
-  if (ks.length === 0) return false;
-  const H = normalizeString(hay);
-  return ent.matchAll
-    ? ks.every(k => H.includes(k))
-    : ks.some(k => H.includes(k));
+// Whether any rule looks at embedded tags (then tags are read for every file)
+const rulesMatchTags = (flatCats) =>
+  flatCats.some(c => c.matchIn?.some(src => TAG_SOURCES.includes(src)));
+
+// Whether files need the loop / one-shot classification: a rule condition,
+// the Loops / One-Shots folders or the {type} template token
+function usesSampleTypes(config, flatCats) {
+  if (flatCats.some(c => c.sampleType)) return true;
+  const template = String(config.pathTemplate || "").trim();
+  return template ? templateTokens(template).has("type") : !!config.splitLoops;
+}
+
+const categoryLabel = (ent) => ent.main ? `${ent.main}/${ent.category}` : ent.category;
+
+// Write the ambiguous-match report for this batch; returns its path or null
+function writeAmbiguityReport(config, runId) {
+  const rows = config._ambiguous || [];
+  if (!rows.length) return null;
+  const dir = path.join(config.destDir, DATA_DIRNAME, "reports");
+  const file = path.join(dir, `ambiguous-${runId || Date.now()}.csv`);
+  const csv = (v) => `"${String(v).replace(/"/g, '""')}"`;
+  const lines = ["file,chosen,tied_with,score"]
+    .concat(rows.map(r => [r.file, r.chosen, r.tied.join(" | "), r.score].map(csv).join(",")));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+  return file;
+}
+
+// Keywords of ent that hit (for logs and dry-run plans)
+function hitKeywords(ent, hay, patternHay = hay) {
+  const ps = ent.patterns || compileKeywords(ent.keywords);
+  return ps.filter(p => keywordMatches(p, hay, patternHay)).map(p => p.source);
 }
 
 // ---- Extension helpers (normalize dot/case) ----
@@ -141,47 +266,292 @@ function sanitizeFolderName(s = "") {
   return String(s).replace(/[<>:"/\\|?*]/g, "").trim();
 }
 
-function packLabelFromSamples(absFile, samplesDir) {
-  if (!samplesDir) return null;
-  const root = path.resolve(samplesDir);
-  const abs  = path.resolve(absFile);
+// Folder names between root and the file, or null when it isn't under root
+function foldersUnder(absFile, root) {
+  if (!root) return null;
+  const rel = path.relative(path.resolve(root), path.resolve(absFile));
+  if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  return rel.split(path.sep).slice(0, -1).map(sanitizeFolderName).filter(Boolean);
+}
 
-  if (!abs.startsWith(root + path.sep)) return null;
+// Pack folder segments (packDepth / packFormat) from the folders under the source root
+function packLabelFromSamples(absFile, sourceDir, packOpts) {
+  const folders = foldersUnder(absFile, sourceDir);
+  return folders?.length ? packSegments(folders, packOpts) : null;
+}
 
-  const rel  = abs.slice(root.length + 1);
-  const segs = rel.split(path.sep).filter(Boolean);
+// { pack, collection } from the first two folders under the source root
+function packPartsFromSamples(absFile, sourceDir) {
+  const folders = foldersUnder(absFile, sourceDir);
+  if (!folders?.length) return null;
+  return { pack: folders[0], collection: folders[1] || null };
+}
 
-  if (segs.length === 0) return null;
+// Files extracted to <dest>/_temp_<archive>/…: the archive name is the pack,
+// followed by the archive's folders. A top folder named like the archive
+// isn't repeated.
+function tempPackFolders(absFile, destDir) {
+  const [first = "", ...folders] = foldersUnder(absFile, destDir) || [];
+  const m = first.match(/^_temp_(.+)$/);
+  if (!m) return null;
 
-  const pack = sanitizeFolderName(segs[0]);
-  const collection = (segs.length >= 3) ? sanitizeFolderName(segs[1]) : null;
+  const pack = sanitizeFolderName(m[1].replace(/\.(zip|rar)$/i, ""));
+  if (folders[0]?.toLowerCase() === pack.toLowerCase()) folders.shift();
+  return [pack, ...folders];
+}
 
-  return collection ? `${pack} (${collection})` : pack;
+function packLabelFromTemp(absFile, destDir, packOpts) {
+  const folders = tempPackFolders(absFile, destDir);
+  return folders ? packSegments(folders, packOpts) : null;
 }
 
-function packLabelFromTemp(absFile, destDir) {
-  const destRoot = path.resolve(destDir) + path.sep;
-  const p = path.resolve(absFile);
-  if (!p.startsWith(destRoot)) return null;
+// -------------------- Pooled lookups --------------------
+// Hashes and audio format reads run in the worker pool. processFiles starts
+// them a few files ahead, so the pool stays busy while files are still
+// categorized and placed one at a time, in order.
+
+function needsFormat(config, file) {
+  const ext = getExt(file);
+  if (config.sortMidiToFolder && (ext === "mid" || ext === "midi")) return false;
+  if (config._template) {
+    const used = templateTokens(config._template);
+    return used.has("length") || used.has("samplerate");
+  }
+  return !!config.checkLength && Number(config.lengthThreshold) > 0;
+}
 
-  const relFromDest = p.slice(destRoot.length);           // "_temp_MyPack.zip/sub/file.wav"
-  const firstSeg    = relFromDest.split(path.sep)[0] || ""; // "_temp_MyPack.zip"
-  const m = firstSeg.match(/^_temp_(.+)$/);
-  if (!m) return null;
+// Only when a rule matches tags (MIDI sorted to its own folder never needs them)
+function needsTags(config, file) {
+  if (!config._matchesTags) return false;
+  const ext = getExt(file);
+  return !(config.sortMidiToFolder && (ext === "mid" || ext === "midi"));
+}
 
-  // Remove archive extension and sanitize
-  return sanitizeFolderName(m[1].replace(/\.(zip|rar)$/i, ""));
+// Only when rules, folders or the template use loop / one-shot
+function needsSampleType(config, file) {
+  if (!config._sampleTypes) return false;
+  const ext = getExt(file);
+  return !(config.sortMidiToFolder && (ext === "mid" || ext === "midi"));
 }
 
-//Hash for deduplication
-function computeFileHash(filePath, algo = "sha1") {
-    return new Promise((resolve, reject) => {
-        const h = crypto.createHash(algo);
-        const s = fs.createReadStream(filePath);
-        s.on("error", reject);
-        s.on("data", chunk => h.update(chunk));
-        s.on("end", () => resolve(h.digest("hex")));
-    });
+// Only for unmatched files, when instrument suggestions are on
+function needsInstrument(config, file) {
+  return !!config._instrumentMode && canDecode(file);
+}
+
+// Only when the template or file name uses {bpm}, or a dry run plans BPM folders
+function needsBpm(config, file) {
+  return !!config._bpm && canDecode(file);
+}
+
+function lookupEntry(config, file) {
+  config._lookups ||= new Map();
+  let e = config._lookups.get(file);
+  if (!e) config._lookups.set(file, e = {});
+  return e;
+}
+
+// Rejections are handled by whoever awaits; prefetched ones may never be
+const settled = (p) => { p.catch(() => {}); return p; };
+
+// Results are kept in the analysis cache (config._cache) while the file is unchanged
+async function cachedHash(config, file, algo) {
+  const hit = config._cache?.lookup(file)?.hashes?.[algo];
+  if (hit) return hit;
+  const hash = await hashFile(file, algo);
+  config._cache?.update(file, { hashes: { [algo]: hash } });
+  return hash;
+}
+
+async function cachedFormat(config, file) {
+  const hit = config._cache?.lookup(file);
+  if (hit && "duration" in hit) return { duration: hit.duration, sampleRate: hit.sampleRate ?? null };
+  const format = await readFormat(file);
+  config._cache?.update(file, format);
+  return format;
+}
+
+// null for files that can't be decoded in Node (those fall back to bytes only)
+async function cachedFingerprint(config, file) {
+  if (!canDecode(file)) return null;
+  const hit = config._cache?.lookup(file);
+  if (hit && "fingerprint" in hit && (!hit.fingerprint || hit.fingerprint.v === FINGERPRINT_VERSION)) return hit.fingerprint;
+  const fingerprint = await audioFingerprint(file);
+  config._cache?.update(file, { fingerprint });
+  return fingerprint;
+}
+
+async function cachedTags(config, file) {
+  const hit = config._cache?.lookup(file);
+  if (hit && "tags" in hit) return hit.tags;
+  const tags = await readTags(file);
+  config._cache?.update(file, { tags });
+  return tags;
+}
+
+// A tempo from the parent folder or name (or detected before) lets the
+// classifier check for whole bars without detecting one itself
+async function cachedSampleType(config, file) {
+  const hit = config._cache?.lookup(file);
+  if (hit && "sampleType" in hit) return hit.sampleType;
+  const bpm = getParentBpmValue(file) ?? bpmFromName(path.basename(file)) ?? hit?.bpm ?? null;
+  const { type } = await classifySample(file, bpm);
+  config._cache?.update(file, { sampleType: type });
+  return type;
+}
+
+// Tempo without the renderer: parent "120 BPM" folder, then the file name, then
+// the cache (which also holds the renderer's detections for MP3/FLAC/...), then
+// detection in the pool (WAV/AIFF only; files shorter than BPMThreshold get none)
+async function cachedBpm(config, file) {
+  const known = getParentBpmValue(file) ?? bpmFromName(path.basename(file));
+  if (known != null) return known;
+  const hit = config._cache?.lookup(file);
+  if (hit && "bpm" in hit) return hit.bpm;
+  if (!canDecode(file)) {
+    config._bpmUndecoded = (config._bpmUndecoded || 0) + 1;
+    return null;
+  }
+  const bpm = await detectTempo(file, Number(config.BPMThreshold) || 0);
+  // Too short now may be long enough with another threshold: only keep real tempos
+  if (bpm != null) config._cache?.update(file, { bpm });
+  return bpm;
+}
+
+async function cachedInstrument(config, file) {
+  const hit = config._cache?.lookup(file);
+  if (hit && "instrument" in hit) return hit.instrument;
+  const instrument = await guessInstrument(file);
+  config._cache?.update(file, { instrument });
+  return instrument;
+}
+
+function fileHash(config, file, algo) {
+  const e = lookupEntry(config, file);
+  return e.hash ||= settled(cachedHash(config, file, algo));
+}
+
+function fileFormat(config, file) {
+  const e = lookupEntry(config, file);
+  return e.format ||= settled(cachedFormat(config, file));
+}
+
+function fileFingerprint(config, file) {
+  const e = lookupEntry(config, file);
+  return e.fingerprint ||= settled(cachedFingerprint(config, file));
+}
+
+function fileTags(config, file) {
+  const e = lookupEntry(config, file);
+  return e.tags ||= settled(cachedTags(config, file));
+}
+
+function fileSampleType(config, file) {
+  const e = lookupEntry(config, file);
+  return e.sampleType ||= settled(cachedSampleType(config, file));
+}
+
+function fileBpm(config, file) {
+  const e = lookupEntry(config, file);
+  return e.bpm ||= settled(cachedBpm(config, file));
+}
+
+function fileInstrument(config, file) {
+  const e = lookupEntry(config, file);
+  return e.instrument ||= settled(cachedInstrument(config, file));
+}
+
+// Queue lookups for files[from .. from + window)
+function prefetch(config, dedupe, files, from) {
+  const end = Math.min(files.length, from + (config._prefetchWindow || 1));
+  for (let i = from; i < end; i++) {
+    const f = files[i];
+    const ext = getExt(f);
+    if (ext === "zip" || ext === "rar") continue;
+    if (isHiddenName(path.basename(f)) || !isAcceptedExt(f, config)) continue;
+    if (dedupe?.enabled) fileHash(config, f, dedupe.algo);
+    if (dedupe?.enabled && dedupe.match === "audio") fileFingerprint(config, f);
+    if (needsFormat(config, f)) fileFormat(config, f);
+    if (needsTags(config, f)) fileTags(config, f);
+    if (needsSampleType(config, f)) fileSampleType(config, f);
+    if (needsBpm(config, f)) fileBpm(config, f);
+  }
+}
+
+// -------------------- Incremental sync --------------------
+// Every real run remembers which sources it organized; with
+// config.incrementalSync on, unchanged sources from earlier runs are skipped.
+
+function alreadySynced(config, webContents, fullPath) {
+  if (!config.incrementalSync || !config._sync) return false;
+  const e = config._sync.lookup(fullPath);
+  if (!e) return false;
+  config._syncSkipped++;
+  const where = e.dests.length === 1 ? ` → <b>${e.dests[0]}</b>`
+    : e.dests.length ? ` (${e.dests.length} files)` : " (nothing placed)";
+  webContents.send("organizing-log", `Already synced <b>${path.basename(fullPath)}</b>${where}. Skipped.`, "info");
+  return true;
+}
+
+function recordSynced(run, src, dests) {
+  if (run.config.dryRun || !run.config._sync) return;
+  run.config._sync.record(src, dests, run.journalId);
+}
+
+// -------------------- Sources --------------------
+// Several source roots feed one run (one dedupe map, journal and report);
+// the summary says how many files each of them contributed.
+
+function countPlaced(config, src, n) {
+  const root = sourceFor(config._sources, src);
+  if (!root || !n) return;
+  config._placedBySource.set(root.dir, (config._placedBySource.get(root.dir) || 0) + n);
+}
+
+// One line per ignore rule that excluded files since the last call (rules
+// from config show up once, summed over the roots)
+function logIgnored(config, webContents) {
+  const totals = new Map();
+  for (const root of config._sources || []) {
+    for (const e of root.ignore?.takeCounts() || []) {
+      const key = `${e.origin}\n${e.rule}`;
+      totals.set(key, { ...e, files: (totals.get(key)?.files || 0) + e.files });
+    }
+  }
+  for (const e of totals.values()) webContents.send("organizing-log", ignoredMessage(e), "info");
+}
+
+function sourceSummary(config) {
+  return (config._sources || []).map(root => ({ dir: root.dir, placed: config._placedBySource?.get(root.dir) || 0 }));
+}
+
+// -------------------- Dedupe --------------------
+// Byte-identical files share a hash. In "audio" mode files whose decoded audio
+// matches (other tags, bit depth, stripped chunks) count as duplicates too.
+
+// The file this one duplicates: { file, audio } (audio = same audio, other bytes), or null
+function findDuplicate(dedupe, hash, fingerprint) {
+  if (dedupe.map.has(hash)) return { file: dedupe.map.get(hash), audio: false };
+  const file = fingerprint ? dedupe.audio.find(fingerprint) : null;
+  return file ? { file, audio: true } : null;
+}
+
+function recordOriginal(dedupe, file, hash, fingerprint) {
+  dedupe.map.set(hash, file);
+  if (fingerprint) dedupe.audio.add(fingerprint, file);
+}
+
+function inDestination(config, file) {
+  const rel = path.relative(path.resolve(config.destDir), path.resolve(file));
+  return !!rel && !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+async function categorizeWithLookups(fullPath, config, webContents, dedupe) {
+  try {
+    return await categorizeFile(fullPath, config, webContents, dedupe);
+  } finally {
+    config._lookups?.delete(fullPath);
+  }
 }
 
 function tokenizeWords(s) {
@@ -199,21 +569,139 @@ function matchesAllWords(haystacks, keywords) {
   return tokens.every(t => haystacks.some(h => h.includes(t)));
 }
 
-// normalize strings for keyword matching
-function normalizeString(s) {
-  return String(s)
-    .toLowerCase()
-    .replace(/[-_]+/g, " ")   // treat - and _ like spaces
-    .replace(/\s+/g, " ")
-    .trim();
-}
   
+// { pack, collection } of a source file. Loose files in a source root have no
+// pack, nor do sources set to "none".
+function packPartsOf(fullPath, config, source) {
+  if (source?.packFormat === "none") return { pack: null, collection: null };
+  return packPartsFromSamples(fullPath, source?.dir)
+    || { pack: tempPackFolders(fullPath, config.destDir)?.[0] || null, collection: null };
+}
+
+// Token values for config.pathTemplate; only reads what the template uses
+async function templateValues(fullPath, matched, config, source, sampleType = null) {
+  const used = templateTokens(config._template);
+  const parts = packPartsOf(fullPath, config, source);
+
+  const values = {
+    main: matched ? matched.main : "",
+    category: matched ? matched.category : "Miscellaneous",
+    pack: parts.collection ? `${parts.pack} (${parts.collection})` : parts.pack,
+    collection: parts.collection,
+    ext: getExt(fullPath),
+    filename: path.basename(fullPath),
+  };
+
+  if (used.has("date")) {
+    try { values.date = fs.statSync(fullPath).mtime; } catch {}
+  }
+  if (used.has("key")) values.key = keyLabelFor(fullPath, config);
+  if (used.has("bpm")) values.bpm = await fileBpm(config, fullPath);
+  if (used.has("type")) values.type = SAMPLE_TYPES[sampleType] || null;
+
+  if (used.has("length") || used.has("samplerate")) {
+    try {
+      const format = await fileFormat(config, fullPath);
+      const lenThresh = Number(config.lengthThreshold) || 0;
+      const dur = Number(format.duration);
+      if (lenThresh > 0 && Number.isFinite(dur) && dur > lenThresh) values.length = `Over ${lenThresh} seconds`;
+      values.samplerate = format.sampleRate || null;
+    } catch {}
+  }
+  return values;
+}
+
+// -------------------- Instrument suggestions --------------------
+// Files no rule matched get an instrument guess from the audio (instrumentDetect).
+// The category for it is the first, in tree order, named after the instrument
+// (Kicks for kick), else whose name has the word (Bass before Bass Loops), else
+// whose keywords list it.
+
+function instrumentTargets(flatCats) {
+  const targets = new Map();
+  const name = (ent) => normalizeString(ent.category);
+  for (const [instrument, words] of Object.entries(INSTRUMENTS)) {
+    const ent = flatCats.find(c => words.includes(name(c)))
+      || flatCats.find(c => words.some(w => ` ${name(c)} `.includes(` ${w} `)))
+      || flatCats.find(c => (c.patterns || []).some(p => p.type === "text" && words.includes(p.text)));
+    if (ent) targets.set(instrument, ent);
+  }
+  return targets;
+}
+
+// { instrument, confidence, target } for an unmatched file, or null
+async function suggestCategory(config, fullPath) {
+  const guess = await fileInstrument(config, fullPath);
+  if (!guess) return null;
+  return { ...guess, target: config._instrumentTargets.get(guess.instrument) || null };
+}
+
+const percent = (confidence) => `${Math.round(confidence * 100)}%`;
+
+// Queue a suggestion that wasn't applied for the review report
+function reviewInstrument(config, placed, suggestion) {
+  if (!suggestion || suggestion.applied || !placed?.dest) return;
+  config._instrumentReview.push({
+    src: placed.src,
+    dest: placed.dest,
+    instrument: suggestion.instrument,
+    confidence: suggestion.confidence,
+    main: suggestion.target?.main || null,
+    category: suggestion.target?.category || null,
+  });
+}
+
+// -------------------- Renaming --------------------
+
+// Name for the file in targetPath per config.renameTemplate (its own name
+// when renaming is off). {n} takes the first number whose name is free in
+// the folder, counting the names this run gave out (dry runs create nothing).
+async function renamedFile(fullPath, targetPath, matched, config, source) {
+  const fileName = path.basename(fullPath);
+  if (!config._rename) return fileName;
+
+  const ext = path.extname(fileName);
+  const stem = path.basename(fileName, ext);
+  const used = renameTokens(config._rename);
+  const values = {
+    original: stem,
+    name: cleanName(stem, { stripPrefixes: config.renameStripPrefixes || [], stripTags: config.renameStripTags || [] }),
+    main: matched ? matched.main : "",
+    category: matched ? matched.category : "Miscellaneous",
+    ext,
+  };
+  if (used.has("pack")) values.pack = packPartsOf(fullPath, config, source).pack;
+  // key: a label like "A Min"; the template writes it short or long
+  if (used.has("key")) values.key = keyLabelFor(fullPath, config) || shortMinorKey(stem);
+  if (used.has("bpm")) values.bpm = await fileBpm(config, fullPath);
+  if (used.has("date")) {
+    try { values.date = fs.statSync(fullPath).mtime; } catch {}
+  }
+
+  const render = () => renderFileName(config._rename, values, { caseMode: config.renameCase });
+  if (!used.has("n")) return render();
+
+  let n = config._renameNext.get(targetPath) || 1;
+  let name;
+  for (;; n++) {
+    values.n = n;
+    name = render();
+    const dest = path.join(targetPath, name);
+    if (!config._renameTaken.has(dest) && !fs.existsSync(dest)) break;
+  }
+  config._renameNext.set(targetPath, n + 1);
+  config._renameTaken.add(path.join(targetPath, name));
+  return name;
+}
+
 // -------------------- Core Categorization --------------------
 async function categorizeFile(fullPath, config, webContents, dedupe) {
   const fileName = path.basename(fullPath);
   if (isHiddenName(fileName)) return;
 
-  const relativePath = path.relative(config.samplesDir, fullPath);
+  // Extracted files belong to the source their archive came from
+  const source = sourceFor(config._sources, config._archiveSource || fullPath);
+  const relativePath = path.relative(source?.dir || path.dirname(fullPath), fullPath);
   const parentFolder = path.dirname(relativePath).split(path.sep).pop();
   const ext = getExt(fullPath);
   const isMidi = (ext === "mid" || ext === "midi");
@@ -228,26 +716,36 @@ async function categorizeFile(fullPath, config, webContents, dedupe) {
 
   // Dedup (early)
   if (dedupe?.enabled) {
-    if (cancelRequested) return;
+    if (controlOf(config).isCancelled()) return;
     try {
-      const hash = await computeFileHash(fullPath, dedupe.algo);
-      const firstSeen = dedupe.map.get(hash);
-      if (firstSeen) {
-        const msg = `Duplicate detected: <b>${fileName}</b> (same as <b>${path.basename(firstSeen)}</b>)`;
+      const hash = await fileHash(config, fullPath, dedupe.algo);
+      const fingerprint = dedupe.match === "audio" ? await fileFingerprint(config, fullPath) : null;
+      const dup = findDuplicate(dedupe, hash, fingerprint);
+      if (dup) {
+        const msg = `Duplicate detected: <b>${fileName}</b> (${dup.audio ? "same audio as" : "same as"} `
+          + `<b>${path.basename(dup.file)}</b>)`;
+        let member = { path: fullPath, role: "source" };
         if (config.dryRun) {
           webContents.send("organizing-log", `[DRY RUN] ${msg}`, "warning");
         } else if (dedupe.mode === "skip") {
           webContents.send("organizing-log", `${msg}. Skipped.`, "warning");
         } else if (dedupe.mode === "quarantine") {
           const qDir = dedupe.quarantineDir;
-          if (!fs.existsSync(qDir)) fs.mkdirSync(qDir, { recursive: true });
+          if (!fs.existsSync(qDir)) ensureDir(config, qDir);
           const dest = uniqueDestPath(qDir, fileName);
-          moveOrCopySync(fullPath, dest, config.moveFiles);
+          transferFile(config, webContents, fullPath, dest);
+          member = { path: dest, role: "quarantine" };
           webContents.send("organizing-log", `${msg}. Sent to _Duplicates.`, "warning");
         }
-        return;
+        if (config._duplicates) {
+          const originalRole = isDuplicatesPath(dup.file) ? "quarantine"
+            : inDestination(config, dup.file) ? "library" : "source";
+          noteDuplicate(config._duplicates, dup.file, originalRole, member.path, member.role);
+        }
+        // No dest: nothing was placed, but the source is done (see recordSynced)
+        return { src: fullPath, duplicateOf: dup.file, dests: member.role === "quarantine" ? [member.path] : [] };
       }
-      dedupe.map.set(hash, fullPath);
+      recordOriginal(dedupe, fullPath, hash, fingerprint);
     } catch (e) {
       webContents.send("organizing-log", `Hashing failed for <b>${fileName}</b>: ${e.message}`, "error");
     }
@@ -255,18 +753,88 @@ async function categorizeFile(fullPath, config, webContents, dedupe) {
 
   // Category matching
   const spec = config._flatCategories || [];
-  let matched = null;
-  let usedParentFolder = false;
+  const fileStem = path.basename(fileName, path.extname(fileName));
+  let tags = {};
+  if (needsTags(config, fullPath)) {
+    try {
+      tags = await fileTags(config, fullPath);
+    } catch (e) {
+      webContents.send("organizing-log", `Could not read tags of <b>${fileName}</b>: ${e.message}`, "info");
+    }
+  }
+  let sampleType = null;
+  if (needsSampleType(config, fullPath)) {
+    try {
+      sampleType = await fileSampleType(config, fullPath);
+    } catch (e) {
+      webContents.send("organizing-log", `Could not tell loop from one-shot for <b>${fileName}</b>: ${e.message}`, "info");
+    }
+  }
+  // Rules for the other sample type (or any, when unknown) are out
+  const candidates = spec.filter(ent => !ent.sampleType || ent.sampleType === sampleType);
+  const hays = matchHaystacks({ fileName, fileStem, parentFolder }, tags);
+  let { matched, via, tied, score } = pickCategory(candidates, hays, config);
+
+  // Nothing matched: ask the audio, and take its answer when sure enough (auto mode)
+  let suggestion = null;
+  if (!matched && needsInstrument(config, fullPath)) {
+    try {
+      suggestion = await suggestCategory(config, fullPath);
+    } catch (e) {
+      webContents.send("organizing-log", `Could not guess the instrument of <b>${fileName}</b>: ${e.message}`, "info");
+    }
+    if (suggestion?.target && config._instrumentMode === "auto"
+      && suggestion.confidence >= config._instrumentThreshold) {
+      matched = suggestion.target;
+      suggestion.applied = true;
+    }
+  }
 
-  const fileHay = fileName.toLowerCase();
-  for (const ent of spec) {
-    if (matchesKeywords(ent, fileHay)) { matched = ent; break; }
+  if (tied.length) {
+    const others = tied.map(categoryLabel);
+    (config._ambiguous ||= []).push({ file: fullPath, chosen: categoryLabel(matched), tied: others, score });
+    webContents.send(
+      "organizing-log",
+      `Ambiguous match for <b>${fileName}</b>: <b>${categoryLabel(matched)}</b> tied with `
+        + `${others.map(o => `<b>${o}</b>`).join(", ")} (score ${score}). Using the first in tree order.`,
+      "warning"
+    );
   }
-  if (!matched && config.checkParentFolder && parentFolder) {
-    const parentHay = normalizeString(parentFolder);
-    for (const ent of spec) {
-      if (matchesKeywords(ent, parentHay)) { matched = ent; usedParentFolder = true; break; }
+
+  const byTypeOnly = matched?.sampleType && !matched.patterns.length && !suggestion?.applied;
+  const logExtra = suggestion?.applied ? ` (audio: <b>${suggestion.instrument}</b>, ${percent(suggestion.confidence)})`
+    : suggestion ? ` (sounds like <b>${suggestion.instrument}</b>, ${percent(suggestion.confidence)}; listed for review)`
+    : byTypeOnly ? ` (audio: <b>${sampleType}</b>)`
+    : via && via !== "name" ? ` (${MATCH_SOURCES[via].replace(/ \(.*\)$/, "")}: <b>${hays[via].hay}</b>)`
+    : "";
+
+  // Row details for the dry-run plan
+  const info = config._plan ? {
+    category: matched ? categoryLabel(matched) : "Miscellaneous",
+    keyword: suggestion ? `(${suggestion.instrument} ${percent(suggestion.confidence)})`
+      : byTypeOnly ? `(${sampleType})`
+      : matched ? hitKeywords(matched, hays[via].hay, hays[via].patternHay).join("; ") : "",
+  } : null;
+  // What the tags pass writes into the file (tempo and key come later)
+  const newTags = config.writeTags && !isMidi ? {
+    category: matched ? matched.category : null,
+    pack: packPartsOf(fullPath, config, source).pack,
+  } : undefined;
+
+  // A path template replaces the built-in layout (MIDI keeps its own folder)
+  if (config._template && !(config.sortMidiToFolder && isMidi)) {
+    const values = await templateValues(fullPath, matched, config, source, sampleType);
+    if (info) Object.assign(info, { bpm: values.bpm ?? null, key: values.key ?? null });
+    let segs = renderTemplate(config._template, values);
+    if (config._rename) {
+      // The new name stands in for {filename}
+      values.filename = await renamedFile(fullPath, path.join(config.destDir, ...segs.slice(0, -1)), matched, config, source);
+      segs = renderTemplate(config._template, values);
     }
+    const destName = segs.pop();
+    const placed = placeFile(config, webContents, fullPath, path.join(config.destDir, ...segs), destName, { logExtra, info, tags: newTags });
+    reviewInstrument(config, placed, suggestion);
+    return placed;
   }
 
   // Build base relative target
@@ -279,7 +847,7 @@ async function categorizeFile(fullPath, config, webContents, dedupe) {
     const lenThresh = Number(config.lengthThreshold) || 0;
     if (lenThresh > 0) {
       try {
-        const { format: { duration } = {} } = await mm.parseFile(fullPath);
+        const { duration } = await fileFormat(config, fullPath);
         const dur = Number(duration);
         if (Number.isFinite(dur) && dur > lenThresh) {
           const base = path.basename(targetRel);
@@ -294,99 +862,107 @@ async function categorizeFile(fullPath, config, webContents, dedupe) {
     }
   }
 
-  // Pack label (if enabled)
-  let packLabel = null;
-  if (config.keepPackSubfolder) {
-    packLabel = packLabelFromSamples(fullPath, config.samplesDir)
-            || packLabelFromTemp(fullPath, config.destDir);
+  // Loops / One-Shots level, unless the category already is one of them
+  if (config.splitLoops && SAMPLE_TYPES[sampleType] && !matched?.sampleType) {
+    targetRel = path.join(targetRel, SAMPLE_TYPES[sampleType]);
+  }
+
+  // Pack folder(s) (if enabled for this source): one label or nested folders, per packFormat
+  const packOpts = packOptionsFor(source, config);
+  let packRel = [];
+  if (packOpts.keepPackSubfolder) {
+    packRel = packLabelFromSamples(fullPath, source?.dir, packOpts)
+           || packLabelFromTemp(fullPath, config.destDir, packOpts)
+           || [];
   }
 
   // ----- MIDI branch: force under <dest>/MIDI[/<pack>] -----
   if (config.sortMidiToFolder && isMidi) {
     const midiRootName = (config.midiFolderName || "MIDI").trim() || "MIDI";
-    const midiRel = packLabel ? [midiRootName, packLabel] : [midiRootName];
+    const midiRel = [midiRootName, ...packRel];
     const targetPath = path.join(config.destDir, ...midiRel);
 
-    const destPlanned = path.join(targetPath, fileName);
+    if (info && config.sortByKey) info.key = keyLabelFor(fullPath, config);
+    const destName = await renamedFile(fullPath, targetPath, matched, config, source);
+    return placeFile(config, webContents, fullPath, targetPath, destName, { info });
+  }
 
-    try {
-      const action = config.moveFiles ? "Moved" : "Copied";
-      if (!config.dryRun) {
-        fs.mkdirSync(targetPath, { recursive: true });
-        const dest = uniqueDestPath(targetPath, fileName);
-        moveOrCopySync(fullPath, dest, config.moveFiles);
+  // Non-MIDI: attach pack folder(s) if requested
+  if (packRel.length) targetRel = path.join(targetRel, ...packRel);
 
-        const displayAction = action;
-        webContents.send(
-          "organizing-log",
-          `${displayAction} <b>${fileName}</b> → <b>${dest}</b>`,
-          "success"
-        );
-
-        return { src: fullPath, dest };
-      } else {
+  // Final destination directory (after category + optional pack)
+  let targetPath = path.join(config.destDir, targetRel);
+
+  // Dry-run plans list final destinations, so resolve the BPM/Key folders
+  // the post-process passes would add (same layout as moveFileToBPMFolder)
+  if (info) {
+    info.bpm = config.sortByBPM ? await fileBpm(config, fullPath) : null;
+    info.key = config.sortByKey ? keyLabelFor(fullPath, config) : null;
+    if (info.bpm != null) targetPath = path.join(targetPath, `${info.bpm} BPM`);
+    if (info.key) targetPath = path.join(targetPath, info.key);
+  }
+  const destName = await renamedFile(fullPath, targetPath, matched, config, source);
+  const placed = placeFile(config, webContents, fullPath, targetPath, destName, { logExtra, info, tags: newTags });
+  reviewInstrument(config, placed, suggestion);
+  return placed;
+}
 
-        const displayAction = `[DRY RUN] ${action}`;
-        webContents.send(
-          "organizing-log",
-          `${displayAction} <b>${fileName}</b> → <b>${destPlanned}</b>`,
-          "success"
-        );
+// Move/copy one file into targetPath (or log where it would go on a dry run).
+// mode overrides the configured transfer mode; info is recorded in the dry-run plan,
+// tags are passed on to the tags pass with the result.
+function placeFile(config, webContents, fullPath, targetPath, destName, { logExtra = "", mode, info, tags } = {}) {
+  const fileName = path.basename(fullPath);
 
-        return { src: fullPath, dest: destPlanned };
-      }
-    } catch (err) {
+  try {
+    const wanted = mode || fileTransferMode(config);
+    const action = ACTION_LABELS[wanted];
+
+    // Same name already there: the conflict policy decides (read-only, so dry runs preview it too)
+    const plan = resolveConflict(fullPath, targetPath, destName, config.conflictPolicy);
+    if (config._plan) {
+      config._plan.push({
+        op: plan.skip ? "skip" : wanted,
+        src: fullPath,
+        dest: plan.dest || path.join(targetPath, destName),
+        category: "", keyword: "", bpm: null, key: null,
+        ...info,
+      });
+    }
+    if (plan.skip) {
       webContents.send(
         "organizing-log",
-        `Error processing <b>${fileName}</b>: ${err.message}`,
-        "error"
+        `${config.dryRun ? "[DRY RUN] " : ""}Skipped <b>${fileName}</b>: ${plan.skip} in <b>${targetPath}</b>`,
+        "info"
       );
-      return null;
+      return { src: fullPath, skipped: plan.skip };
     }
-  }
-
-  // Non-MIDI: attach pack folder if requested
-  if (config.keepPackSubfolder && packLabel) {
-    packLabel = packLabel.replace(/[<>:"/\\|?*]/g, "").trim();
-    targetRel = path.join(targetRel, packLabel);
-  }
-
-  // Final destination directory (after category + optional pack)
-  const targetPath = path.join(config.destDir, targetRel);
-
-  // Planned destination (for dry run logging)
-  const destPlanned = path.join(targetPath, fileName);
-
-  // Optional extra info for logs
-  const logExtra = usedParentFolder ? ` (parent folder: <b>${parentFolder}</b>)` : "";
-
-  try {
-    const action = config.moveFiles ? "Moved" : "Copied";
+    const replaceNote = plan.replace ? " (replaced existing file)" : "";
 
     if (!config.dryRun) {
-      fs.mkdirSync(targetPath, { recursive: true });
-      const dest = uniqueDestPath(targetPath, fileName);
-      moveOrCopySync(fullPath, dest, config.moveFiles);
+      ensureDir(config, targetPath);
+      if (plan.replace) replaceExisting(plan.dest, config._journal);
+      const dest = plan.dest;
+      const used = transferFile(config, webContents, fullPath, dest, wanted);
 
-      // Log actual final path (uniqueDestPath may add a suffix)
+      // Log actual final path (the policy may add a suffix)
       webContents.send(
         "organizing-log",
-        `${action} <b>${fileName}</b> → <b>${dest}</b>${logExtra}`,
+        `${ACTION_LABELS[used]} <b>${fileName}</b> → <b>${dest}</b>${replaceNote}${logExtra}`,
         "success"
       );
 
       // Return for "files moved this run" index
-      return { src: fullPath, dest };
+      return { src: fullPath, dest, tags };
     } else {
       // Dry run: show exactly where it would go
       webContents.send(
         "organizing-log",
-        `[DRY RUN] ${action} <b>${fileName}</b> → <b>${destPlanned}</b>${logExtra}`,
+        `[DRY RUN] ${action} <b>${fileName}</b> → <b>${plan.dest}</b>${replaceNote}${logExtra}`,
         "success"
       );
 
       // Optional: return planned path if you want a preview list
-      return { src: fullPath, dest: destPlanned };
+      return { src: fullPath, dest: plan.dest, tags };
     }
   } catch (err) {
     webContents.send(
@@ -399,197 +975,812 @@ async function categorizeFile(fullPath, config, webContents, dedupe) {
 }
  
 // -------------------- Organizer --------------------
-async function startOrganizing(config, webContents) {
-  cancelRequested = false;
-    if (!fs.existsSync(config.samplesDir)) {
+
+// Start a fresh journal for the next batch of transfers (one per undoable run)
+function startJournal(config, webContents, kind = "organize", id = undefined) {
+  config._journal = null;
+  if (!config.dryRun) {
+    try {
+      config._journal = createJournal(config.destDir, { kind, id });
+    } catch (e) {
+      webContents.send("organizing-log", `Could not create run journal: ${e.message}. Undo will not be available.`, "warning");
+    }
+  }
+  return config._journal ? config._journal.id : null;
+}
+
+// Pause / cancel for a run: its own (config._control, watch mode) or the shared one
+const controlOf = (config) => config._control || runControl;
+
+// Validate dirs, set up categories, journal and dedupe index.
+// Returns the run state used by processFiles/finishRun, or null if the run can't start.
+async function beginRun(config, webContents) {
+  controlOf(config).resetRunControl();
+  // A missing source (e.g. an unplugged drive) is left out; the others still run
+  config._sources = sourceRoots(config).filter(root => {
+    if (fs.existsSync(root.dir)) return true;
+    webContents.send("organizing-log", `Samples directory <b>${root.dir}</b> does not exist; skipping it.`, "warning");
+    return false;
+  });
+  if (!config._sources.length) {
+    webContents.send("organizing-log", "Error: No enabled Sample Directory exists.", "error");
+    return null;
+  }
+  for (const root of config._sources) {
+    root.ignore = createIgnore(root.dir, config.ignorePatterns, msg => webContents.send("organizing-log", msg, "warning"));
+  }
+
+  if (!config.destDir) {
+    webContents.send("organizing-log", "Error: Destination directory is empty.", "error");
+    return null;
+  }
+  if (!fs.existsSync(config.destDir)) {
+    try {
+      fs.mkdirSync(config.destDir, { recursive: true });
+      webContents.send("organizing-log", `Created destination folder <b>${config.destDir}</b>.`, "info");
+    } catch (e) {
       webContents.send(
         "organizing-log",
-        `Error: Samples directory <b>${config.samplesDir}</b> does not exist`,
+        `Error: Could not create destination folder <b>${config.destDir}</b>: ${e.message}`,
         "error"
       );
-      return;
+      return null;
     }
-  
-    if (!config.destDir) {
-        webContents.send("organizing-log", "Error: Destination directory is empty.", "error");
-        return;
-    }
-    if (!fs.existsSync(config.destDir)) {
-        try {
-        fs.mkdirSync(config.destDir, { recursive: true });
-        webContents.send("organizing-log", `Created destination folder <b>${config.destDir}</b>.`, "info");
-        } catch (e) {
+  }
+
+  const flatCats = flattenMainCategories(config);
+  config._flatCategories = flatCats; // stash for categorizeFile
+  config._matchesTags = rulesMatchTags(flatCats);
+  config._sampleTypes = usesSampleTypes(config, flatCats);
+  config._instrumentMode = Object.hasOwn(INSTRUMENT_MODES, config.instrumentMode || "") && config.instrumentMode !== "off"
+    ? config.instrumentMode
+    : null;
+  config._instrumentThreshold = Number(config.instrumentConfidence ?? 0.5);
+  config._instrumentTargets = instrumentTargets(flatCats);
+
+  const template = String(config.pathTemplate || "").trim();
+  const templateError = validateTemplate(template);
+  if (templateError) {
+    webContents.send("organizing-log", `Error: Invalid path template: ${templateError}`, "error");
+    return null;
+  }
+  config._template = template || null;
+
+  const renameError = validateRenameTemplate(config.renameTemplate);
+  if (renameError) {
+    webContents.send("organizing-log", `Error: Invalid file name template: ${renameError}`, "error");
+    return null;
+  }
+  config._rename = String(config.renameTemplate || "").trim() || null;
+  config._bpm = (config.dryRun && config.sortByBPM)
+    || templateTokens(config._template).has("bpm")
+    || renameTokens(config._rename).has("bpm");
+  config._renameTaken = new Set();
+  config._renameNext = new Map();
+  config._ambiguous = [];
+  config._instrumentReview = [];
+  config._linkFallbackWarned = false;
+  config._bpmUndecoded = 0;
+  config._plan = config.dryRun ? [] : null;
+  config._lookups = new Map();
+  config._prefetchWindow = configurePool(config) * 2;
+  config._cache = runCache(config);
+  config._duplicates = new Map();
+  config._sync = openSyncState(config.destDir);
+  config._syncSkipped = 0;
+  config._placedBySource = new Map();
+
+  for (const p of validateCategories(config.mainCategories)) {
+    webContents.send(
+      "organizing-log",
+      `Invalid keyword <b>${p.keyword}</b> in <b>${p.category}</b> ignored: ${p.error}`,
+      "warning"
+    );
+  }
+
+  // Journal every transfer so the run can be undone later (a resumed run continues its journal)
+  const journalId = startJournal(config, webContents, "organize", config.resumeRunId);
+
+  // --- Deduplication Setup ---
+  const dedupe = {
+    enabled: !!config.dedupeEnabled,
+    algo: config.dedupeAlgo || "sha256",
+    mode: config.dedupeMode || "skip",
+    match: config.dedupeMatch === "audio" ? "audio" : "bytes",
+    audio: createAudioIndex(),
+    preferDest: config.dedupePreferDest !== false,
+    map: new Map(),
+    quarantineDir: path.join(config.destDir, "_Duplicates")
+  };
+
+  if (dedupe.enabled && dedupe.mode === "quarantine" && !config.dryRun) {
+    if (!fs.existsSync(dedupe.quarantineDir)) {
+      ensureDir(config, dedupe.quarantineDir);
+    }
+  }
+
+  if (dedupe.enabled && dedupe.preferDest) {
+    webContents.send("organizing-log", "Indexing destination files for duplicate detection.", "info");
+    const destFiles = getAllFiles(config.destDir).filter(f => isAcceptedExt(f, config));
+    const chunk = config._prefetchWindow;
+    const progress = createProgress(webContents, "index", destFiles);
+    let seeded = 0;
+    for (let j = 0; j < destFiles.length; j += chunk) {
+      if (await controlOf(config).checkpoint(webContents)) {
+        webContents.send("organizing-log", "⏹️ Cancelled during duplicate indexing.", "warning");
+        break;
+      }
+      progress.at(j);
+
+      // Hash a chunk in parallel, then record in order so the first copy wins
+      const batch = destFiles.slice(j, j + chunk);
+      const hashes = await Promise.all(batch.map(f => cachedHash(config, f, dedupe.algo).catch(() => null)));
+      const prints = await Promise.all(batch.map(f => dedupe.match === "audio"
+        ? cachedFingerprint(config, f).catch(() => null)
+        : null));
+      batch.forEach((f, k) => {
+        if (!hashes[k]) return;
+        const dup = findDuplicate(dedupe, hashes[k], prints[k]);
+        if (dup) {
+          // Already in the library twice (earlier quarantines don't count)
+          if (!isDuplicatesPath(f) && !isDuplicatesPath(dup.file)) {
+            noteDuplicate(config._duplicates, dup.file, "library", f, "library");
+          }
+        } else {
+          recordOriginal(dedupe, f, hashes[k], prints[k]);
+          seeded++;
+        }
+      });
+    }
+
+    progress.finish({ cancelled: controlOf(config).isCancelled() });
+    if (!controlOf(config).isCancelled()) {
+      webContents.send("organizing-log",
+        `Indexed ${seeded} destination files for duplicate detection.`,
+        "warning"
+      );
+    } else {
+      webContents.send("organizing-log", "Organizing cancelled.", "warning");
+      return null;
+    }
+  }
+
+  return { config, webContents, dedupe, journalId, movedThisRun: [], stashReported: 0 };
+}
+
+// Reset per-batch state so a long-lived run (watch mode) journals each batch separately
+function newBatch(run) {
+  controlOf(run.config).resetCancel();
+  run.movedThisRun = [];
+  run.config._ambiguous = [];
+  run.config._instrumentReview = [];
+  run.config._plan = run.config.dryRun ? [] : null;
+  run.config._lookups = new Map();
+  run.config._duplicates = new Map();
+  run.config._syncSkipped = 0;
+  run.config._placedBySource = new Map();
+  run.journalId = startJournal(run.config, run.webContents);
+}
+
+// Extract an archive into a temp folder under destDir and categorize its contents
+async function processArchive(run, fullPath) {
+  const { config, webContents, dedupe, movedThisRun } = run;
+  const fileName = path.basename(fullPath);
+  const ext = getExt(fullPath);
+  const base = path.basename(fileName, path.extname(fileName));
+  const tempDir = path.join(config.destDir, `_temp_${base}`);
+
+  if (config.dryRun) {
+    webContents.send(
+      "organizing-log",
+      `[DRY RUN] Would extract <b>${fileName}</b> (${ext.toUpperCase()})`,
+      "warning"
+    );
+    return;
+  }
+
+  try {
+    let extractedFiles = [];
+    if (ext === "zip") {
+      extractedFiles = await extractZip(fullPath, tempDir, config.keepArchives);
+    } else {
+      extractedFiles = await extractRarArchive(fullPath, tempDir, config.keepArchives);
+    }
+
+    webContents.send("organizing-log", `Extracted <b>${fileName}</b> → ${extractedFiles.length} files`, "warning");
+
+    if (!Array.isArray(extractedFiles)) extractedFiles = [];
+
+    // Fallback: scan tempDir if the extractor didn't return paths
+    if (extractedFiles.length === 0) {
+      try {
+        extractedFiles = getAllFiles(tempDir);
         webContents.send(
-            "organizing-log",
-            `Error: Could not create destination folder <b>${config.destDir}</b>: ${e.message}`,
-            "error"
+          "organizing-log",
+          `Extractor returned no file list; found ${extractedFiles.length} files in temp folder.`,
+          "info"
         );
-        return;
-        }
+      } catch (scanErr) {
+        webContents.send(
+          "organizing-log",
+          `Couldn't scan extracted folder: ${scanErr.message}`,
+          "error"
+        );
+      }
     }
 
-    const movedThisRun = [];
-      
-    const flatCats = flattenMainCategories(config);
-    config._flatCategories = flatCats; // stash for categorizeFile
-
-    // --- Deduplication Setup ---
-    const dedupe = {
-        enabled: !!config.dedupeEnabled,
-        algo: config.dedupeAlgo || "sha256",
-        mode: config.dedupeMode || "skip",
-        preferDest: config.dedupePreferDest !== false,
-        map: new Map(),
-        quarantineDir: path.join(config.destDir, "_Duplicates")
-      };
-    
-      if (dedupe.enabled && dedupe.mode === "quarantine" && !config.dryRun) {
-        if (!fs.existsSync(dedupe.quarantineDir)) {
-          fs.mkdirSync(dedupe.quarantineDir, { recursive: true });
-        }
+    // Ignore rules see the archive's contents as a folder next to it
+    const ignore = sourceFor(config._sources, fullPath)?.ignore;
+    if (ignore) extractedFiles = extractedFiles.filter(f => !ignore.skipInArchive(fullPath, path.relative(tempDir, f)));
+
+    let k = 0;
+    const dests = [];
+    for (const [n, extracted] of extractedFiles.entries()) {
+      // Pausing is fine, but a cancel still finishes the archive: its temp folder
+      // is deleted below (and the archive itself may be gone already)
+      await controlOf(config).checkpoint(webContents);
+      if (config._resumeDone?.has(extracted)) continue; // placed before the run was interrupted
+      prefetch(config, dedupe, extractedFiles, n);
+      if (!isAcceptedExt(extracted, config)) {
+        const badExt = getExt(extracted);
+        webContents.send(
+          "organizing-log",
+          `Skipped <b>${path.basename(extracted)}</b> (unaccepted extension: .${badExt})`,
+          "info"
+        );
+        continue;
       }
-    
-      if (dedupe.enabled && dedupe.preferDest) {
-        webContents.send("organizing-log", "Indexing destination files for duplicate detection.", "info");
-        const destFiles = getAllFiles(config.destDir);
-          let seeded = 0;
-          let j = 0;
-          for (const f of destFiles) {
-              if (cancelRequested) {
-              webContents.send("organizing-log", "⏹️ Cancelled during duplicate indexing.", "warning");
-              break;
-              }
-
-            if (!isAcceptedExt(f, config)) continue;
-
-            try {
-              const h = await computeFileHash(f, dedupe.algo);
-              if (!dedupe.map.has(h)) {
-                dedupe.map.set(h, f);
-                seeded++;
-              }
-            } catch {}
-            if ((++j % 50) === 0) await _yield();
-          }
-          
-          if (!cancelRequested) {
-            webContents.send("organizing-log",
-              `Indexed ${seeded} destination files for duplicate detection.`,
-              "warning"
-            );
-          } else {
-            webContents.send("organizing-log", "Organizing cancelled.", "warning");
-            return;
-          }
+      config._archiveSource = fullPath; // undo must know this came out of an archive
+      const r = await categorizeWithLookups(extracted, config, webContents, dedupe);
+      config._archiveSource = null;
+      if (r && r.dest) {
+        movedThisRun.push(r);
+        dests.push(r.dest);
       }
 
-    webContents.send("organizing-log", "⚡ Starting file processing...", "warning");
-  
-    const files = getAllFiles(config.samplesDir);
-    webContents.send("organizing-log", `Found ${files.length} files to process.`, "info");
-  
-    if (files.length === 0) {
-      webContents.send("organizing-log", `No files found in <b>${config.samplesDir}</b> to organize.`, "warning");
-      webContents.send("organizing-done", {
-        destDir: config.destDir,
+      if ((++k % 50) === 0) await _yield();  // ← yield during big extractions
+    }
+
+    // A fully processed archive counts as synced even if dedupe skipped every file
+    recordSynced(run, fullPath, dests);
+    countPlaced(config, fullPath, dests.length);
+    removeFolderRecursive(tempDir);
+  } catch (err) {
+    webContents.send(
+      "organizing-log",
+      `Error extracting <b>${fileName}</b>: ${err.message}`,
+      "error"
+    );
+  }
+}
+
+// Categorize (or extract) each path; results accumulate in run.movedThisRun
+async function processFiles(run, files) {
+  const { config, webContents, dedupe, movedThisRun } = run;
+  files = files.filter(f => !config._resumeDone?.has(path.resolve(f)) && !alreadySynced(config, webContents, f));
+  const progress = createProgress(webContents, "organize", files);
+  let i = 0;
+  for (const [n, fullPath] of files.entries()) {
+    if (await controlOf(config).checkpoint(webContents)) break;
+    progress.at(n);
+    prefetch(config, dedupe, files, n);
+
+    //Check for archives
+    const ext = getExt(fullPath);
+    if (ext === "zip" || ext === "rar") {
+      await processArchive(run, fullPath);
+      continue;
+    }
+
+    // File categorization
+    const r2 = await categorizeWithLookups(fullPath, config, webContents, dedupe);
+    if (r2 && r2.dest) {
+      movedThisRun.push(r2);
+      recordSynced(run, fullPath, [r2.dest]);
+      countPlaced(config, fullPath, 1);
+    } else if (r2?.duplicateOf) {
+      // Skipped or quarantined as a duplicate: settled too, don't hash it again next run
+      recordSynced(run, fullPath, r2.dests);
+    }
+    //Give UI break
+    if ((++i % 50) === 0) await _yield();
+  }
+  progress.finish({ cancelled: controlOf(config).isCancelled() });
+}
+
+function finishRun(run, extra = {}) {
+  const { config, webContents } = run;
+  let ambiguousReport = null;
+  const ambiguous = (config._ambiguous || []).length;
+  if (ambiguous) {
+    try {
+      ambiguousReport = writeAmbiguityReport(config, run.journalId);
+      webContents.send(
+        "organizing-log",
+        `${ambiguous} file(s) matched more than one category equally. Report: <b>${ambiguousReport}</b>`,
+        "warning"
+      );
+    } catch (e) {
+      webContents.send("organizing-log", `Could not write ambiguity report: ${e.message}`, "warning");
+    }
+  }
+
+  try {
+    config._cache?.save();
+  } catch (e) {
+    webContents.send("organizing-log", `Could not save the analysis cache: ${e.message}`, "warning");
+  }
+
+  if (config._syncSkipped) {
+    webContents.send(
+      "organizing-log",
+      `${config._syncSkipped} source file(s) already synced by earlier runs were skipped.`,
+      "info"
+    );
+  }
+  if (config._bpmUndecoded) {
+    webContents.send(
+      "organizing-log",
+      `${config._bpmUndecoded} file(s) had no tempo in their folder, name or the analysis cache and can't be analyzed here `
+        + "(WAV/AIFF only); {bpm} was left empty for them.",
+      "warning"
+    );
+  }
+  logIgnored(config, webContents);
+  const sources = sourceSummary(config);
+  if (sources.length > 1) {
+    for (const { dir, placed } of sources) {
+      webContents.send("organizing-log", `<b>${dir}</b>: ${placed} file(s) ${config.dryRun ? "would be " : ""}placed.`, "info");
+    }
+  }
+  try {
+    config._sync?.save();
+  } catch (e) {
+    webContents.send("organizing-log", `Could not save the sync state: ${e.message}`, "warning");
+  }
+  // Overwrites set the old files aside; a watch run reports once per batch that did
+  const stashed = config._journal?.stashed || 0;
+  if (stashed > run.stashReported) {
+    run.stashReported = stashed;
+    reportReplaced(config.destDir, webContents);
+  }
+
+  let duplicates = null;
+  const groups = config._duplicates?.size || 0;
+  if (groups) {
+    try {
+      const file = writeDuplicateReport(config.destDir, run.journalId, config._duplicates, {
+        dryRun: !!config.dryRun,
+        placed: new Map(run.movedThisRun.map(r => [r.src, r.dest])),
+      });
+      duplicates = { file, groups };
+      webContents.send(
+        "organizing-log",
+        `${groups} duplicate group(s) found. Review them to choose which copies to keep: <b>${file}</b>`,
+        "warning"
+      );
+    } catch (e) {
+      webContents.send("organizing-log", `Could not write duplicates report: ${e.message}`, "warning");
+    }
+  }
+
+  let instruments = null;
+  const suggested = (config._instrumentReview || []).length;
+  if (suggested) {
+    try {
+      const file = writeInstrumentReport(config.destDir, run.journalId, config._instrumentReview, {
         dryRun: !!config.dryRun,
-        newFiles: [],  // nothing moved
+        withMain: !config._template || templateTokens(config._template).has("main"),
       });
-      return;
+      instruments = { file, count: suggested };
+      webContents.send(
+        "organizing-log",
+        `${suggested} unmatched file(s) have an instrument suggestion. Review them to move them out of Miscellaneous: <b>${file}</b>`,
+        "warning"
+      );
+    } catch (e) {
+      webContents.send("organizing-log", `Could not write instruments report: ${e.message}`, "warning");
     }
-  
-      let i = 0;
-      for (const fullPath of files) {
-        if (cancelRequested) break;
-
-        const fileName = path.basename(fullPath);
-        const ext = getExt(fullPath);
-
-        //Check for archives
-        if (ext === "zip" || ext === "rar") {
-            const base = path.basename(fileName, path.extname(fileName));
-            const tempDir = path.join(config.destDir, `_temp_${base}`);
-            
-
-          if (config.dryRun) {
-            webContents.send(
-              "organizing-log",
-              `[DRY RUN] Would extract <b>${fileName}</b> (${ext.toUpperCase()})`,
-              "warning"
-            );
-            continue;
-          }
+  }
 
-          try {
-            let extractedFiles = [];
-            if (ext === "zip") {
-              extractedFiles = await extractZip(fullPath, tempDir, config.keepArchives);
-            } else {
-              extractedFiles = await extractRarArchive(fullPath, tempDir, config.keepArchives);
-            }
-
-            webContents.send("organizing-log", `Extracted <b>${fileName}</b> → ${extractedFiles.length} files`, "warning");
-
-            if (!Array.isArray(extractedFiles)) extractedFiles = [];
-            
-            // Fallback: scan tempDir if the extractor didn't return paths
-            if (extractedFiles.length === 0) {
-              try {
-                extractedFiles = getAllFiles(tempDir);
-                webContents.send(
-                  "organizing-log",
-                  `Extractor returned no file list; found ${extractedFiles.length} files in temp folder.`,
-                  "info"
-                );
-              } catch (scanErr) {
-                webContents.send(
-                  "organizing-log",
-                  `Couldn't scan extracted folder: ${scanErr.message}`,
-                  "error"
-                );
-              }
-            }            
-        
-            let k = 0;
-            for (const extracted of extractedFiles) {
-              if (!isAcceptedExt(extracted, config)) {
-                const badExt = getExt(extracted);
-                webContents.send(
-                  "organizing-log",
-                  `Skipped <b>${path.basename(extracted)}</b> (unaccepted extension: .${badExt})`,
-                  "info"
-                );
-                continue;
-              }
-              const r = await categorizeFile(extracted, config, webContents, dedupe);
-              if (r && r.dest) movedThisRun.push(r);
-
-              if ((++k % 50) === 0) await _yield();  // ← yield during big extractions
-            }
-        
-            removeFolderRecursive(tempDir);
-          } catch (err) {
-            webContents.send(
-              "organizing-log",
-              `Error extracting <b>${fileName}</b>: ${err.message}`,
-              "error"
-            );
-          }
-          continue;
-        }
-      
-        // File categorization
-        const r2 = await categorizeFile(fullPath, config, webContents, dedupe);
-        if (r2 && r2.dest) movedThisRun.push(r2);
-        //Give UI break
-        if ((++i % 50) === 0) await _yield();
+  let plan = null;
+  if (config._plan && config._plan.length) {
+    try {
+      plan = writePlan(config.destDir, config._plan, {
+        samplesDir: config._sources?.[0]?.dir || config.samplesDir,
+        sources: (config._sources || []).map(root => root.dir),
+        destDir: config.destDir,
+        transferMode: transferModeOf(config),
+        conflictPolicy: config.conflictPolicy || "rename",
+      });
+      webContents.send(
+        "organizing-log",
+        `📝 Dry-run plan with ${config._plan.length} file(s) saved: <b>${plan.json}</b> and <b>${plan.csv}</b>`,
+        "info"
+      );
+    } catch (e) {
+      webContents.send("organizing-log", `Could not save the dry-run plan: ${e.message}`, "warning");
+    }
+  }
+
+  webContents.send("organizing-done", {
+    destDir: config.destDir,
+    dryRun: !!config.dryRun,
+    newFiles: run.movedThisRun,
+    journalId: run.journalId,
+    templated: !!config._template, // BPM/Key folders already applied by the template
+    ambiguous,
+    ambiguousReport,
+    duplicates,
+    instruments,
+    plan,
+    synced: config._syncSkipped || 0,
+    sources,
+    cancelled: controlOf(config).isCancelled(),
+    ...extra,
+  });
+}
+
+// -------------------- Checkpoints --------------------
+// startOrganizing keeps <dest>/.samplesort/checkpoint.json up to date; the UI
+// (or the CLI) removes it once the BPM/Key passes are done too.
+
+function saveCheckpoint(run, phase) {
+  const { config, webContents } = run;
+  if (config.dryRun || !run.journalId) return;
+  try {
+    writeCheckpoint(config.destDir, { runId: run.journalId, phase, config });
+  } catch (e) {
+    webContents.send("organizing-log", `Could not write the run checkpoint: ${e.message}. This run can't be resumed.`, "warning");
+  }
+}
+
+// Resuming: what the interrupted run already placed is skipped, but still
+// reported in newFiles so the BPM/Key passes cover it
+function resumeFromJournal(run) {
+  const { config, webContents } = run;
+  if (!config.resumeRunId || !run.journalId) return;
+  const placed = journalTransfers(config.destDir, run.journalId);
+  config._resumeDone = new Set(placed.map(t => path.resolve(t.src)));
+  run.movedThisRun.push(...placed.map(({ src, dest }) => ({ src, dest })));
+  webContents.send(
+    "organizing-log",
+    `Resuming run <b>${run.journalId}</b>: ${placed.length} file(s) were already placed.`,
+    "warning"
+  );
+}
+
+async function startOrganizing(config, webContents) {
+  if (config.resumeRunId && listJournals(config.destDir).find(j => j.id === config.resumeRunId)?.undone) {
+    webContents.send("organizing-log", `Run <b>${config.resumeRunId}</b> was undone; starting a new run instead.`, "warning");
+    config.resumeRunId = null;
+  }
+  const run = await beginRun(config, webContents);
+  if (!run) return;
+
+  const previous = config.dryRun ? null : readCheckpoint(config.destDir);
+  if (previous && previous.runId !== run.journalId) {
+    webContents.send(
+      "organizing-log",
+      `Interrupted run <b>${previous.runId}</b> can no longer be resumed (Undo still works for it).`,
+      "warning"
+    );
+  }
+  resumeFromJournal(run);
+  saveCheckpoint(run, "organize");
+
+  webContents.send("organizing-log", "⚡ Starting file processing...", "warning");
+
+  const files = getSourceFiles(config._sources, (root, e) =>
+    webContents.send("organizing-log", `Could not scan <b>${root.dir}</b>: ${e.message}`, "error"));
+  webContents.send("organizing-log", `Found ${files.length} files to process.`, "info");
+
+  if (files.length === 0) {
+    const dirs = config._sources.map(root => `<b>${root.dir}</b>`).join(", ");
+    webContents.send("organizing-log", `No files found in ${dirs} to organize.`, "warning");
+    saveCheckpoint(run, "post");
+    finishRun(run); // nothing moved
+    return;
+  }
+
+  await processFiles(run, files);
+  if (!controlOf(config).isCancelled()) saveCheckpoint(run, "post");
+  finishRun(run);
+}
+
+// -------------------- Analysis cache --------------------
+
+// Drop the destination's analysis cache and fill it again from scratch:
+// hash (with dedupeAlgo) and read the duration of every accepted file, plus
+// audio fingerprints when dedupe compares audio content, tags when rules match
+// them and loop / one-shot when rules, folders or the template use it
+async function rebuildCache(config, webContents) {
+  resetCancel();
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  if (!config.destDir || !fs.existsSync(config.destDir)) {
+    log(`Error: Destination directory <b>${config.destDir}</b> does not exist.`, "error");
+    return null;
+  }
+
+  const cache = cacheFor(config.destDir);
+  cache.clear();
+  const cfg = { ...config, _cache: cache };
+  const flatCats = flattenMainCategories(config);
+  const wantTags = rulesMatchTags(flatCats);
+  const wantTypes = usesSampleTypes(config, flatCats);
+  const algo = config.dedupeAlgo || "sha256";
+  const files = getAllFiles(config.destDir).filter(f => isAcceptedExt(f, config));
+  const chunk = configurePool(config) * 2;
+  log(`Rebuilding the analysis cache for ${files.length} file(s)…`, "warning");
+
+  let done = 0;
+  let nextReport = 500;
+  for (let j = 0; j < files.length; j += chunk) {
+    if (await checkpoint(webContents)) {
+      log("⏹️ Cache rebuild cancelled; the files analyzed so far are kept.", "warning");
+      break;
+    }
+    const batch = files.slice(j, j + chunk);
+    await Promise.all(batch.map(f => Promise.all([
+      cachedHash(cfg, f, algo),
+      /^midi?$/.test(getExt(f)) ? null : cachedFormat(cfg, f),
+      config.dedupeMatch === "audio" ? cachedFingerprint(cfg, f) : null,
+      wantTags && !/^midi?$/.test(getExt(f)) ? cachedTags(cfg, f) : null,
+      wantTypes && !/^midi?$/.test(getExt(f)) ? cachedSampleType(cfg, f) : null,
+    ]).catch(() => null)));
+    done += batch.length;
+    if (done >= nextReport) {
+      log(`Analyzed ${done} of ${files.length} file(s)…`, "info");
+      nextReport += 500;
+    }
+  }
+
+  cache.save();
+  if (!isCancelled()) log(`Analysis cache rebuilt: ${cache.size} file(s).`, "success");
+  return { files: cache.size };
+}
+
+// -------------------- Plans --------------------
+
+// Execute a (possibly hand-edited) dry-run plan exactly as listed.
+// options: { destDir, transferMode, conflictPolicy } used where the plan has no metadata (CSV).
+async function applyPlan(planFile, options, webContents) {
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  const { meta, entries } = readPlan(planFile);
+
+  const config = {
+    destDir: meta.destDir || options.destDir,
+    transferMode: meta.transferMode || options.transferMode,
+    moveFiles: !!options.moveFiles,
+    conflictPolicy: meta.conflictPolicy || options.conflictPolicy || "rename",
+    dryRun: false,
+  };
+  if (!config.destDir) throw new Error("The plan has no destination; set the Destination Directory first.");
+  const fallbackMode = transferModeOf(config);
+
+  resetCancel();
+  const journalId = startJournal(config, webContents, "plan");
+  log(`Applying plan <b>${path.basename(planFile)}</b> (${entries.length} row(s)).`, "warning");
+
+  let applied = 0, skipped = 0, failed = 0;
+  for (let i = 0; i < entries.length; i++) {
+    if (await checkpoint(webContents)) {
+      log("⏹️ Plan cancelled.", "warning");
+      break;
+    }
+    const e = entries[i];
+    const row = `Row ${i + 1}`;
+    const op = String(e.op || "").trim().toLowerCase() || fallbackMode;
+
+    if (op === "skip" || !e.src || !e.dest) { skipped++; continue; }
+    if (!PLAN_OPS.includes(op)) {
+      log(`${row}: unknown op "${op}" (use ${PLAN_OPS.join(", ")} or skip). Skipped.`, "warning");
+      skipped++;
+      continue;
+    }
+    const src = path.resolve(String(e.src));
+    if (!fs.existsSync(src)) {
+      log(`${row}: source <b>${src}</b> no longer exists. Skipped.`, "warning");
+      skipped++;
+      continue;
+    }
+
+    const dest = path.resolve(config.destDir, String(e.dest));
+    const r = placeFile(config, webContents, src, path.dirname(dest), path.basename(dest), { mode: op });
+    if (r?.dest) applied++;
+    else if (r?.skipped) skipped++;
+    else failed++;
+
+    if ((i % 50) === 0) await _yield();
+  }
+
+  log(`Plan applied: ${applied} done, ${skipped} skipped${failed ? `, ${failed} failed` : ""}.`, failed ? "error" : "success");
+  return { journalId, applied, skipped, failed };
+}
+
+// -------------------- Duplicate review --------------------
+
+// A saved report with size, format and existence filled in for each copy
+async function loadDuplicateReport(file, options = {}) {
+  const report = readDuplicateReport(file);
+  const config = { destDir: report.destDir, useAnalysisCache: options.useAnalysisCache };
+  config._cache = runCache(config);
+  for (const g of report.groups) {
+    g.members = await Promise.all(g.members.map(async (m) => {
+      const d = describeMember(m);
+      if (d.exists && !/^midi?$/.test(d.ext)) {
+        try { Object.assign(d, await cachedFormat(config, d.path)); } catch {}
       }
-  
-    webContents.send("organizing-done", {
-      destDir: config.destDir,
-      dryRun: !!config.dryRun,
-      newFiles: movedThisRun,
-    });
+      return d;
+    }));
+  }
+  return report;
+}
+
+// Resolve reviewed duplicate groups. choices: { [groupId]: path to keep }.
+// Other copies in the library go to _Duplicates; a kept copy from outside the
+// library (skipped or quarantined) takes the library copy's place.
+// Journaled like any run, so Undo puts everything back.
+async function applyDuplicateChoices(reportFile, choices, options, webContents) {
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  const report = readDuplicateReport(reportFile);
+  if (report.dryRun) throw new Error("This report is from a dry run; nothing was placed yet.");
+
+  const config = {
+    destDir: report.destDir,
+    transferMode: options.transferMode,
+    moveFiles: !!options.moveFiles,
+    useAnalysisCache: options.useAnalysisCache,
+    dryRun: false,
+  };
+  config._cache = runCache(config);
+  const qDir = path.join(config.destDir, "_Duplicates");
+
+  resetCancel();
+  const journalId = startJournal(config, webContents, "duplicates");
+  let resolved = 0, discarded = 0, skipped = 0;
+
+  for (const g of report.groups) {
+    if (await checkpoint(webContents)) {
+      log("⏹️ Cancelled.", "warning");
+      break;
+    }
+    const keep = choices?.[g.id];
+    if (!keep || g.resolved) continue;
+
+    const members = g.members.map(describeMember);
+    const keeper = members.find(m => m.path === keep && m.exists);
+    if (!keeper) {
+      log(`Group ${g.id}: <b>${keep}</b> no longer exists. Skipped.`, "warning");
+      skipped++;
+      continue;
+    }
+
+    try {
+      const library = members.filter(m => m.role === "library" && m.exists && m !== keeper);
+      const slot = keeper.role === "library" ? null : library[0];
+      for (const m of library) {
+        ensureDir(config, qDir);
+        transferFile(config, webContents, m.path, uniqueDestPath(qDir, path.basename(m.path)), "move");
+        discarded++;
+      }
+
+      let keptAt = keeper.path;
+      if (slot) {
+        keptAt = uniqueDestPath(path.dirname(slot.path), path.basename(keeper.path));
+        transferFile(config, webContents, keeper.path, keptAt,
+          keeper.role === "quarantine" ? "move" : transferModeOf(config));
+      }
+      g.resolved = { keep: keptAt, journalId, at: new Date().toISOString() };
+      resolved++;
+      log(`Group ${g.id}: kept <b>${keptAt}</b>${library.length ? `, ${library.length} copy(ies) moved to _Duplicates` : ""}.`, "info");
+    } catch (e) {
+      log(`Group ${g.id}: ${e.message}`, "error");
+      skipped++;
+    }
+    await _yield();
   }
 
-module.exports = { startOrganizing, requestCancel };
\ No newline at end of file
+  saveDuplicateReport(reportFile, report);
+  try { config._cache?.save(); } catch {}
+  log(`Duplicates resolved: ${resolved} group(s), ${discarded} file(s) moved to _Duplicates`
+    + `${skipped ? `, ${skipped} skipped` : ""}.`, skipped ? "warning" : "success");
+  return { journalId, resolved, discarded, skipped };
+}
+
+// -------------------- Instrument review --------------------
+
+// Where each suggested file is now: moved by a review already, else where the
+// run left it (following its BPM/Key moves)
+function instrumentItemPaths(report) {
+  const placed = new Map(journalTransfers(report.destDir, report.runId).map(t => [t.src, t.dest]));
+  return report.items.map(item => item.resolved?.dest || placed.get(item.src) || item.dest);
+}
+
+// A saved report with the current path and existence filled in for each file
+function loadInstrumentReport(file) {
+  const report = readInstrumentReport(file);
+  const paths = instrumentItemPaths(report);
+  report.items.forEach((item, i) => {
+    item.path = paths[i];
+    item.exists = fs.existsSync(paths[i]);
+  });
+  return report;
+}
+
+// Move reviewed files out of Miscellaneous. choices: { [itemId]: { main, category } },
+// the suggestion or whichever category the user picked instead.
+// Journaled like any run, so Undo puts everything back.
+async function applyInstrumentChoices(reportFile, choices, options, webContents) {
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  const report = readInstrumentReport(reportFile);
+  if (report.dryRun) throw new Error("This report is from a dry run; nothing was placed yet.");
+
+  const config = {
+    destDir: report.destDir,
+    useAnalysisCache: options.useAnalysisCache,
+    dryRun: false,
+  };
+  config._cache = runCache(config);
+
+  resetCancel();
+  const journalId = startJournal(config, webContents, "instruments");
+  const paths = instrumentItemPaths(report);
+  let moved = 0, skipped = 0;
+
+  for (const [i, item] of report.items.entries()) {
+    if (await checkpoint(webContents)) {
+      log("⏹️ Cancelled.", "warning");
+      break;
+    }
+    const choice = choices?.[item.id];
+    if (!choice?.category || item.resolved) continue;
+
+    const from = paths[i];
+    const target = recategorizedPath(report.destDir, from, choice, { withMain: report.withMain });
+    if (!fs.existsSync(from) || !target) {
+      log(`<b>${path.basename(from)}</b> is no longer in Miscellaneous. Skipped.`, "warning");
+      skipped++;
+      continue;
+    }
+
+    try {
+      ensureDir(config, path.dirname(target));
+      const dest = uniqueDestPath(path.dirname(target), path.basename(target));
+      transferFile(config, webContents, from, dest, "move");
+      item.resolved = { dest, journalId, at: new Date().toISOString() };
+      moved++;
+      log(`Moved <b>${path.basename(from)}</b> to <b>${path.relative(report.destDir, path.dirname(dest))}</b>.`, "info");
+    } catch (e) {
+      log(`<b>${path.basename(from)}</b>: ${e.message}`, "error");
+      skipped++;
+    }
+    await _yield();
+  }
+
+  saveInstrumentReport(reportFile, report);
+  try { config._cache?.save(); } catch {}
+  log(`Instrument review: ${moved} file(s) moved out of Miscellaneous`
+    + `${skipped ? `, ${skipped} skipped` : ""}.`, skipped ? "warning" : "success");
+  return { journalId, moved, skipped };
+}
+
+module.exports = {
+  startOrganizing,
+  applyPlan,
+  loadDuplicateReport,
+  applyDuplicateChoices,
+  loadInstrumentReport,
+  applyInstrumentChoices,
+  rebuildCache,
+  requestCancel,
+  requestPause,
+  requestResume,
+  beginRun,
+  newBatch,
+  processFiles,
+  finishRun,
+  getAllFiles,
+  getSourceFiles,
+  isHiddenName,
+};
@@ -0,0 +1,24 @@
+// Pack folder layout for "Keep sample packs together".
+// Shared by the organizer and the renderer's example path.
+
+const PACK_FORMATS = {
+  parens: "Pack (Collection)",
+  nested: "Pack/Collection as nested folders",
+  top: "Top folder only",
+};
+
+// folders: names between the Sample Directory (or archive) and the file, pack first.
+// packDepth is how many sub folder levels follow the pack folder (0: the pack only).
+function packSegments(folders, { packFormat = "parens", packDepth = 1 } = {}) {
+  const [pack, ...subs] = folders.filter(Boolean);
+  if (!pack) return [];
+  const depth = Math.max(0, Math.floor(Number(packDepth ?? 1)) || 0);
+  const kept = packFormat === "top" ? [] : subs.slice(0, depth);
+  if (packFormat === "nested") return [pack, ...kept];
+  return [kept.length ? `${pack} (${kept.join(" - ")})` : pack];
+}
+
+module.exports = {
+  PACK_FORMATS,
+  packSegments,
+};
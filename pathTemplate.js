@@ -0,0 +1,122 @@
+// Destination path templates, shared by the organizer and the example path
+// preview in the renderer.
+//
+//   {main}/{category}/{bpm} BPM/{key}/{pack}/{filename}
+//
+// Each "/" starts a folder level. A level is dropped when any token in it has
+// no value, so "{bpm} BPM" disappears for files without a tempo. A "/" in a
+// date format ({date:YYYY/MM}) nests folders. The last level
+// is the file name when it contains {filename}; otherwise the original name is
+// appended.
+
+const TOKENS = {
+  main: "Main folder name",
+  category: "Category name (Miscellaneous when nothing matched)",
+  pack: "Sample pack label, e.g. MyPack (Drums)",
+  collection: "Sub folder inside the sample pack",
+  bpm: "Tempo from the file name, parent folder or detection",
+  key: "Key from the file name, e.g. Bb Maj",
+  length: "\"Over N seconds\" when longer than the length threshold",
+  type: "Loops or One-Shots, classified from the audio",
+  ext: "File extension without the dot",
+  samplerate: "Sample rate in Hz",
+  date: "File modified date; {date:YYYY-MM} for other formats",
+  filename: "Original file name",
+};
+
+const TOKEN_RE = /\{(\w+)(?::([^}]*))?\}/g;
+
+// Folder levels, each a list of literal strings and { name, arg } tokens. Tokens
+// are found first and only the text between them is split, so a "/" in an
+// argument ({date:YYYY/MM}) stays part of the token.
+function splitTemplate(template) {
+  const src = String(template || "");
+  const levels = [[]];
+  const addText = (text) => {
+    text.split(/[\\/]+/).forEach((piece, i) => {
+      if (i > 0) levels.push([]);
+      if (piece) levels[levels.length - 1].push(piece);
+    });
+  };
+  let at = 0;
+  for (const m of src.matchAll(TOKEN_RE)) {
+    addText(src.slice(at, m.index));
+    levels[levels.length - 1].push({ name: m[1].toLowerCase(), arg: m[2] });
+    at = m.index + m[0].length;
+  }
+  addText(src.slice(at));
+  return levels.filter(parts => parts.some(p => typeof p !== "string" || p.trim()));
+}
+
+const literalText = (parts) => parts.map(p => (typeof p === "string" ? p : "{}")).join("").trim();
+const namesFile = (parts) => parts.some(p => p.name === "filename");
+
+// Names of the tokens a template uses
+function templateTokens(template) {
+  const used = new Set();
+  for (const m of String(template || "").matchAll(TOKEN_RE)) used.add(m[1].toLowerCase());
+  return used;
+}
+
+// Error message for an invalid template, or null when it's fine
+function validateTemplate(template) {
+  const segs = splitTemplate(template);
+  if (!segs.length) return null;
+  for (const name of templateTokens(template)) {
+    if (!Object.hasOwn(TOKENS, name)) return `Unknown token {${name}}`;
+  }
+  if (segs.some(parts => [".", ".."].includes(literalText(parts)))) return "Template can't contain . or .. folders";
+  const fileAt = segs.findIndex(namesFile);
+  if (fileAt !== -1 && fileAt !== segs.length - 1) return "{filename} must be in the last part of the template";
+  return null;
+}
+
+function formatDate(d, fmt = "YYYY-MM-DD") {
+  const pad = (n) => String(n).padStart(2, "0");
+  return fmt
+    .replace(/YYYY/g, String(d.getFullYear()))
+    .replace(/MM/g, pad(d.getMonth() + 1))
+    .replace(/DD/g, pad(d.getDate()));
+}
+
+function tokenValue(values, name, arg) {
+  const v = values[name];
+  if (v == null || v === "") return "";
+  if (v instanceof Date) return formatDate(v, arg || undefined);
+  return String(v);
+}
+
+const sanitizeSegment = (s) => String(s).replace(/[<>:"/\\|?*]/g, "").trim();
+
+// Render to path segments; the last segment is the file name
+function renderTemplate(template, values) {
+  const segs = splitTemplate(template);
+  const out = [];
+  let fileNamed = false;
+  segs.forEach((parts, i) => {
+    let missing = false;
+    // Only a date format may add folders (YYYY/MM); other values lose their slashes
+    const text = parts.map(p => {
+      if (typeof p === "string") return p;
+      const v = tokenValue(values, p.name, p.arg);
+      if (!v) missing = true;
+      return p.name === "date" ? v : v.replace(/[\\/]/g, "");
+    }).join("");
+    if (missing) return;
+    const clean = text.split(/[\\/]+/).map(sanitizeSegment).filter(Boolean);
+    if (!clean.length) return;
+    out.push(...clean);
+    if (i === segs.length - 1 && namesFile(parts)) fileNamed = true;
+  });
+
+  if (!fileNamed) out.push(sanitizeSegment(values.filename || ""));
+  return out;
+}
+
+module.exports = {
+  TOKENS,
+  templateTokens,
+  validateTemplate,
+  renderTemplate,
+  formatDate,
+};
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIRNAME } = require("./journal");
+
+// Dry-run plans: every transfer a dry run would make, saved as JSON and CSV
+// so it can be reviewed or edited (e.g. in a spreadsheet) and applied later.
+// Rows with op "skip", or an empty src/dest, are ignored when applying.
+
+const PLAN_COLUMNS = ["op", "src", "dest", "category", "keyword", "bpm", "key"];
+const PLAN_OPS = ["copy", "move", "hardlink", "symlink"];
+
+function planDir(rootDir) {
+  return path.join(path.resolve(rootDir), DATA_DIRNAME, "plans");
+}
+
+// --- CSV ------------------------------------------------------------
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// RFC 4180-ish: quoted cells, doubled quotes, CRLF from spreadsheet apps
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const s = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// File and folder names may start or end with a space: only a blank path
+// cell counts as empty, every other column is trimmed
+const PATH_COLUMNS = ["src", "dest"];
+function csvValue(column, v) {
+  if (!PATH_COLUMNS.includes(column)) return v.trim();
+  return v.trim() ? v : "";
+}
+
+// --- Read / write ---------------------------------------------------
+
+// Write <root>/.samplesort/plans/plan-<id>.json and .csv; returns both paths
+function writePlan(rootDir, entries, meta = {}) {
+  const dir = planDir(rootDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const json = path.join(dir, `plan-${id}.json`);
+  const csv = path.join(dir, `plan-${id}.csv`);
+
+  fs.writeFileSync(json, JSON.stringify({
+    version: 1,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    entries,
+  }, null, 2));
+
+  const lines = [PLAN_COLUMNS.join(",")]
+    .concat(entries.map(e => PLAN_COLUMNS.map(c => csvCell(e[c])).join(",")));
+  fs.writeFileSync(csv, lines.join("\n") + "\n");
+
+  return { json, csv };
+}
+
+// Plans saved by a dry run sit in <dest>/.samplesort/plans
+function destDirOfPlan(file) {
+  const dir = path.dirname(path.resolve(file));
+  if (path.basename(dir) !== "plans" || path.basename(path.dirname(dir)) !== DATA_DIRNAME) return null;
+  return path.dirname(path.dirname(dir));
+}
+
+// Load a plan from .json or .csv; CSV plans carry no metadata beyond
+// the destination implied by where the file is saved
+function readPlan(file) {
+  const text = fs.readFileSync(file, "utf-8").replace(/^\uFEFF/, "");
+
+  if (path.extname(file).toLowerCase() === ".csv") {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error("Plan is empty");
+    const cols = header.map(h => h.trim().toLowerCase());
+    for (const need of ["src", "dest"]) {
+      if (!cols.includes(need)) throw new Error(`Plan CSV has no "${need}" column`);
+    }
+    const entries = rows.map(r => Object.fromEntries(cols.map((c, i) => [c, csvValue(c, r[i] ?? "")])));
+    const destDir = destDirOfPlan(file);
+    return { meta: destDir ? { destDir } : {}, entries };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Plan is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(data.entries)) throw new Error("Plan has no entries list");
+  const { entries, ...meta } = data;
+  return { meta, entries };
+}
+
+module.exports = {
+  PLAN_COLUMNS,
+  PLAN_OPS,
+  writePlan,
+  readPlan,
+  parseCsv,
+};
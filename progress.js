@@ -0,0 +1,98 @@
+const fs = require("fs");
+
+// Structured progress for the long phases, sent on "organizing-progress" next
+// to the HTML log:
+//   { phase, done, total, bytes, totalBytes, file, startedAt, finished, cancelled }
+// Sends are throttled; the renderer works out throughput and ETA from them.
+
+const PROGRESS_CHANNEL = "organizing-progress";
+const SEND_INTERVAL_MS = 250;
+
+const PHASE_LABELS = {
+  index: "Indexing destination",
+  organize: "Organizing",
+  "bpm-prepare": "Preparing BPM",
+  bpm: "Detecting BPM",
+  key: "Key folders",
+  tags: "Writing tags",
+};
+
+function sizeOf(file) {
+  try { return fs.statSync(file).size; } catch { return 0; }
+}
+
+// files: the phase's worklist; call at(i) when starting on files[i]. Sizes
+// are read as the loop gets to each file (before it may be moved away), not
+// all up front (a second round of stats over the whole library), so bytes is
+// what's done so far and there is no totalBytes: the ETA goes by file count.
+function createProgress(webContents, phase, files = []) {
+  const state = {
+    phase,
+    done: 0,
+    total: files.length,
+    bytes: 0,
+    totalBytes: null,
+    file: null,
+    startedAt: Date.now(),
+    finished: false,
+    cancelled: false,
+  };
+  const sizes = []; // read by at(); files the loop skipped over are read when counted
+  let counted = 0; // files[0 .. counted) are in state.bytes
+
+  function countUpTo(n) {
+    for (; counted < n; counted++) state.bytes += sizes[counted] ?? sizeOf(files[counted]);
+  }
+
+  let lastSent = 0;
+
+  function send(force = false) {
+    const now = Date.now();
+    if (!force && now - lastSent < SEND_INTERVAL_MS) return;
+    lastSent = now;
+    webContents?.send(PROGRESS_CHANNEL, { ...state });
+  }
+
+  send(true);
+  return {
+    at(i) {
+      state.done = Math.min(i, files.length);
+      countUpTo(state.done);
+      state.file = files[i] ?? null;
+      if (state.file) sizes[i] ??= sizeOf(state.file);
+      send();
+    },
+    finish({ cancelled = false } = {}) {
+      if (!cancelled) {
+        state.done = files.length;
+        countUpTo(state.done);
+      }
+      state.file = null;
+      state.finished = true;
+      state.cancelled = cancelled;
+      send(true);
+    },
+  };
+}
+
+// Derived numbers for display: percent, bytes/s, files/s and seconds left
+// (by bytes when the total size is known, otherwise by file count)
+function progressStats(p, now = Date.now()) {
+  const elapsed = Math.max(0.001, (now - p.startedAt) / 1000);
+  const bytesPerSec = p.bytes / elapsed;
+  const filesPerSec = p.done / elapsed;
+  let etaSec = null;
+  if (!p.finished) {
+    if (p.totalBytes && p.bytes) etaSec = (p.totalBytes - p.bytes) / bytesPerSec;
+    else if (p.done) etaSec = (p.total - p.done) / filesPerSec;
+  }
+  const percent = p.total ? (p.done / p.total) * 100 : (p.finished ? 100 : 0);
+  return { elapsed, bytesPerSec, filesPerSec, etaSec, percent };
+}
+
+module.exports = {
+  PROGRESS_CHANNEL,
+  PHASE_LABELS,
+  createProgress,
+  progressStats,
+};
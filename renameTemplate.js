@@ -0,0 +1,160 @@
+// File name templates for the optional rename step, shared by the organizer
+// and the example path preview in the renderer.
+//
+//   {category} {n:03} - {bpm}BPM {key}{ext}
+//
+// A word (text between spaces) is dropped when any token in it has no value,
+// so "{bpm}BPM" disappears for files without a tempo, and separators left
+// dangling are trimmed. The extension is always kept, whether or not the
+// template ends in {ext}. The case mode leaves {key} alone: "AM" would read
+// back as A major.
+//
+// {key} is written short ("Am"), {key:long} as the Key folders name it
+// ("A Min"), which is the form the Key pass reads back from a name.
+
+const { formatDate } = require("./pathTemplate");
+
+const RENAME_TOKENS = {
+  name: "Original name, cleaned: pack prefixes and vendor tags stripped",
+  original: "Original name as it was (without extension)",
+  main: "Main folder name",
+  category: "Category name (Miscellaneous when nothing matched)",
+  pack: "Sample pack name",
+  bpm: "Tempo from the file name, parent folder or detection",
+  key: "Key from the file name, e.g. Am or F#; {key:long} for A Min",
+  n: "Next free number in the target folder; {n:03} pads to 3 digits",
+  date: "File modified date; {date:YYYY-MM} for other formats",
+  ext: "Extension with the dot, e.g. .wav",
+};
+
+const RENAME_CASES = {
+  "": "Keep case",
+  lower: "lower case",
+  upper: "UPPER CASE",
+  title: "Title Case",
+};
+
+const TOKEN_RE = /\{(\w+)(?::([^}]*))?\}/g;
+const SEPARATORS = /^[\s\-_.,~]+|[\s\-_.,~]+$/g;
+const SEPARATOR_WORD = /^[-_.,~]+$/;
+const KEY_MARK = "\uE000"; // stands in for {key} while the case mode runs
+// "Am", "F#m": a note with a tight lowercase m. Only here, for {key}: the Key
+// pass can't take it, since a capital M is too common in names (FM_Bass)
+const SHORT_MINOR_RE = /(?:^|[\s_\-])([A-G][#b]?)m(?=$|[\s_\-])/;
+const KEY_LABEL_RE = /^([A-G])(#|b)?(?:\s+(Maj|Min))?$/;
+
+// Names of the tokens a template uses
+function renameTokens(template) {
+  const used = new Set();
+  for (const m of String(template || "").matchAll(TOKEN_RE)) used.add(m[1].toLowerCase());
+  return used;
+}
+
+// Error message for an invalid template, or null when it's fine
+function validateRenameTemplate(template) {
+  const t = String(template || "").trim();
+  if (!t) return null;
+  if (/[\\/]/.test(t)) return "A file name template can't contain folders (use the path template)";
+  for (const m of t.matchAll(TOKEN_RE)) {
+    const name = m[1].toLowerCase();
+    if (!Object.hasOwn(RENAME_TOKENS, name)) return `Unknown token {${m[1]}}`;
+    if (name === "n" && m[2] != null && !/^\d{1,2}$/.test(m[2])) return `{n:${m[2]}} needs a digit count, e.g. {n:03}`;
+    if (name === "key" && m[2] != null && m[2] !== "long") return `Unknown key format {key:${m[2]}} (use {key} or {key:long})`;
+  }
+  const body = t.replace(/\{ext\}$/i, "");
+  if (/\{ext(?::[^}]*)?\}/i.test(body)) return "{ext} can only end the template";
+  if (!body.trim()) return "Template doesn't produce a name";
+  return null;
+}
+
+// Lowercased patterns with * as a wildcard, matched against whole words
+function wordMatcher(patterns) {
+  const res = (patterns || [])
+    .map(p => String(p).trim())
+    .filter(Boolean)
+    .map(p => new RegExp(`^${p.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`, "i"));
+  return (word) => res.some(re => re.test(word));
+}
+
+// The {name} token: stem without the pack prefixes (repeatedly, longest
+// first) and vendor tag words, separators turned into spaces
+function cleanName(stem, { stripPrefixes = [], stripTags = [] } = {}) {
+  const prefixes = stripPrefixes.map(p => String(p).trim()).filter(Boolean).sort((a, b) => b.length - a.length);
+  let name = String(stem);
+  for (let again = true; again;) {
+    again = false;
+    for (const p of prefixes) {
+      if (name.toLowerCase().startsWith(p.toLowerCase())) {
+        name = name.slice(p.length).replace(SEPARATORS, "");
+        again = true;
+        break;
+      }
+    }
+  }
+  const isTag = wordMatcher(stripTags);
+  return name.split(/[\s_]+/).filter(w => w && !isTag(w)).join(" ").replace(SEPARATORS, "");
+}
+
+// Key label ("A Min") from a short minor key in a file name ("Bass_Am_120"), or null
+function shortMinorKey(name) {
+  const m = String(name || "").match(SHORT_MINOR_RE);
+  return m ? `${m[1]} Min` : null;
+}
+
+// "Bb Min" -> "Bbm", "F# Maj" -> "F#"
+function shortKey(label) {
+  const m = String(label || "").match(KEY_LABEL_RE);
+  return m ? `${m[1]}${m[2] || ""}${m[3] === "Min" ? "m" : ""}` : "";
+}
+
+function applyCase(s, mode) {
+  if (mode === "lower") return s.toLowerCase();
+  if (mode === "upper") return s.toUpperCase();
+  if (mode === "title") return s.toLowerCase().replace(/(^|[\s\-_(])(\p{L})/gu, (_, sep, c) => sep + c.toUpperCase());
+  return s;
+}
+
+function tokenValue(values, name, arg) {
+  const v = values[name];
+  if (v == null || v === "") return "";
+  if (v instanceof Date) return formatDate(v, arg || undefined);
+  if (name === "n") return String(v).padStart(arg ? Number(arg) : 0, "0");
+  if (name === "key") return arg === "long" ? String(v) : shortKey(v);
+  return String(v);
+}
+
+// The new file name (stem + values.ext). An empty result keeps values.original.
+function renderFileName(template, values, { caseMode = "" } = {}) {
+  const ext = values.ext || "";
+  const body = String(template || "").trim().replace(/\{ext\}\s*$/i, "");
+
+  const words = [];
+  for (const word of body.split(/\s+/)) {
+    let missing = false;
+    const keys = [];
+    const text = applyCase(word.replace(TOKEN_RE, (_, name, arg) => {
+      const v = tokenValue(values, name.toLowerCase(), arg);
+      if (!v) missing = true;
+      if (name.toLowerCase() !== "key" || !v) return v;
+      keys.push(v);
+      return KEY_MARK;
+    }), caseMode).replace(/[<>:"/\\|?*]/g, "").split(KEY_MARK).reduce((a, b, i) => a + keys[i - 1] + b);
+    if (missing || !text) continue;
+    // "a - - b" when the word between two separators dropped out
+    if (SEPARATOR_WORD.test(text) && (!words.length || SEPARATOR_WORD.test(words[words.length - 1]))) continue;
+    words.push(text);
+  }
+
+  const stem = words.join(" ").replace(SEPARATORS, "");
+  return `${stem || values.original || "Untitled"}${ext}`;
+}
+
+module.exports = {
+  RENAME_TOKENS,
+  RENAME_CASES,
+  renameTokens,
+  validateRenameTemplate,
+  cleanName,
+  shortMinorKey,
+  renderFileName,
+};
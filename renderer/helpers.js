@@ -1,4 +1,6 @@
 const fs = require("fs");
+const { MATCH_SOURCES, SAMPLE_TYPES, splitKeywords, validateKeyword } = require("../keywordRules");
+const { SOURCE_PACK_MODES } = require("../sources");
 
 // --- Log auto-scroll helpers ---------------------------------
 if (typeof window !== "undefined" && window.__autoScroll === undefined) {
@@ -66,6 +68,20 @@ function createCategoryItem(name = "", keywords = [], targetUL, opts = {}) {
   kwInput.placeholder = "Keywords (comma-separated)";
   kwInput.value = Array.isArray(keywords) ? keywords.join(", ") : (keywords || "");
 
+  // Flag invalid /regex/ or glob keywords as you type (save also rejects them)
+  const validateKwInput = () => {
+    const errors = splitKeywords(kwInput.value)
+      .map(k => [k, validateKeyword(k)])
+      .filter(([, err]) => err)
+      .map(([k, err]) => `${k}: ${err}`);
+    kwInput.classList.toggle("error-border", errors.length > 0);
+    kwInput.title = errors.length
+      ? errors.join("\n")
+      : "Plain words, wildcards (kick_??) or /regex/i";
+  };
+  kwInput.addEventListener("input", validateKwInput);
+  validateKwInput();
+
   // “MATCH ALL” chip (checkbox styled as a pill)
   const allWrap = document.createElement("label");
   allWrap.className = "match-all-chip";
@@ -81,6 +97,17 @@ function createCategoryItem(name = "", keywords = [], targetUL, opts = {}) {
 
   allWrap.append(allToggle, allText);
 
+  // exclude keywords: a hit here rejects the category and matching moves on
+  const exInput = document.createElement("input");
+  exInput.type = "text";
+  exInput.className = "exclude-input";
+  exInput.placeholder = "Exclude (comma-separated)";
+  exInput.title = "Skip this category when any of these keywords appear";
+  exInput.value = Array.isArray(opts.exclude) ? opts.exclude.join(", ") : (opts.exclude || "");
+  exInput.addEventListener("input", () => {
+    const bad = splitKeywords(exInput.value).filter(k => validateKeyword(k));
+    exInput.classList.toggle("error-border", bad.length > 0);
+  });
 
   // visual state for MATCH ALL
   const applyAllVisual = () => {
@@ -93,6 +120,41 @@ function createCategoryItem(name = "", keywords = [], targetUL, opts = {}) {
   allToggle.addEventListener("change", applyAllVisual);
   applyAllVisual();
 
+  // where keywords are looked for; nothing ticked = file name (+ parent folder)
+  const matchIn = document.createElement("details");
+  matchIn.className = "match-in";
+  const matchInSummary = document.createElement("summary");
+  matchIn.append(matchInSummary);
+  const picked = new Set(Array.isArray(opts.matchIn) ? opts.matchIn : []);
+  for (const [src, label] of Object.entries(MATCH_SOURCES)) {
+    const row = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.className = "match-in-toggle";
+    box.value = src;
+    box.checked = picked.has(src);
+    row.append(box, document.createTextNode(` ${label}`));
+    matchIn.append(row);
+  }
+  const applyMatchInLabel = () => {
+    const on = [...matchIn.querySelectorAll(".match-in-toggle:checked")].map(b => b.value);
+    matchInSummary.textContent = on.length ? `In: ${on.join(", ")}` : "In: name";
+    matchIn.title = on.length
+      ? on.map(src => MATCH_SOURCES[src]).join("\n")
+      : "File name (and parent folder when that option is on)";
+  };
+  matchIn.addEventListener("change", applyMatchInLabel);
+  applyMatchInLabel();
+
+  // loop / one-shot condition, classified from the audio
+  const typeSelect = document.createElement("select");
+  typeSelect.className = "sample-type";
+  typeSelect.title = "Only match loops or one-shots (told apart from the audio). "
+    + "Without keywords, every file of that type matches.";
+  typeSelect.add(new Option("Any", ""));
+  for (const [value, label] of Object.entries(SAMPLE_TYPES)) typeSelect.add(new Option(label, value));
+  typeSelect.value = Object.hasOwn(SAMPLE_TYPES, opts.sampleType || "") ? opts.sampleType : "";
+
   // delete button
   const delBtn = document.createElement("button");
   delBtn.className = "delete-btn";
@@ -101,11 +163,72 @@ function createCategoryItem(name = "", keywords = [], targetUL, opts = {}) {
   delBtn.title = "Remove category";
   delBtn.addEventListener("click", () => li.remove());
 
-  li.append(handle, nameInput, kwInput, allWrap, delBtn);
+  li.append(handle, nameInput, kwInput, allWrap, exInput, matchIn, typeSelect, delBtn);
+  targetUL.appendChild(li);
+  return li;
+}
+
+// createSourceItem({ dir, enabled, packFormat }, targetUL, { onBrowse })
+// One Sample Directory row: on/off, path, Browse…, pack folder mode, remove
+function createSourceItem(source = {}, targetUL, opts = {}) {
+  const li = document.createElement("li");
+  li.className = "source-item";
+
+  const enabled = document.createElement("input");
+  enabled.type = "checkbox";
+  enabled.className = "source-enabled";
+  enabled.title = "Include this directory in runs";
+  enabled.checked = source.enabled ?? true;
+
+  const dirInput = document.createElement("input");
+  dirInput.type = "text";
+  dirInput.className = "source-dir";
+  dirInput.placeholder = "Sample directory";
+  dirInput.value = source.dir || "";
+
+  const browseBtn = document.createElement("button");
+  browseBtn.type = "button";
+  browseBtn.textContent = "Browse…";
+  browseBtn.addEventListener("click", async () => {
+    const picked = await opts.onBrowse?.(dirInput.value.trim());
+    if (picked) dirInput.value = picked;
+  });
+
+  const packSelect = document.createElement("select");
+  packSelect.className = "source-pack";
+  packSelect.title = "Pack folders for files from this directory";
+  for (const [value, label] of Object.entries(SOURCE_PACK_MODES)) {
+    packSelect.add(new Option(label, value));
+  }
+  packSelect.value = source.packFormat in SOURCE_PACK_MODES ? source.packFormat : "";
+
+  const delBtn = document.createElement("button");
+  delBtn.className = "delete-btn";
+  delBtn.type = "button";
+  delBtn.textContent = "✕";
+  delBtn.title = "Remove directory";
+  delBtn.addEventListener("click", () => li.remove());
+
+  const applyEnabledVisual = () => li.classList.toggle("disabled", !enabled.checked);
+  enabled.addEventListener("change", applyEnabledVisual);
+  applyEnabledVisual();
+
+  li.append(enabled, dirInput, browseBtn, packSelect, delBtn);
   targetUL.appendChild(li);
   return li;
 }
 
+// Rows with a path, as saved in config.sources
+function readSources(listElement) {
+  return Array.from(listElement.querySelectorAll("li.source-item"))
+    .map(li => ({
+      dir: li.querySelector(".source-dir").value.trim(),
+      enabled: li.querySelector(".source-enabled").checked,
+      packFormat: li.querySelector(".source-pack").value,
+    }))
+    .filter(s => s.dir);
+}
+
 function getListValues(listElement, type = "simple") {
   return Array.from(listElement.querySelectorAll("li"))
     .map(li => {
@@ -113,10 +236,7 @@ function getListValues(listElement, type = "simple") {
         const inputs = li.querySelectorAll("input[type=text]");
         return {
           name: inputs[0].value.trim(),
-          keywords: inputs[1].value
-            .split(",")
-            .map(k => k.trim())
-            .filter(Boolean)
+          keywords: splitKeywords(inputs[1].value)
         };
       } else {
         const input = li.querySelector("input[type=text]");
@@ -362,7 +482,7 @@ function createMainCategoryItem(mainName = "", categories = [], rootEl) {
       c.name || c.category || "",
       c.keywords || [],
       ul,
-      { matchAll: !!c.matchAll }
+      { matchAll: !!c.matchAll, exclude: c.exclude || [], matchIn: c.matchIn, sampleType: c.sampleType }
     )
   );
 
@@ -446,8 +566,15 @@ function readMainCategories(rootEl) {
       const kwStr = li.querySelector(".keywords-input")?.value || "";
       const matchAll = !!li.querySelector(".match-all-toggle")?.checked;
       if (!name) return;
-      const keywords = kwStr.split(/[,\n;]+/).map(s => s.trim()).filter(Boolean);
-      cats.push({ name, keywords, matchAll });
+      const keywords = splitKeywords(kwStr);
+      const exclude = splitKeywords(li.querySelector(".exclude-input")?.value || "");
+      const matchIn = [...li.querySelectorAll(".match-in-toggle:checked")].map(b => b.value);
+      const sampleType = li.querySelector(".sample-type")?.value;
+      cats.push({
+        name, keywords, matchAll, exclude,
+        ...(matchIn.length ? { matchIn } : {}),
+        ...(sampleType ? { sampleType } : {}),
+      });
     });
     mains.push({ name: mainName, categories: cats });
   });
@@ -457,6 +584,8 @@ function readMainCategories(rootEl) {
 module.exports = {
   createListItem,
   createCategoryItem,
+  createSourceItem,
+  readSources,
   getListValues,
   appendLog,
   enableDragSort,
@@ -5,6 +5,8 @@ const bpmDetective = require("bpm-detective");
 const {
   createListItem,
   createCategoryItem,
+  createSourceItem,
+  readSources,
   getListValues,
   appendLog,
   enableDragSort,
@@ -16,6 +18,14 @@ const {
 } = require("./helpers");
 const { showNotification } = require("./ui");
 const { isDuplicatesPath } = require("../bpmUtils");
+const { splitKeywords } = require("../keywordRules");
+const { renderTemplate, validateTemplate } = require("../pathTemplate");
+const { DUPLICATE_RULES, pickKeeper } = require("../duplicates");
+const { PACK_FORMATS, packSegments } = require("../packLabel");
+const { RENAME_CASES, validateRenameTemplate, cleanName, renderFileName } = require("../renameTemplate");
+const { INSTRUMENT_MODES } = require("../instrumentReview");
+const { validateIgnorePattern } = require("../ignoreRules");
+const { PHASE_LABELS, createProgress, progressStats } = require("../progress");
 const { setTimeout: sleep } = require("timers/promises");
 
 // Hard safety caps for BPM decode
@@ -71,6 +81,64 @@ async function decodeToAudioBuffer(nodeBuffer) {
   }
 }
 
+// ---- Progress bars (one row per phase, fed by "organizing-progress") ----
+const formatBytes = (n) =>
+  n >= 1024 ** 3 ? `${(n / 1024 ** 3).toFixed(2)} GB`
+  : n >= 1024 ** 2 ? `${(n / 1024 ** 2).toFixed(1)} MB`
+  : `${Math.round(n / 1024)} KB`;
+
+const formatDuration = (sec) => {
+  if (sec == null || !isFinite(sec)) return "…";
+  const s = Math.round(sec);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+};
+
+function resetProgress() {
+  const panel = document.getElementById("progressPanel");
+  if (!panel) return;
+  panel.innerHTML = "";
+  panel.style.display = "none";
+}
+
+function renderProgress(p) {
+  const panel = document.getElementById("progressPanel");
+  if (!panel || !p?.phase) return;
+
+  let row = panel.querySelector(`[data-phase="${p.phase}"]`);
+  if (!row) {
+    row = document.createElement("div");
+    row.className = "progress-row";
+    row.dataset.phase = p.phase;
+    const label = document.createElement("span");
+    label.textContent = PHASE_LABELS[p.phase] || p.phase;
+    const detail = document.createElement("span");
+    detail.className = "progress-detail";
+    row.append(label, document.createElement("progress"), detail);
+    panel.appendChild(row);
+  }
+  panel.style.display = "block";
+
+  const st = progressStats(p);
+  const bar = row.querySelector("progress");
+  bar.max = Math.max(1, p.total);
+  bar.value = p.done;
+  row.classList.toggle("finished", !!p.finished);
+
+  const parts = [`${p.done}/${p.total} (${Math.floor(st.percent)}%)`];
+  if (p.totalBytes) parts.push(`${formatBytes(p.bytes)} of ${formatBytes(p.totalBytes)}`);
+  else if (p.bytes) parts.push(formatBytes(p.bytes));
+  if (p.finished) {
+    parts.push(`${p.cancelled ? "stopped" : "done"} in ${formatDuration(st.elapsed)}`);
+  } else {
+    parts.push(p.bytes ? `${formatBytes(st.bytesPerSec)}/s` : `${st.filesPerSec.toFixed(1)} files/s`);
+    parts.push(`ETA ${formatDuration(st.etaSec)}`);
+    if (p.file) parts.push(path.basename(p.file));
+  }
+  row.querySelector(".progress-detail").textContent = parts.join(" · ");
+}
+
 // BPM Sorting (must be in renderer to work with WebAudio)
 async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
   resetBpmCancel();
@@ -99,15 +167,22 @@ async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
   }
 
   const results = [];
+  const detections = []; // for the analysis cache, including "no BPM found"
   let takenFromName = 0, detected = 0, failed = 0;
   let idx = 0;
+  const progress = createProgress(
+    { send: (_channel, p) => renderProgress(p) },
+    "bpm",
+    items.map(it => (typeof it === "string" ? it : it.file))
+  );
 
-  for (const it of items) {
+  for (const [i, it] of items.entries()) {
+    await waitWhileBpmPaused(appendLog);
     if (bpmCancel.requested) {
       appendLog("BPM analysis cancelled by user.", "warning");
       break;
     }
-
+    progress.at(i);
 
     const file = typeof it === "string" ? it : it.file;
     if (!file) continue;
@@ -130,7 +205,7 @@ async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
       // Use file name first
       if (it.skipDetection && isFinite(it.bpmValue)) {
         if (config.bpmDebug) 
-          appendLog(`Using filename/parent BPM <b>${it.bpmValue}</b> for <b>${name}</b>`, "info");
+          appendLog(`Using ${it.cached ? "cached" : "filename/parent"} BPM <b>${it.bpmValue}</b> for <b>${name}</b>`, "info");
         results.push({ file, bpmValue: it.bpmValue, keyValue, bpmDebug: config.bpmDebug });
         takenFromName++;
         continue;
@@ -211,8 +286,10 @@ async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
 
         if (config.bpmDebug) appendLog(`Detected BPM: <b>${bpmValue}</b> for <b>${name}</b>`, "success");
         results.push({ file, bpmValue, keyValue });
+        detections.push({ file, bpmValue, keyValue });
       } else {
         failed++;
+        detections.push({ file, bpmValue: null });
         if (config.bpmDebug) appendLog(`BPM not found for <b>${name}</b>`, "warning");
       }
     } catch (err) {
@@ -225,6 +302,20 @@ async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
 
     if ((++idx % 30) === 0) await yieldToUI();
   }
+  progress.finish({ cancelled: bpmCancel.requested });
+
+  // Store detections while the files are still at the paths they were analyzed at
+  if (detections.length) {
+    try {
+      await ipcRenderer.invoke("bpm-cache-store", {
+        rootDir: config.destDir || destDir,
+        items: detections,
+        useAnalysisCache: config.useAnalysisCache,
+      });
+    } catch (e) {
+      if (config.bpmDebug) appendLog(`Could not cache BPM results: ${e.message}`, "warning");
+    }
+  }
 
   if (bpmCancel.requested) {
     appendLog(`⏹ Cancelled during BPM Sort. Partial results: ${results.length} collected.`, "warning");
@@ -244,7 +335,10 @@ async function sortByBPM(ipcRenderer, destDir, config, appendLog ) {
   const processed = await ipcRenderer.invoke("bpm-results", {
     items: results,
     sortByKey: !!config.sortByKey,
-    dryRun: !!config.dryRun
+    dryRun: !!config.dryRun,
+    rootDir: destDir,
+    journalId: config.journalId || null,
+    conflictPolicy: config.conflictPolicy,
   });
 
   appendLog(
@@ -288,6 +382,14 @@ function detectKeyFromName(str) {
 const bpmCancel = { requested: false };
 function requestBpmCancel() { bpmCancel.requested = true; }
 function resetBpmCancel() { bpmCancel.requested = false; }
+
+// Pause for the BPM pass; the main-process passes pause via "organizing-pause"
+const bpmPause = { paused: false };
+async function waitWhileBpmPaused(appendLog) {
+  if (!bpmPause.paused || bpmCancel.requested) return;
+  appendLog("⏸ Paused. Press Resume to continue.", "warning");
+  while (bpmPause.paused && !bpmCancel.requested) await sleep(200);
+}
 function throwIfBpmCancelled() {
   if (bpmCancel.requested) {
     const err = new Error("__BPM_CANCELLED__");
@@ -330,13 +432,30 @@ function setupCascade(rootSelectorOrEl, startIndex = 1) {
 document.addEventListener("DOMContentLoaded", async () => {
   // Cache all DOM elements
   const els = {
-    samplesDir: document.getElementById("samplesDir"),
+    sourcesList: document.getElementById("sourcesList"),
+    addSourceBtn: document.getElementById("addSourceBtn"),
     destDir: document.getElementById("destDir"),
-    moveFiles: document.getElementById("moveFiles"),
+    transferMode: document.getElementById("transferMode"),
+    conflictPolicy: document.getElementById("conflictPolicy"),
     keepArchives: document.getElementById("keepArchives"),
     dryRun: document.getElementById("dryRun"),
     checkParentFolder: document.getElementById("checkParentFolder"),
+    pathTemplate: document.getElementById("pathTemplate"),
+    renameTemplate: document.getElementById("renameTemplate"),
+    renameCase: document.getElementById("renameCase"),
+    renameStripPrefixes: document.getElementById("renameStripPrefixes"),
+    renameStripTags: document.getElementById("renameStripTags"),
+    matchMode: document.getElementById("matchMode"),
+    instrumentMode: document.getElementById("instrumentMode"),
+    instrumentConfidence: document.getElementById("instrumentConfidence"),
+    workerThreads: document.getElementById("workerThreads"),
+    useAnalysisCache: document.getElementById("useAnalysisCache"),
+    clearCacheBtn: document.getElementById("clearCacheBtn"),
+    rebuildCacheBtn: document.getElementById("rebuildCacheBtn"),
+    incrementalSync: document.getElementById("incrementalSync"),
+    clearSyncBtn: document.getElementById("clearSyncBtn"),
     checkLength: document.getElementById("checkLength"),
+    splitLoops: document.getElementById("splitLoops"),
     lengthThreshold: document.getElementById("lengthThreshold"),
     sortByBPM: document.getElementById("sortByBPM"),
     bpmOptions: document.getElementById("bpmOptions"),
@@ -348,16 +467,33 @@ document.addEventListener("DOMContentLoaded", async () => {
     categoriesList: document.getElementById("categoriesList"),
     extensionsList: document.getElementById("extensionsList"),
     archiveExtensionsList: document.getElementById("archiveExtensionsList"),
+    ignorePatternsList: document.getElementById("ignorePatternsList"),
     addCategoryBtn: document.getElementById("addCategoryBtn"),
     newCategoryInput: document.getElementById("newCategoryInput"),
     newKeywordsInput: document.getElementById("newKeywordsInput"),
     saveConfigBtn: document.getElementById("saveConfigBtn"),
     startButton: document.getElementById("startButton"),
     moveWarning: document.getElementById("moveWarning"),
-    browseSamplesBtn: document.getElementById("browseSamplesBtn"),
     browseDestBtn: document.getElementById("browseDestBtn"),
     // toggleFullscreenBtn: document.getElementById("toggleFullscreenBtn"),
     exportLogBtn: document.getElementById("exportLogBtn"),
+    undoLastBtn: document.getElementById("undoLastBtn"),
+    undoRunBtn: document.getElementById("undoRunBtn"),
+    applyPlanBtn: document.getElementById("applyPlanBtn"),
+    reviewDupesBtn: document.getElementById("reviewDupesBtn"),
+    dupesView: document.getElementById("dupesView"),
+    dupesSummary: document.getElementById("dupesSummary"),
+    dupesRule: document.getElementById("dupesRule"),
+    dupesApplyRuleBtn: document.getElementById("dupesApplyRuleBtn"),
+    dupesApplyBtn: document.getElementById("dupesApplyBtn"),
+    dupesCloseBtn: document.getElementById("dupesCloseBtn"),
+    dupesList: document.getElementById("dupesList"),
+    reviewInstrumentsBtn: document.getElementById("reviewInstrumentsBtn"),
+    instrumentsView: document.getElementById("instrumentsView"),
+    instrumentsSummary: document.getElementById("instrumentsSummary"),
+    instrumentsApplyBtn: document.getElementById("instrumentsApplyBtn"),
+    instrumentsCloseBtn: document.getElementById("instrumentsCloseBtn"),
+    instrumentsList: document.getElementById("instrumentsList"),
     clearLogBtn: document.getElementById("clearLogBtn"),
     logArea: document.getElementById("logArea"),
     configForm: document.getElementById("configForm"),
@@ -370,17 +506,79 @@ document.addEventListener("DOMContentLoaded", async () => {
     dedupePreferDest: document.getElementById("dedupePreferDest"),
     dedupeControls: document.getElementById("dedupeControls"),
     dedupeAlgo: document.getElementById("dedupeAlgo"),
+    dedupeMatch: document.getElementById("dedupeMatch"),
     keepPackSubfolder: document.getElementById("keepPackSubfolder"),
+    packDepth: document.getElementById("packDepth"),
+    packFormat: document.getElementById("packFormat"),
     examplePath: document.getElementById("examplePath"),
     keyOptions: document.getElementById("keyOptions"),
     sortByKey: document.getElementById("sortByKey"),
     keyFromParent: document.getElementById("keyFromParent"),
     sortMidiToFolder: document.getElementById("sortMidiToFolder"),
+    writeTags: document.getElementById("writeTags"),
     postProcessBtn: document.getElementById("postProcessBtn"),
     postProcessWrap: document.getElementById("postProcessWrap"),
     postProcessToggle: document.getElementById("enablePostProcess"),
+    watchBtn: document.getElementById("watchBtn"),
+    watchPauseBtn: document.getElementById("watchPauseBtn"),
+    watchStatus: document.getElementById("watchStatus"),
   };
 
+  // Watch mode (new files in the Sample Directory are sorted with the saved config)
+  let watching = false;
+  let watchPaused = false;
+  let organizing = false; // a run started with Start is going (no watching until it ends)
+
+  const syncWatchUI = () => {
+    if (els.watchBtn) {
+      els.watchBtn.textContent = watching ? "⏹ Stop Watching" : "👀 Watch Sample Directory";
+      els.watchBtn.disabled = organizing && !watching;
+    }
+    if (els.watchPauseBtn) {
+      els.watchPauseBtn.disabled = !watching;
+      els.watchPauseBtn.textContent = watchPaused ? "Resume" : "Pause";
+    }
+    els.startButton.disabled = watching || organizing;
+  };
+
+  const setOrganizing = (on) => {
+    organizing = on;
+    syncWatchUI();
+  };
+
+  els.watchBtn?.addEventListener("click", async () => {
+    setAutoScrollEnabled(true);
+    try {
+      if (watching) {
+        await ipcRenderer.invoke("watch-stop");
+        watching = false;
+      } else {
+        appendLog("Starting watch mode with the saved configuration…", "info");
+        watching = await ipcRenderer.invoke("watch-start");
+      }
+      watchPaused = false;
+    } catch (err) {
+      appendLog(`Watch failed: ${err.message}`, "error");
+      watching = false;
+    }
+    syncWatchUI();
+  });
+
+  els.watchPauseBtn?.addEventListener("click", async () => {
+    await ipcRenderer.invoke(watchPaused ? "watch-resume" : "watch-pause");
+  });
+
+  ipcRenderer.on("watch-status", (_event, { state, queued }) => {
+    watching = state !== "stopped";
+    watchPaused = state === "paused";
+    if (els.watchStatus) {
+      els.watchStatus.textContent =
+        state === "paused" ? `Paused${queued ? ` (${queued} queued)` : ""}` :
+        state === "watching" ? "Watching…" : "";
+    }
+    syncWatchUI();
+  });
+
   //BPM/Key only sort
   const syncPostProcessVisibility = () => {
   if (!els.postProcessWrap || !els.postProcessToggle) return;
@@ -411,12 +609,20 @@ document.addEventListener("DOMContentLoaded", async () => {
       dryRun: !!els.dryRun.checked,
       samplesDir: root,
       destDir: root,
+      ignorePatterns: getListValues(els.ignorePatternsList),
+      useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      workerThreads: Math.max(0, Math.floor(Number(els.workerThreads?.value) || 0)),
       sortByKey: !!els.sortByKey?.checked,
       keyFromParent: !!els.keyFromParent?.checked,
       keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
     };
 
     try {
+      // One journal for both passes so "Undo Last Run" reverts them together
+      if (!bpmCfg.dryRun) {
+        bpmCfg.journalId = await ipcRenderer.invoke("journal-begin", { rootDir: root, kind: "post-process" });
+      }
+
       els.startButton.disabled = true;
       setStartButtonLabel("Analyzing BPM…");
       setAutoScrollEnabled(true);
@@ -438,6 +644,8 @@ document.addEventListener("DOMContentLoaded", async () => {
           debug: !!els.bpmDebug.checked,
           keyFromParent: !!els.keyFromParent?.checked,
           keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
+          journalId: bpmCfg.journalId,
+          ignorePatterns: bpmCfg.ignorePatterns,
         });
         if (!Number.isFinite(movedKeyCount)) movedKeyCount = 0;
         appendLog(`Key sort complete. ${movedKeyCount} file(s) updated.`, "info");
@@ -516,7 +724,18 @@ document.addEventListener("DOMContentLoaded", async () => {
         input.classList.remove("error-border", "error-shake");
       }
     });
-  } 
+  }
+
+  function addSource(source) {
+    return createSourceItem(source, els.sourcesList, {
+      onBrowse: (startAt) => ipcRenderer.invoke("pick-folder", { defaultPath: startAt }),
+    });
+  }
+
+  // First enabled Sample Directory (dry-run BPM/Key passes scan it)
+  function primarySamplesDir() {
+    return readSources(els.sourcesList).find(s => s.enabled)?.dir || "";
+  }
 
   function selectMain(detailsEl) {
     if (!detailsEl) return;
@@ -563,6 +782,21 @@ document.addEventListener("DOMContentLoaded", async () => {
     return c;
   }
 
+  const splitList = (s) => String(s || "").split(",").map(x => x.trim()).filter(Boolean);
+
+  // The example file name after the rename step, or the pack-style original
+  function exampleFileName(cfg, cat) {
+    const ext = ".wav";
+    const original = `XYZ_Prod_Vol3_${singularize(cat).replace(/\s+/g, "_")}_04_Hard_125bpm_Am`;
+    const template = String(cfg.renameTemplate || "").trim();
+    if (!template) return `${original}${ext}`;
+    const name = cleanName(original, { stripPrefixes: splitList(cfg.renameStripPrefixes), stripTags: splitList(cfg.renameStripTags) });
+    return renderFileName(template, {
+      original, name, main: cfg.main, category: cat, pack: "SamplePack",
+      bpm: 125, key: "A Min", n: 1, date: new Date(), ext,
+    }, { caseMode: cfg.renameCase });
+  }
+
   //Example Path builder
   function buildExamplePath(cfg) {
     const root = (cfg.destDir?.trim() || "D:\\Destination Directory");
@@ -574,17 +808,34 @@ document.addEventListener("DOMContentLoaded", async () => {
     const pack = "SamplePack";
     const collection = "Collection";
     const packLabel  = `${pack} (${collection})`;
+    const packRel = packSegments([pack, collection, "Sub"], cfg);
 
-    const file = `${singularize(cat)}01.wav`;
+    const renameError = validateRenameTemplate(cfg.renameTemplate);
+    if (renameError) return `⚠️ ${renameError}`;
+    const file = cfg.renameTemplate?.trim() ? exampleFileName({ ...cfg, main }, cat) : `${singularize(cat)}01.wav`;
     const bpm  = "100 BPM";
     const key  = "Bb Maj";
+
+    const template = String(cfg.pathTemplate || "").trim();
+    if (template) {
+      const error = validateTemplate(template);
+      if (error) return `⚠️ ${error}`;
+      const lenTh = Number(cfg.lengthThreshold || 0);
+      const segs = renderTemplate(template, {
+        main, category: cat, pack: packLabel, collection,
+        bpm: 100, key, length: lenTh > 0 ? `Over ${lenTh} seconds` : null, type: "Loops",
+        ext: "wav", samplerate: 44100, date: new Date(), filename: file,
+      });
+      return [root, ...segs].join("\\");
+    }
   
     const parts = [root, main, cat];
   
     const lenTh = Number(cfg.lengthThreshold || 0);
     if (cfg.checkLength && lenTh > 0) parts.push(`${cat} - Over ${lenTh} seconds`);
+    if (cfg.splitLoops) parts.push("Loops");
   
-    if (cfg.keepPackSubfolder) parts.push(packLabel);
+    if (cfg.keepPackSubfolder) parts.push(...packRel);
     if (cfg.sortByBPM) parts.push(bpm);
     if (cfg.sortByKey) parts.push(key);
   
@@ -596,14 +847,24 @@ document.addEventListener("DOMContentLoaded", async () => {
     const cfg = {
       destDir: els.destDir?.value,
       checkLength: els.checkLength?.checked,
+      splitLoops: els.splitLoops?.checked,
       lengthThreshold: els.lengthThreshold?.value,
       sortByBPM: els.sortByBPM?.checked,
       keepPackSubfolder: els.keepPackSubfolder?.checked,
+      packDepth: Math.max(0, Math.floor(Number(els.packDepth?.value || 1))),
+      packFormat: els.packFormat?.value,
       main: selectedMainName(),
       category: currentCategoryName(),
       sortByKey: els.sortByKey?.checked,
+      pathTemplate: els.pathTemplate?.value,
+      renameTemplate: els.renameTemplate?.value,
+      renameCase: els.renameCase?.value,
+      renameStripPrefixes: els.renameStripPrefixes?.value,
+      renameStripTags: els.renameStripTags?.value,
     };
     els.examplePath.textContent = buildExamplePath(cfg);
+    els.pathTemplate?.classList.toggle("error-border", !!validateTemplate(els.pathTemplate.value));
+    els.renameTemplate?.classList.toggle("error-border", !!validateRenameTemplate(els.renameTemplate.value));
   }
 
   // select the folder you click/focus in
@@ -629,6 +890,22 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (d) selectMain(d);
   });  
 
+  // Add ignore pattern (gitignore syntax, checked before it's added)
+  const newIgnoreInput = document.getElementById("newIgnoreInput");
+  document.getElementById("addIgnoreBtn").addEventListener("click", () => {
+    const val = (newIgnoreInput.value || "").trim();
+    if (!val) return;
+    const err = validateIgnorePattern(val);
+    if (err) {
+      triggerError(newIgnoreInput);
+      appendLog(`Invalid ignore pattern "${val}": ${err}`, "error");
+      return;
+    }
+    newIgnoreInput.classList.remove("error-border", "error-shake");
+    createListItem(val, els.ignorePatternsList);
+    newIgnoreInput.value = "";
+  });
+
   // Add Extension
   const newExtInput = document.getElementById("newExtensionInput");
   const addExtBtn = document.getElementById("addExtensionBtn");
@@ -731,18 +1008,91 @@ document.addEventListener("DOMContentLoaded", async () => {
     appendLog("⏹ Sorting cancelled.", "warning");
   });
 
+  // Pause/Resume: holds the organize, BPM and Key passes between files
+  const pauseBtn = document.getElementById("pauseRunBtn");
+  function setPaused(paused) {
+    bpmPause.paused = paused;
+    if (pauseBtn) pauseBtn.textContent = paused ? "Resume" : "Pause";
+  }
+  pauseBtn?.addEventListener("click", async () => {
+    const pausing = !bpmPause.paused;
+    setPaused(pausing);
+    try { await ipcRenderer.invoke(pausing ? "organizing-pause" : "organizing-resume"); } catch {}
+    if (!pausing) appendLog("▶️ Resumed.", "info");
+  });
+
+  // A run that was cancelled, crashed or closed with the app can continue where it stopped
+  async function offerResume() {
+    const destDir = els.destDir.value.trim();
+    if (!destDir) return;
+    const cp = await ipcRenderer.invoke("checkpoint-load", { destDir }).catch(() => null);
+    if (!cp) return;
+
+    const stage = cp.phase === "post" ? "during BPM/Key" : "while organizing";
+    appendLog(
+      `Run <b>${cp.runId}</b> was interrupted ${stage} (last saved ${new Date(cp.updatedAt).toLocaleString()}).`,
+      "warning"
+    );
+    const resumeBtn = document.createElement("button");
+    resumeBtn.textContent = "Resume Run";
+    resumeBtn.style.marginLeft = "10px";
+    resumeBtn.onclick = () => {
+      if (els.startButton.disabled) return;
+      setAutoScrollEnabled(true);
+      els.startButton.disabled = true;
+      setStartButtonLabel("Organizing...");
+      resetProgress();
+      setPaused(false);
+      ipcRenderer.send("start-organizing", { ...cp.config, resumeRunId: cp.runId });
+    };
+    const discardBtn = document.createElement("button");
+    discardBtn.textContent = "Discard";
+    discardBtn.style.marginLeft = "6px";
+    discardBtn.onclick = async () => {
+      await ipcRenderer.invoke("checkpoint-clear", { destDir, runId: cp.runId }).catch(() => {});
+      appendLog(`Checkpoint for run <b>${cp.runId}</b> discarded. Undo still works for it.`, "info");
+    };
+    els.logArea.lastElementChild?.append(resumeBtn, discardBtn);
+  }
+
 
   // Write config -> UI
   function populateUI(cfg) {
-    els.samplesDir.value = cfg.samplesDir || "";
+    els.sourcesList.innerHTML = "";
+    const sources = Array.isArray(cfg.sources) && cfg.sources.length
+      ? cfg.sources
+      : [{ dir: cfg.samplesDir || "" }];
+    sources.forEach(addSource);
     els.destDir.value = cfg.destDir || "";
-    els.moveFiles.checked = cfg.moveFiles ?? false;
+    els.transferMode.value = cfg.transferMode || (cfg.moveFiles ? "move" : "copy");
+    els.moveWarning.classList.toggle("show", els.transferMode.value === "move");
+    if (els.conflictPolicy) els.conflictPolicy.value = cfg.conflictPolicy || "rename";
     els.keepArchives.checked = cfg.keepArchives ?? true;
     els.dryRun.checked = cfg.dryRun ?? true;
     els.checkParentFolder.checked = cfg.checkParentFolder ?? true;
+    if (els.matchMode) els.matchMode.value = cfg.matchMode || "first";
+    if (els.instrumentMode) {
+      els.instrumentMode.innerHTML = "";
+      for (const [value, label] of Object.entries(INSTRUMENT_MODES)) els.instrumentMode.add(new Option(label, value));
+      els.instrumentMode.value = cfg.instrumentMode || "off";
+    }
+    if (els.instrumentConfidence) els.instrumentConfidence.value = cfg.instrumentConfidence ?? 0.5;
+    if (els.workerThreads) els.workerThreads.value = cfg.workerThreads ?? 0;
+    if (els.useAnalysisCache) els.useAnalysisCache.checked = cfg.useAnalysisCache ?? true;
+    if (els.incrementalSync) els.incrementalSync.checked = !!cfg.incrementalSync;
+    if (els.pathTemplate) els.pathTemplate.value = cfg.pathTemplate || "";
+    if (els.renameTemplate) els.renameTemplate.value = cfg.renameTemplate || "";
+    if (els.renameCase) {
+      els.renameCase.innerHTML = "";
+      for (const [value, label] of Object.entries(RENAME_CASES)) els.renameCase.add(new Option(label, value));
+      els.renameCase.value = cfg.renameCase || "";
+    }
+    if (els.renameStripPrefixes) els.renameStripPrefixes.value = (cfg.renameStripPrefixes || []).join(", ");
+    if (els.renameStripTags) els.renameStripTags.value = (cfg.renameStripTags || []).join(", ");
     els.sortMidiToFolder.checked = cfg.sortMidiToFolder ?? true;
     // els.midiFolderName.value = cfg.midiFolderName || "MIDI";
     els.checkLength.checked = cfg.checkLength ?? true;
+    if (els.splitLoops) els.splitLoops.checked = !!cfg.splitLoops;
     els.lengthThreshold.value = cfg.lengthThreshold || 5;
     els.sortByBPM.checked = cfg.sortByBPM ?? true;
     els.BPMThreshold.value = cfg.BPMThreshold || 5;
@@ -750,12 +1100,18 @@ document.addEventListener("DOMContentLoaded", async () => {
     els.dedupeEnabled.checked = cfg.dedupeEnabled ?? false;
     els.dedupeMode.value = cfg.dedupeMode || "skip";
     els.dedupePreferDest.checked = cfg.dedupePreferDest ?? true;
+    if (els.dedupeMatch) els.dedupeMatch.value = cfg.dedupeMatch || "bytes";
     els.dedupeControls.style.display = els.dedupeEnabled.checked ? "block" : "none";
     els.dedupeEnabled.addEventListener("change", () => {
     els.dedupeControls.style.display = els.dedupeEnabled.checked ? "block" : "none";
     els.dedupeAlgo.value = cfg.dedupeAlgo || "sha256"; });
     els.keepPackSubfolder.checked = cfg.keepPackSubfolder ?? false;
     if (els.packDepth) els.packDepth.value = cfg.packDepth ?? 1;
+    if (els.packFormat) {
+      els.packFormat.innerHTML = "";
+      for (const [value, label] of Object.entries(PACK_FORMATS)) els.packFormat.add(new Option(label, value));
+      els.packFormat.value = cfg.packFormat || "parens";
+    }
     els.sortByKey.checked = cfg.sortByKey ?? false;
     els.keyOptions.style.display = els.sortByKey.checked ? "block" : "none";
     els.sortByKey.addEventListener("change", () => {
@@ -763,11 +1119,15 @@ document.addEventListener("DOMContentLoaded", async () => {
       updateExample();
     });
     els.keyFromParent.checked = cfg.keyFromParent ?? true;
+    if (els.writeTags) els.writeTags.checked = !!cfg.writeTags;
 
     // extensions
     els.extensionsList.innerHTML = "";
     (cfg.extensions || []).forEach(ext => createListItem(ext, els.extensionsList));
 
+    els.ignorePatternsList.innerHTML = "";
+    (cfg.ignorePatterns || []).forEach(p => createListItem(p, els.ignorePatternsList));
+
     els.archiveExtensionsList.innerHTML = "";
     (cfg.archiveExtensions || []).forEach(ext => {
       const li = createListItem(ext, els.archiveExtensionsList, false);
@@ -812,6 +1172,11 @@ document.addEventListener("DOMContentLoaded", async () => {
     togglePackDepth();
     els.keepPackSubfolder.addEventListener("change", () => { togglePackDepth(); updateExample(); });
     els.packDepth?.addEventListener("input", updateExample);
+    els.packFormat?.addEventListener("change", () => {
+      els.packDepth.disabled = els.packFormat.value === "top";
+      updateExample();
+    });
+    if (els.packDepth && els.packFormat) els.packDepth.disabled = els.packFormat.value === "top";
 
     if (els.postProcessToggle) els.postProcessToggle.checked = !!cfg.enablePostProcess;
     syncPostProcessVisibility();
@@ -847,15 +1212,31 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   
     return {
-      samplesDir: els.samplesDir.value,
+      samplesDir: primarySamplesDir(),
+      sources: readSources(els.sourcesList),
       destDir: els.destDir.value,
-      moveFiles: els.moveFiles.checked,
+      transferMode: els.transferMode.value,
+      moveFiles: els.transferMode.value === "move",
+      conflictPolicy: els.conflictPolicy?.value || "rename",
       keepArchives: els.keepArchives.checked,
       dryRun: els.dryRun.checked,
       extensions: getListValues(els.extensionsList),
       archiveExtensions: getListValues(els.archiveExtensionsList),
+      ignorePatterns: getListValues(els.ignorePatternsList),
       checkParentFolder: els.checkParentFolder.checked,
+      matchMode: els.matchMode?.value || "first",
+      instrumentMode: els.instrumentMode?.value || "off",
+      instrumentConfidence: Number(els.instrumentConfidence?.value ?? 0.5),
+      workerThreads: Math.max(0, Math.floor(Number(els.workerThreads?.value) || 0)),
+      useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      incrementalSync: !!els.incrementalSync?.checked,
+      pathTemplate: els.pathTemplate?.value.trim() || "",
+      renameTemplate: els.renameTemplate?.value.trim() || "",
+      renameCase: els.renameCase?.value || "",
+      renameStripPrefixes: splitList(els.renameStripPrefixes?.value),
+      renameStripTags: splitList(els.renameStripTags?.value),
       checkLength: els.checkLength.checked,
+      splitLoops: !!els.splitLoops?.checked,
       lengthThreshold: Number(els.lengthThreshold.value),
       sortByBPM: els.sortByBPM.checked,
       BPMThreshold: Number(els.BPMThreshold.value),
@@ -866,11 +1247,14 @@ document.addEventListener("DOMContentLoaded", async () => {
       dedupeMode: els.dedupeMode?.value || "skip",
       dedupePreferDest: !!els.dedupePreferDest?.checked,
       dedupeAlgo: els.dedupeAlgo?.value || "sha256",
+      dedupeMatch: els.dedupeMatch?.value || "bytes",
       keepPackSubfolder: els.keepPackSubfolder.checked,
-      packDepth: Math.max(1, Number(els.packDepth?.value || 1)),
+      packDepth: Math.max(0, Math.floor(Number(els.packDepth?.value || 1))),
+      packFormat: els.packFormat?.value || "parens",
       sortByKey: !!els.sortByKey?.checked,
       keyFromParent: !!els.keyFromParent?.checked,
       keyNoteOnlyFallback: !!els.keyNoteOnlyFallback?.checked,
+      writeTags: !!els.writeTags?.checked,
       sortMidiToFolder: !!els.sortMidiToFolder?.checked,
       midiFolderName: (els.midiFolderName?.value || "MIDI").trim(),
       enablePostProcess: !!els.postProcessToggle?.checked,
@@ -880,13 +1264,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load initial config
   const config = await ipcRenderer.invoke("load-config");
   populateUI(config);
+  offerResume();
 
   setupCascade('#mainCategoriesRoot', 9);
 
-  els.browseSamplesBtn.addEventListener("click", async () => {
-    const startAt = els.samplesDir.value.trim();
-    const picked = await ipcRenderer.invoke("pick-folder", { defaultPath: startAt });
-    if (picked) els.samplesDir.value = picked;
+  els.addSourceBtn.addEventListener("click", () => {
+    addSource({})?.querySelector(".source-dir").focus();
   });
 
   els.browseDestBtn.addEventListener("click", async () => {
@@ -900,7 +1283,8 @@ document.addEventListener("DOMContentLoaded", async () => {
 
 
   // Example Path
-  ["destDir","checkLength","lengthThreshold","sortByBPM","keepPackSubfolder","sortByKey"]
+  ["destDir","checkLength","lengthThreshold","splitLoops","sortByBPM","keepPackSubfolder","sortByKey","pathTemplate",
+   "renameTemplate","renameCase","renameStripPrefixes","renameStripTags"]
   .forEach(id=>{
     document.getElementById(id)?.addEventListener("input", updateExample);
     document.getElementById(id)?.addEventListener("change", updateExample);
@@ -935,10 +1319,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   //Add Category button
   els.addCategoryBtn.addEventListener("click", () => {
     const name = els.newCategoryInput.value.trim();
-    const keywords = els.newKeywordsInput.value
-      .split(/[,\n;]+/)
-      .map(s => s.trim())
-      .filter(Boolean);
+    const keywords = splitKeywords(els.newKeywordsInput.value);
   
     if (!name) return;
   
@@ -998,6 +1379,356 @@ document.addEventListener("DOMContentLoaded", async () => {
     URL.revokeObjectURL(url);
   });
 
+  // Undo runs (journals live in the Destination Directory)
+  async function undoRun(id) {
+    const rootDir = els.destDir.value.trim();
+    if (!rootDir) {
+      appendLog("Pick a Destination Directory first.", "error");
+      return;
+    }
+    if (!window.confirm(id ? `Undo run ${id}?` : "Undo the last run?")) return;
+
+    setAutoScrollEnabled(true);
+    try {
+      const r = await ipcRenderer.invoke("journal-undo", { rootDir, id });
+      appendLog(
+        `↩️ Undid run <b>${r.id}</b>: ${r.restored} moved back, ${r.removed} copies removed, `
+        + `${r.skipped} skipped, ${r.dirsRemoved} empty folders removed.`,
+        "success"
+      );
+    } catch (err) {
+      appendLog(`Undo failed: ${err.message}`, "error");
+    }
+  }
+
+  els.undoLastBtn?.addEventListener("click", () => undoRun(null));
+
+  els.undoRunBtn?.addEventListener("click", async () => {
+    const rootDir = els.destDir.value.trim();
+    const runs = (await ipcRenderer.invoke("journal-list", { rootDir }))
+      .filter(r => r.ops > 0);
+    setAutoScrollEnabled(true);
+    if (runs.length === 0) {
+      appendLog("No recorded runs for this Destination Directory.", "warning");
+      return;
+    }
+    appendLog(`Recorded runs for <b>${rootDir}</b>:`, "info");
+    for (const r of runs) {
+      const when = r.startedAt ? new Date(r.startedAt).toLocaleString() : r.id;
+      appendLog(`${when} — ${r.kind}, ${r.ops} file operation(s)${r.undone ? " (undone)" : ""}`, "info");
+      if (r.undone) continue;
+      const btn = document.createElement("button");
+      btn.textContent = "Undo";
+      btn.style.marginLeft = "10px";
+      btn.onclick = () => { btn.disabled = true; undoRun(r.id); };
+      els.logArea.lastElementChild?.appendChild(btn);
+    }
+  });
+
+  // Dry runs save a plan; offer to open the CSV in a spreadsheet app
+  function appendPlanLink(plan) {
+    if (!plan?.csv) return;
+    const btn = document.createElement("button");
+    btn.textContent = "Open Plan";
+    btn.style.marginLeft = "10px";
+    btn.onclick = () => ipcRenderer.invoke("open-path", plan.csv);
+    els.logArea.lastElementChild?.appendChild(btn);
+  }
+
+  // Apply a saved (and possibly edited) dry-run plan
+  els.applyPlanBtn?.addEventListener("click", async () => {
+    const destDir = els.destDir.value.trim();
+    const file = await ipcRenderer.invoke("plan-pick", { destDir });
+    if (!file) return;
+    if (!window.confirm(`Apply plan ${path.basename(file)}? Files will be transferred exactly as listed.`)) return;
+
+    setAutoScrollEnabled(true);
+    els.startButton.disabled = true;
+    try {
+      const r = await ipcRenderer.invoke("plan-apply", {
+        file,
+        destDir,
+        transferMode: els.transferMode.value,
+        conflictPolicy: els.conflictPolicy?.value || "rename",
+      });
+      if (r.journalId) appendLog(`Use Undo Last Run to reverse this plan (run <b>${r.journalId}</b>).`, "info");
+    } catch (err) {
+      appendLog(`Applying plan failed: ${err.message}`, "error");
+    } finally {
+      els.startButton.disabled = watching;
+    }
+  });
+
+  // Analysis cache (kept in the Destination Directory)
+  els.clearCacheBtn?.addEventListener("click", async () => {
+    const destDir = els.destDir.value.trim();
+    if (!destDir) {
+      appendLog("Pick a Destination Directory first.", "error");
+      return;
+    }
+    if (!window.confirm("Clear the analysis cache? The next run hashes and analyzes every file again.")) return;
+    try {
+      await ipcRenderer.invoke("cache-clear", { destDir });
+      appendLog(`Analysis cache cleared for <b>${destDir}</b>.`, "success");
+    } catch (err) {
+      appendLog(`Clearing the cache failed: ${err.message}`, "error");
+    }
+  });
+
+  els.clearSyncBtn?.addEventListener("click", async () => {
+    const destDir = els.destDir.value.trim();
+    if (!destDir) {
+      appendLog("Pick a Destination Directory first.", "error");
+      return;
+    }
+    if (!window.confirm("Forget which source files were already synced? The next incremental run processes every file again.")) return;
+    try {
+      await ipcRenderer.invoke("sync-clear", { destDir });
+      appendLog(`Sync state cleared for <b>${destDir}</b>.`, "success");
+    } catch (err) {
+      appendLog(`Clearing the sync state failed: ${err.message}`, "error");
+    }
+  });
+
+  els.rebuildCacheBtn?.addEventListener("click", async () => {
+    const destDir = els.destDir.value.trim();
+    if (!destDir) {
+      appendLog("Pick a Destination Directory first.", "error");
+      return;
+    }
+    setAutoScrollEnabled(true);
+    els.startButton.disabled = true;
+    els.rebuildCacheBtn.disabled = true;
+    try {
+      await ipcRenderer.invoke("cache-rebuild", { destDir });
+    } catch (err) {
+      appendLog(`Rebuilding the cache failed: ${err.message}`, "error");
+    } finally {
+      els.rebuildCacheBtn.disabled = false;
+      els.startButton.disabled = watching;
+    }
+  });
+
+  // Duplicate review (groups saved by dedupe in .samplesort/reports)
+  const ROLE_LABELS = { library: "Destination", quarantine: "_Duplicates", source: "Sample Directory" };
+  let dupes = null; // { file, report }
+
+  for (const [value, label] of Object.entries(DUPLICATE_RULES)) {
+    els.dupesRule?.add(new Option(label, value));
+  }
+
+  const formatSize = (n) => n == null ? "—"
+    : n >= 1024 * 1024 ? `${(n / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(n / 1024))} KB`;
+
+  const formatLabel = (m) => [
+    m.ext ? m.ext.toUpperCase() : "?",
+    m.sampleRate ? `${(m.sampleRate / 1000).toFixed(1)} kHz` : null,
+    m.duration ? `${m.duration.toFixed(2)}s` : null,
+  ].filter(Boolean).join(" · ");
+
+  function renderDuplicateGroups() {
+    const { report } = dupes;
+    const rule = els.dupesRule.value;
+    const open = report.groups.filter(g => !g.resolved).length;
+    els.dupesSummary.textContent = `${report.groups.length} group(s), ${open} unresolved`
+      + (report.dryRun ? " — dry run, review only" : "");
+    els.dupesApplyBtn.disabled = report.dryRun || open === 0;
+    els.dupesList.innerHTML = "";
+
+    for (const g of report.groups) {
+      const box = document.createElement("div");
+      box.className = "dupes-group";
+      const title = document.createElement("strong");
+      title.textContent = `Group ${g.id}${g.resolved ? ` — resolved, kept ${g.resolved.keep}` : ""}`;
+      box.appendChild(title);
+
+      const table = document.createElement("table");
+      const keep = g.resolved ? null : pickKeeper(g.members, rule);
+      for (const m of g.members) {
+        const tr = table.insertRow();
+        if (!m.exists) tr.className = "missing";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `dupes-${g.id}`;
+        radio.value = m.path;
+        radio.checked = m.path === keep;
+        radio.disabled = !m.exists || !!g.resolved || report.dryRun;
+        tr.insertCell().appendChild(radio);
+        for (const text of [m.path, formatSize(m.size), formatLabel(m), ROLE_LABELS[m.role] || m.role]) {
+          tr.insertCell().textContent = text;
+        }
+      }
+      box.appendChild(table);
+      els.dupesList.appendChild(box);
+    }
+  }
+
+  async function openDuplicateReview(file) {
+    const destDir = els.destDir.value.trim();
+    try {
+      file ||= await ipcRenderer.invoke("dupes-latest", { destDir });
+      if (!file) {
+        appendLog("No duplicates report for this Destination Directory yet. Run a sort with duplicate checks on.", "warning");
+        return;
+      }
+      const report = await ipcRenderer.invoke("dupes-load", {
+        file,
+        useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      });
+      dupes = { file, report };
+      renderDuplicateGroups();
+      els.dupesView.style.display = "block";
+      els.dupesView.scrollIntoView({ behavior: "smooth" });
+    } catch (err) {
+      appendLog(`Could not open duplicates report: ${err.message}`, "error");
+    }
+  }
+
+  // Dedupe found groups in this run; offer to review them
+  function appendDuplicatesLink(duplicates) {
+    if (!duplicates?.file) return;
+    const btn = document.createElement("button");
+    btn.textContent = "Review Duplicates";
+    btn.style.marginLeft = "10px";
+    btn.onclick = () => openDuplicateReview(duplicates.file);
+    els.logArea.lastElementChild?.appendChild(btn);
+  }
+
+  els.reviewDupesBtn?.addEventListener("click", () => openDuplicateReview(null));
+  els.dupesCloseBtn?.addEventListener("click", () => { els.dupesView.style.display = "none"; });
+  els.dupesApplyRuleBtn?.addEventListener("click", () => dupes && renderDuplicateGroups());
+
+  els.dupesApplyBtn?.addEventListener("click", async () => {
+    if (!dupes) return;
+    const choices = {};
+    for (const g of dupes.report.groups) {
+      const picked = els.dupesList.querySelector(`input[name="dupes-${g.id}"]:checked`);
+      if (picked && !g.resolved) choices[g.id] = picked.value;
+    }
+    const n = Object.keys(choices).length;
+    if (!n || !window.confirm(`Keep the chosen copy in ${n} group(s) and move the others to _Duplicates?`)) return;
+
+    setAutoScrollEnabled(true);
+    els.dupesApplyBtn.disabled = true;
+    try {
+      const r = await ipcRenderer.invoke("dupes-apply", {
+        file: dupes.file,
+        choices,
+        transferMode: els.transferMode.value,
+        useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      });
+      if (r.journalId) appendLog(`Use Undo Last Run to reverse this (run <b>${r.journalId}</b>).`, "info");
+      await openDuplicateReview(dupes.file);
+    } catch (err) {
+      appendLog(`Applying duplicate choices failed: ${err.message}`, "error");
+      els.dupesApplyBtn.disabled = false;
+    }
+  });
+
+  // Instrument review (suggestions for unmatched files saved in .samplesort/reports)
+  let instruments = null; // { file, report }
+
+  // <option> value for a category; the report and apply step use { main, category }
+  const categoryValue = (main, category) => JSON.stringify({ main: main || null, category });
+
+  function categoryPicker(item) {
+    const select = document.createElement("select");
+    select.add(new Option("— choose a category —", ""));
+    for (const m of readMainCategories(els.mainRoot)) {
+      const group = document.createElement("optgroup");
+      group.label = m.name || "(no main folder)";
+      for (const c of m.categories) group.appendChild(new Option(c.name, categoryValue(m.name, c.name)));
+      select.appendChild(group);
+    }
+    if (item.category) select.value = categoryValue(item.main, item.category);
+    return select;
+  }
+
+  function renderInstrumentItems() {
+    const { report } = instruments;
+    const open = report.items.filter(i => !i.resolved).length;
+    els.instrumentsSummary.textContent = `${report.items.length} file(s), ${open} still in Miscellaneous`
+      + (report.dryRun ? " — dry run, review only" : "");
+    els.instrumentsApplyBtn.disabled = report.dryRun || open === 0;
+    els.instrumentsList.innerHTML = "";
+
+    for (const item of report.items) {
+      const tr = els.instrumentsList.insertRow();
+      tr.dataset.id = item.id;
+      if (!item.exists) tr.className = "missing";
+      const done = !!item.resolved || !item.exists || report.dryRun;
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = !done && !!item.category;
+      box.disabled = done;
+      tr.insertCell().appendChild(box);
+      tr.insertCell().textContent = item.resolved ? item.resolved.dest : item.path;
+      tr.insertCell().textContent = `${item.instrument} · ${Math.round(item.confidence * 100)}%`;
+      const picker = categoryPicker(item);
+      picker.disabled = done;
+      picker.addEventListener("change", () => { box.checked = !!picker.value; });
+      tr.insertCell().appendChild(picker);
+    }
+  }
+
+  async function openInstrumentReview(file) {
+    const destDir = els.destDir.value.trim();
+    try {
+      file ||= await ipcRenderer.invoke("instruments-latest", { destDir });
+      if (!file) {
+        appendLog("No instrument suggestions for this Destination Directory yet. Run a sort with instrument guessing on.", "warning");
+        return;
+      }
+      const report = await ipcRenderer.invoke("instruments-load", { file });
+      instruments = { file, report };
+      renderInstrumentItems();
+      els.instrumentsView.style.display = "block";
+      els.instrumentsView.scrollIntoView({ behavior: "smooth" });
+    } catch (err) {
+      appendLog(`Could not open instruments report: ${err.message}`, "error");
+    }
+  }
+
+  // The run left suggested files in Miscellaneous; offer to review them
+  function appendInstrumentsLink(suggested) {
+    if (!suggested?.file) return;
+    const btn = document.createElement("button");
+    btn.textContent = "Review Instruments";
+    btn.style.marginLeft = "10px";
+    btn.onclick = () => openInstrumentReview(suggested.file);
+    els.logArea.lastElementChild?.appendChild(btn);
+  }
+
+  els.reviewInstrumentsBtn?.addEventListener("click", () => openInstrumentReview(null));
+  els.instrumentsCloseBtn?.addEventListener("click", () => { els.instrumentsView.style.display = "none"; });
+
+  els.instrumentsApplyBtn?.addEventListener("click", async () => {
+    if (!instruments) return;
+    const choices = {};
+    for (const tr of els.instrumentsList.rows) {
+      const value = tr.querySelector("select")?.value;
+      if (tr.querySelector("input")?.checked && value) choices[tr.dataset.id] = JSON.parse(value);
+    }
+    const n = Object.keys(choices).length;
+    if (!n || !window.confirm(`Move ${n} file(s) out of Miscellaneous into the chosen categories?`)) return;
+
+    setAutoScrollEnabled(true);
+    els.instrumentsApplyBtn.disabled = true;
+    try {
+      const r = await ipcRenderer.invoke("instruments-apply", {
+        file: instruments.file,
+        choices,
+        useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      });
+      if (r.journalId) appendLog(`Use Undo Last Run to reverse this (run <b>${r.journalId}</b>).`, "info");
+      await openInstrumentReview(instruments.file);
+    } catch (err) {
+      appendLog(`Moving reviewed files failed: ${err.message}`, "error");
+      els.instrumentsApplyBtn.disabled = false;
+    }
+  });
+
   // Clear log button
   els.clearLogBtn.addEventListener("click", () => {
 
@@ -1013,8 +1744,8 @@ document.addEventListener("DOMContentLoaded", async () => {
   els.configForm?.addEventListener("submit", e => e.preventDefault());
 
   // Move warning
-  els.moveFiles.addEventListener("change", () => {
-    els.moveWarning.classList.toggle("show", els.moveFiles.checked);
+  els.transferMode.addEventListener("change", () => {
+    els.moveWarning.classList.toggle("show", els.transferMode.value === "move");
   });
 
   // Save config
@@ -1034,19 +1765,20 @@ document.addEventListener("DOMContentLoaded", async () => {
     const jumpBtn = document.getElementById("jumpToBottom");
     if (jumpBtn) jumpBtn.style.display = "none";
 
-    addValidationListener(els.samplesDir);
+    const firstSourceInput = els.sourcesList.querySelector(".source-dir") || addSource({}).querySelector(".source-dir");
+    addValidationListener(firstSourceInput);
     addValidationListener(els.destDir);
 
     // reset errors
-    els.samplesDir.classList.remove("error-border", "error-shake");
+    firstSourceInput.classList.remove("error-border", "error-shake");
     els.destDir.classList.remove("error-border", "error-shake");
 
-    const samplesDirVal = els.samplesDir.value.trim();
+    const samplesDirVal = primarySamplesDir();
     const destDirVal = els.destDir.value.trim();
 
     if (!samplesDirVal) {
-      triggerError(els.samplesDir);
-      appendLog("Please select a Sample Directory.", "error");
+      triggerError(firstSourceInput);
+      appendLog("Please select a Sample Directory (and keep at least one enabled).", "error");
       return;
     }
     if (!destDirVal) {
@@ -1081,15 +1813,31 @@ document.addEventListener("DOMContentLoaded", async () => {
     
     const runConfig = {
       samplesDir: samplesDirVal,
+      sources: readSources(els.sourcesList),
       destDir: destDirVal,
-      moveFiles: els.moveFiles.checked,
+      transferMode: els.transferMode.value,
+      moveFiles: els.transferMode.value === "move",
+      conflictPolicy: els.conflictPolicy?.value || "rename",
       keepArchives: els.keepArchives.checked,
       dryRun: els.dryRun.checked,
       // categories: categoriesObj,
       extensions: getListValues(els.extensionsList),
       archiveExtensions: getListValues(els.archiveExtensionsList),
+      ignorePatterns: getListValues(els.ignorePatternsList),
       checkParentFolder: els.checkParentFolder.checked,
+      matchMode: els.matchMode?.value || "first",
+      instrumentMode: els.instrumentMode?.value || "off",
+      instrumentConfidence: Number(els.instrumentConfidence?.value ?? 0.5),
+      workerThreads: Math.max(0, Math.floor(Number(els.workerThreads?.value) || 0)),
+      useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      incrementalSync: !!els.incrementalSync?.checked,
+      pathTemplate: els.pathTemplate?.value.trim() || "",
+      renameTemplate: els.renameTemplate?.value.trim() || "",
+      renameCase: els.renameCase?.value || "",
+      renameStripPrefixes: splitList(els.renameStripPrefixes?.value),
+      renameStripTags: splitList(els.renameStripTags?.value),
       checkLength: els.checkLength.checked,
+      splitLoops: !!els.splitLoops?.checked,
       lengthThreshold: Number(els.lengthThreshold.value),
       sortByBPM: els.sortByBPM.checked,
       BPMThreshold: Number(els.BPMThreshold.value),
@@ -1097,9 +1845,12 @@ document.addEventListener("DOMContentLoaded", async () => {
       dedupeMode: els.dedupeMode?.value || "skip",
       dedupePreferDest: !!els.dedupePreferDest?.checked,
       dedupeAlgo: els.dedupeAlgo?.value || "sha256",
+      dedupeMatch: els.dedupeMatch?.value || "bytes",
       keepPackSubfolder: !!els.keepPackSubfolder?.checked,
-      packDepth: Math.max(1, Number(els.packDepth?.value || 1)),
+      packDepth: Math.max(0, Math.floor(Number(els.packDepth?.value || 1))),
+      packFormat: els.packFormat?.value || "parens",
       keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
+      writeTags: !!els.writeTags?.checked,
       sortMidiToFolder: !!els.sortMidiToFolder?.checked,
       midiFolderName: (els.midiFolderName?.value || "MIDI").trim(),
     };
@@ -1111,8 +1862,10 @@ document.addEventListener("DOMContentLoaded", async () => {
       runConfig.categories = categoriesObj;
     }
 
-    els.startButton.disabled = true;
+    setOrganizing(true);
     setStartButtonLabel("Organizing...");
+    resetProgress();
+    setPaused(false);
     // appendLog(
     //   `Options: keepArchives=${els.keepArchives.checked}, dryRun=${els.dryRun.checked}, destDir=${destDirVal}`,
     //   "info"
@@ -1122,19 +1875,31 @@ document.addEventListener("DOMContentLoaded", async () => {
   });
 
   // Main -> log pass-through
+  ipcRenderer.on("organizing-progress", (_event, p) => renderProgress(p));
+
   ipcRenderer.on("organizing-log", (_event, message, type = "info") => {
     appendLog(message, type);
     if (type === "error") {
-      els.startButton.disabled = false;
+      setOrganizing(false);
       setStartButtonLabel("Start");
     }
   });
 
   // Finished organizing -> optional BPM or Key step
   ipcRenderer.on("organizing-done", async (_event, payload) => {
+    const isWatchBatch = !!payload?.watch;
     const setReady = () => {
-      els.startButton.disabled = false;
+      if (!isWatchBatch) organizing = false;
+      syncWatchUI();
       setStartButtonLabel("Start");
+      setPaused(false);
+      if (isWatchBatch || isDryRun || !journalId) return;
+      if (!payload?.cancelled && !bpmCancel.requested) {
+        // Every pass finished: nothing left to resume
+        ipcRenderer.invoke("checkpoint-clear", { destDir, runId: journalId }).catch(() => {});
+      } else {
+        offerResume();
+      }
     };
 
     const destDir  = typeof payload === "string" ? payload : payload?.destDir;
@@ -1142,17 +1907,68 @@ document.addEventListener("DOMContentLoaded", async () => {
     const isDryRun = (typeof payload === "object" && "dryRun" in payload)
       ? !!payload.dryRun
       : !!els.dryRun?.checked;
+    const journalId = payload?.journalId || null;
+    const templated = !!payload?.templated;
+    const planned = !!payload?.plan; // dry-run plan already resolved BPM/Key folders
+
+    // Watch batches use the saved config they were started with; a normal run the controls
+    const post = isWatchBatch && payload?.settings ? payload.settings : {
+      sortByBPM: !!els.sortByBPM.checked,
+      BPMThreshold: Number(els.BPMThreshold.value) || 0,
+      bpmDebug: !!els.bpmDebug.checked,
+      sortByKey: !!els.sortByKey?.checked,
+      keyFromParent: !!els.keyFromParent?.checked,
+      keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
+      writeTags: !!els.writeTags?.checked,
+      extensions: getListValues(els.extensionsList),
+      ignorePatterns: getListValues(els.ignorePatternsList),
+      useAnalysisCache: els.useAnalysisCache?.checked ?? true,
+      workerThreads: Math.max(0, Math.floor(Number(els.workerThreads?.value) || 0)),
+      conflictPolicy: els.conflictPolicy?.value || "rename",
+      samplesDir: primarySamplesDir(),
+    };
 
     const limitTo = newFiles
       .map(f => f?.dest || f)
       .filter(Boolean)
       .map(p => path.resolve(p));
 
-    if (limitTo.length === 0) {
+    // Tags go last, once the BPM/Key passes have put files in their final folders
+    const writeTagsStep = async () => {
+      if (!post.writeTags || payload?.cancelled || bpmCancel.requested || !limitTo.length) return;
+      appendLog("Writing tags…", "warning");
+      const tagged = await ipcRenderer.invoke("write-tags", {
+        rootDir: destDir,
+        journalId,
+        files: newFiles,
+        dryRun: isDryRun,
+        debug: post.bpmDebug,
+        keyFromParent: post.keyFromParent,
+        keyNoteOnlyFallback: post.keyNoteOnlyFallback,
+        useAnalysisCache: post.useAnalysisCache,
+      });
+      appendLog(`${isDryRun ? "[DRY RUN] Would tag" : "Tagging complete. Tagged"} ${tagged} file(s).`, "info");
+    };
+
+    if (limitTo.length === 0 || templated || planned || payload?.cancelled) {
       setAutoScrollEnabled(true);
-      appendLog("No new files to process; skipping BPM/Key.", "warning");
+      appendLog(
+        payload?.cancelled ? "Run stopped; skipping BPM/Key."
+          : limitTo.length === 0 ? "No new files to process; skipping BPM/Key."
+          : templated ? "Path template already applied BPM/Key folders; skipping BPM/Key passes."
+          : "BPM/Key folders are included in the dry-run plan; skipping BPM/Key passes.",
+        limitTo.length ? "info" : "warning"
+      );
 
-        if (!isDryRun) {
+        try {
+          await writeTagsStep();
+        } catch (err) {
+          appendLog(`Failed tags step: ${err.message}`, "error");
+        }
+
+        if (isWatchBatch) {
+          appendLog("👀 Batch done. Still watching.", "info");
+        } else if (!isDryRun) {
           appendLog("✅ SampleSort complete!", "info");
           const openBtn = document.createElement("button");
           openBtn.textContent = "Open Folder";
@@ -1161,7 +1977,10 @@ document.addEventListener("DOMContentLoaded", async () => {
           els.logArea.appendChild(openBtn);
         } else {
           appendLog("☑️ Dry run of SampleSort complete! No files altered. Uncheck Preview run to copy or move files.", "info");
+          appendPlanLink(payload?.plan);
         }
+        appendDuplicatesLink(payload?.duplicates);
+        appendInstrumentsLink(payload?.instruments);
 
       setReady();
       return;
@@ -1171,23 +1990,28 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     try {
       // Build extensions list
-      const extensionsArr = getListValues(els.extensionsList)
+      const extensionsArr = post.extensions
         .map(e => String(e).toLowerCase().replace(/^\./, "").trim())
         .filter(Boolean);
 
       // BPM config
       const bpmCfg = {
-        sortByBPM: !!els.sortByBPM.checked,
-        BPMThreshold: Number(els.BPMThreshold.value) || 0,
-        bpmDebug: !!els.bpmDebug.checked,
+        sortByBPM: post.sortByBPM,
+        BPMThreshold: post.BPMThreshold,
+        bpmDebug: post.bpmDebug,
         extensions: extensionsArr,
         dryRun: isDryRun,
-        samplesDir: els.samplesDir.value.trim(),
+        samplesDir: post.samplesDir,
         destDir,
-        sortByKey: !!els.sortByKey?.checked,
-        keyFromParent: !!els.keyFromParent?.checked,
-        keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
+        ignorePatterns: post.ignorePatterns,
+        useAnalysisCache: post.useAnalysisCache,
+        workerThreads: post.workerThreads,
+        sortByKey: post.sortByKey,
+        keyFromParent: post.keyFromParent,
+        keyNoteOnlyFallback: post.keyNoteOnlyFallback,
         limitTo,
+        journalId,
+        conflictPolicy: post.conflictPolicy,
       };
 
       // BPM step
@@ -1203,19 +2027,22 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
 
       // Key step
-      if (!bpmCancel.requested && els.sortByKey?.checked) {
+      if (!bpmCancel.requested && post.sortByKey) {
         appendLog("Applying Key subfolders…", "warning");
 
-        const keyRoot = isDryRun ? els.samplesDir.value.trim() : destDir;
+        const keyRoot = isDryRun ? post.samplesDir : destDir;
 
         let movedKeyCount = await ipcRenderer.invoke("apply-key-folders", {
           rootDir: keyRoot,
           extensions: extensionsArr,
           dryRun: isDryRun,
-          debug: !!els.bpmDebug.checked,
-          keyFromParent: !!els.keyFromParent?.checked,
-          keyNoteOnlyFallback: !!document.getElementById("keyNoteOnlyFallback")?.checked,
+          debug: post.bpmDebug,
+          keyFromParent: post.keyFromParent,
+          keyNoteOnlyFallback: post.keyNoteOnlyFallback,
           limitTo,
+          journalId,
+          conflictPolicy: post.conflictPolicy,
+          ignorePatterns: bpmCfg.ignorePatterns,
         });
 
         if (!Number.isFinite(movedKeyCount)) movedKeyCount = 0;
@@ -1224,13 +2051,17 @@ document.addEventListener("DOMContentLoaded", async () => {
         appendLog("⏹ Key sorting cancelled.", "info");
       }
 
+      await writeTagsStep();
+
     } catch (err) {
       appendLog(`Failed BPM/Key step: ${err.message}`, "error");
     } finally {
 
       await sleep(100);
 
-      if (!isDryRun) {
+      if (isWatchBatch) {
+        appendLog("👀 Batch done. Still watching.", "info");
+      } else if (!isDryRun) {
         appendLog("✅ SampleSort complete!", "info");
         const openBtn = document.createElement("button");
         openBtn.textContent = "Open Folder";
@@ -1239,7 +2070,10 @@ document.addEventListener("DOMContentLoaded", async () => {
         els.logArea.appendChild(openBtn);
       } else {
         appendLog("☑️ Dry run of SampleSort complete! No files altered. Uncheck Preview run to copy or move files.", "info");
+        appendPlanLink(payload?.plan);
       }
+      appendDuplicatesLink(payload?.duplicates);
+      appendInstrumentsLink(payload?.instruments);
 
       setReady();
     }
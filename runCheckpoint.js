@@ -0,0 +1,54 @@
+const fs = require("fs");
+const { dataFile, writeJson } = require("./dataStore");
+
+// The run in progress for a library, in <destDir>/.samplesort/checkpoint.json:
+// its id, config and phase ("organize", then "post" for the BPM/Key passes).
+// It's written when a run starts and removed once every pass has finished, so
+// a leftover checkpoint means the run was cancelled, crashed or the app closed.
+// Which files were already placed comes from the run's journal.
+
+const CHECKPOINT_FILE = "checkpoint.json";
+
+function checkpointFile(rootDir) {
+  return dataFile(rootDir, CHECKPOINT_FILE);
+}
+
+// Only what's needed to start the run again (no per-run "_" state)
+function savedConfig(config) {
+  return Object.fromEntries(Object.entries(config).filter(([k]) => !k.startsWith("_") && k !== "resumeRunId"));
+}
+
+function writeCheckpoint(rootDir, { runId, phase, config }) {
+  const file = checkpointFile(rootDir);
+  const prev = readCheckpoint(rootDir);
+  writeJson(file, {
+    version: 1,
+    runId,
+    phase,
+    startedAt: prev?.runId === runId ? prev.startedAt : new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    config: savedConfig(config),
+  }, 2);
+}
+
+function readCheckpoint(rootDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(checkpointFile(rootDir), "utf-8"));
+    return data.runId && data.config ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Drop the checkpoint; with runId, only if it still belongs to that run
+function clearCheckpoint(rootDir, runId = null) {
+  if (runId && readCheckpoint(rootDir)?.runId !== runId) return;
+  fs.rmSync(checkpointFile(rootDir), { force: true });
+}
+
+module.exports = {
+  CHECKPOINT_FILE,
+  writeCheckpoint,
+  readCheckpoint,
+  clearCheckpoint,
+};
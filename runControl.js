@@ -0,0 +1,66 @@
+// Cancel / pause / resume for the pass that is running in this process.
+// Shared by the organizer and the BPM/Key passes; loops call checkpoint()
+// between files, which waits while paused and says whether to stop.
+// Watch mode runs next to those, so it makes its own with createRunControl().
+
+function createRunControl() {
+  let cancelled = false;
+  let paused = false;
+  let waiters = [];
+
+  function wake() {
+    const list = waiters;
+    waiters = [];
+    for (const resolve of list) resolve();
+  }
+
+  function requestCancel() {
+    cancelled = true;
+    wake(); // a paused run must notice the cancel
+  }
+
+  function requestPause() {
+    paused = true;
+  }
+
+  function requestResume() {
+    paused = false;
+    wake();
+  }
+
+  // A new pass starts: forget an earlier cancel (pause stays until resumed)
+  function resetCancel() {
+    cancelled = false;
+  }
+
+  // A new run starts: nothing cancelled or paused
+  function resetRunControl() {
+    cancelled = false;
+    requestResume();
+  }
+
+  // Wait here while paused (logging it once); true when the pass should stop
+  async function checkpoint(webContents) {
+    if (paused && !cancelled) {
+      webContents?.send("organizing-log", "⏸ Paused. Press Resume to continue.", "warning");
+      while (paused && !cancelled) await new Promise(r => waiters.push(r));
+    }
+    return cancelled;
+  }
+
+  return {
+    requestCancel,
+    requestPause,
+    requestResume,
+    isCancelled: () => cancelled,
+    isPaused: () => paused,
+    resetCancel,
+    resetRunControl,
+    checkpoint,
+  };
+}
+
+module.exports = {
+  ...createRunControl(),
+  createRunControl,
+};
@@ -0,0 +1,61 @@
+const path = require("path");
+const { PACK_FORMATS } = require("./packLabel");
+
+// Source roots for a run. config.sources lists them as
+//   { dir, enabled, packFormat }
+// packFormat "" follows the global pack settings, "none" never adds pack
+// folders and a PACK_FORMATS key always does, in that layout. Without a list
+// the single samplesDir is the only source.
+
+const SOURCE_PACK_MODES = {
+  "": "Default pack folders",
+  none: "No pack folders",
+  ...PACK_FORMATS,
+};
+
+// Enabled roots, resolved, each directory once
+function sourceRoots(config) {
+  const list = Array.isArray(config.sources) && config.sources.length
+    ? config.sources
+    : [{ dir: config.samplesDir }];
+  const seen = new Set();
+  const roots = [];
+  for (const s of list) {
+    const dir = String(s?.dir || "").trim();
+    if (!dir || s.enabled === false) continue;
+    const abs = path.resolve(dir);
+    if (seen.has(abs)) continue;
+    seen.add(abs);
+    roots.push({ dir: abs, packFormat: s.packFormat in SOURCE_PACK_MODES ? s.packFormat : "" });
+  }
+  return roots;
+}
+
+// The root a file came from (the innermost one when roots are nested)
+function sourceFor(roots, file) {
+  const abs = path.resolve(file);
+  let best = null;
+  for (const root of roots || []) {
+    const rel = path.relative(root.dir, abs);
+    if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) continue;
+    if (!best || root.dir.length > best.dir.length) best = root;
+  }
+  return best;
+}
+
+// { keepPackSubfolder, packFormat, packDepth } for files from root
+function packOptionsFor(root, config) {
+  const mode = root?.packFormat || "";
+  return {
+    keepPackSubfolder: mode === "" ? !!config.keepPackSubfolder : mode !== "none",
+    packFormat: mode === "" || mode === "none" ? config.packFormat : mode,
+    packDepth: config.packDepth,
+  };
+}
+
+module.exports = {
+  SOURCE_PACK_MODES,
+  sourceRoots,
+  sourceFor,
+  packOptionsFor,
+};
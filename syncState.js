@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+const { listJournals } = require("./journal");
+const { dataFile, statKey, loadEntries, saveEntries } = require("./dataStore");
+
+// Which source files earlier runs already organized, and where to, in
+// <destDir>/.samplesort/sync-state.json. Incremental runs skip a source while
+// its size and mtime are unchanged and the run that placed it wasn't undone.
+
+const SYNC_FILE = "sync-state.json";
+const SYNC_VERSION = 1;
+
+function syncFile(rootDir) {
+  return dataFile(rootDir, SYNC_FILE);
+}
+
+function openSyncState(rootDir) {
+  const file = syncFile(rootDir);
+  const entries = loadEntries(file, SYNC_VERSION); // missing or corrupt: everything counts as new
+  const undone = new Set(listJournals(rootDir).filter(j => j.undone).map(j => j.id));
+  let dirty = false;
+
+  return {
+    file,
+    get size() { return entries.size; },
+
+    // The earlier sync of an unchanged source, or null when it needs processing
+    lookup(src) {
+      const key = path.resolve(src);
+      const e = entries.get(key);
+      if (!e) return null;
+      const st = statKey(key);
+      if (st && st.size === e.size && st.mtimeMs === e.mtimeMs && !undone.has(e.runId)) return e;
+      return null;
+    },
+
+    // src was organized into dests (one file, or everything from an archive)
+    record(src, dests, runId) {
+      const key = path.resolve(src);
+      const st = statKey(key);
+      if (!st) return; // moved away: nothing left to skip next time
+      entries.set(key, { ...st, dests, runId, at: new Date().toISOString() });
+      dirty = true;
+    },
+
+    save() {
+      if (!dirty) return;
+      saveEntries(file, SYNC_VERSION, entries);
+      dirty = false;
+    },
+  };
+}
+
+function clearSyncState(rootDir) {
+  fs.rmSync(syncFile(rootDir), { force: true });
+}
+
+module.exports = {
+  SYNC_FILE,
+  openSyncState,
+  clearSyncState,
+};
@@ -0,0 +1,530 @@
+const fs = require("fs");
+const path = require("path");
+const mm = require("music-metadata");
+const { createJournal, journalTransfers, reportReplaced } = require("./journal");
+const { runCache } = require("./analysisCache");
+const { createProgress } = require("./progress");
+const { isCancelled, resetCancel, checkpoint } = require("./runControl");
+const { bpmFromName, getParentBpmValue, isKeyDirName, keyLabelFor, keyNotation } = require("./bpmUtils");
+
+// Write what sorting found out about a file into the file itself, so DAW
+// browsers and other sample tools see it too:
+//
+//          category    BPM          key              pack
+//   WAV    INFO IGNR   ACID tempo   ACID root note   INFO IPRD
+//   MP3    ID3 TCON    ID3 TBPM     ID3 TKEY         ID3 TALB
+//   FLAC   GENRE       BPM          INITIALKEY       ALBUM
+//
+// A tagged file is written next to the original, read back and checked, and
+// only then renamed over it. Moved files have no other copy, so the run
+// journal stashes their originals first (undo puts them back).
+
+const WRITERS = {
+  wav: wavParts,
+  wave: wavParts,
+  mp3: id3Parts,
+  flac: flacParts,
+};
+
+const extOf = (p) => path.extname(p).slice(1).toLowerCase();
+
+// -------------------- Values --------------------
+
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Semitones above C, for the ACID root note
+function keySemitone(label) {
+  const m = String(keyNotation(label) || "").match(/^([A-G])(#|b)?/);
+  if (!m) return null;
+  const shift = m[2] === "#" ? 1 : m[2] === "b" ? -1 : 0;
+  return (SEMITONES[m[1]] + shift + 12) % 12;
+}
+
+// { category, bpm, key, pack } for a placed file: category and pack come from
+// the organize pass, tempo and key from the BPM/Key folders the file ended up
+// in, then its name (and the analysis cache for a detected tempo)
+function tagValues(file, tags, { lookupFile = file, cache = null, keyFromParent, keyNoteOnlyFallback } = {}) {
+  let dir = path.dirname(file);
+  let key = null;
+  if (isKeyDirName(path.basename(dir))) {
+    key = path.basename(dir);
+    dir = path.dirname(dir);
+  }
+  key = key || keyLabelFor(file, { keyFromParent, keyNoteOnlyFallback });
+
+  const bpm = getParentBpmValue(path.join(dir, path.basename(file)))
+    ?? bpmFromName(path.basename(file))
+    ?? cache?.lookup(lookupFile)?.bpm
+    ?? null;
+
+  return {
+    category: tags?.category || null,
+    bpm: bpm != null && Number.isFinite(Number(bpm)) ? Math.round(Number(bpm)) : null,
+    key: keyNotation(key) ? key : null,
+    pack: tags?.pack || null,
+  };
+}
+
+// The values as text frames / comments hold them
+function tagStrings(values) {
+  return {
+    category: values.category,
+    bpm: values.bpm != null ? String(values.bpm) : null,
+    key: keyNotation(values.key),
+    pack: values.pack,
+  };
+}
+
+function describe(values) {
+  const labels = { category: "Category", bpm: "BPM", key: "Key", pack: "Pack" };
+  return Object.entries(labels)
+    .filter(([field]) => values[field] != null)
+    .map(([field, label]) => `${label} <b>${values[field]}</b>`)
+    .join(", ");
+}
+
+// -------------------- File plumbing --------------------
+// Writers describe the tagged file as a list of Buffers and [start, end)
+// ranges of the original, or return null when the tags are already there.
+
+function readAt(fd, pos, len) {
+  const buf = Buffer.alloc(len);
+  const n = fs.readSync(fd, buf, 0, len, pos);
+  return n === len ? buf : buf.subarray(0, n);
+}
+
+function writeParts(src, dest, parts) {
+  const inFd = fs.openSync(src, "r");
+  try {
+    const outFd = fs.openSync(dest, "w");
+    try {
+      const buf = Buffer.alloc(1 << 20);
+      for (const part of parts) {
+        if (Buffer.isBuffer(part)) {
+          fs.writeSync(outFd, part);
+          continue;
+        }
+        for (let pos = part[0]; pos < part[1];) {
+          const n = fs.readSync(inFd, buf, 0, Math.min(buf.length, part[1] - pos), pos);
+          if (!n) throw new Error("the file ended early");
+          fs.writeSync(outFd, buf, 0, n);
+          pos += n;
+        }
+      }
+      fs.fsyncSync(outFd);
+    } finally {
+      fs.closeSync(outFd);
+    }
+  } finally {
+    fs.closeSync(inFd);
+  }
+}
+
+function plannedParts(file, values) {
+  const writer = WRITERS[extOf(file)];
+  const fd = fs.openSync(file, "r");
+  try {
+    return writer(fd, fs.fstatSync(fd).size, tagStrings(values), values);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// -------------------- WAV: LIST/INFO and ACID --------------------
+
+const ACID_SIZE = 24;
+const ACID_ONE_SHOT = 0x01;
+const ACID_ROOT_SET = 0x02;
+
+// Chunk header + body (+ pad byte) as Buffers
+function riffChunk(id, body) {
+  const head = Buffer.alloc(8);
+  head.write(id, 0, "latin1");
+  head.writeUInt32LE(body.length, 4);
+  return body.length & 1 ? [head, body, Buffer.alloc(1)] : [head, body];
+}
+
+function infoEntries(body) {
+  const entries = [];
+  for (let off = 4; off + 8 <= body.length;) {
+    const size = body.readUInt32LE(off + 4);
+    entries.push({ id: body.toString("latin1", off, off + 4), data: body.subarray(off + 8, off + 8 + size) });
+    off += 8 + size + (size & 1);
+  }
+  return entries;
+}
+
+// A new ACID chunk: 4/4, a loop when there's a tempo (its length in beats
+// worked out from the data size), a one-shot otherwise
+function newAcid(fd, chunks, bpm) {
+  const body = Buffer.alloc(ACID_SIZE);
+  body.writeUInt16LE(4, 16); // meter denominator
+  body.writeUInt16LE(4, 18); // meter numerator
+  if (bpm == null) {
+    body.writeUInt32LE(ACID_ONE_SHOT, 0);
+    return body;
+  }
+  const fmt = chunks.find(c => c.id === "fmt ");
+  const data = chunks.find(c => c.id === "data");
+  const byteRate = fmt && fmt.size >= 12 ? readAt(fd, fmt.off + 8, 12).readUInt32LE(8) : 0;
+  if (byteRate && data) body.writeUInt32LE(Math.round((data.size / byteRate) * bpm / 60), 12);
+  return body;
+}
+
+function wavParts(fd, fileSize, strings, values) {
+  const head = readAt(fd, 0, 12);
+  if (head.toString("latin1", 0, 4) !== "RIFF" || head.toString("latin1", 8, 12) !== "WAVE") {
+    throw new Error("not a RIFF/WAVE file (RF64 isn't supported)");
+  }
+  const chunks = [];
+  for (let off = 12; off + 8 <= fileSize;) {
+    const hdr = readAt(fd, off, 8);
+    const id = hdr.toString("latin1", 0, 4);
+    const size = hdr.readUInt32LE(4);
+    if (off + 8 + size > fileSize) throw new Error(`the "${id}" chunk runs past the end of the file`);
+    chunks.push({ id, off, size });
+    off += 8 + size + (size & 1);
+  }
+
+  const info = chunks.find(c => c.id === "LIST" && readAt(fd, c.off + 8, 4).toString("latin1") === "INFO");
+  const acid = chunks.find(c => c.id === "acid");
+  let changed = false;
+
+  const entries = info ? infoEntries(readAt(fd, info.off + 8, info.size)) : [];
+  for (const [id, value] of [["IGNR", strings.category], ["IPRD", strings.pack]]) {
+    if (!value) continue;
+    const at = entries.findIndex(e => e.id === id);
+    if (at >= 0 && entries[at].data.toString("utf8").split("\0")[0] === value) continue;
+    const entry = { id, data: Buffer.from(`${value}\0`, "utf8") };
+    if (at >= 0) entries[at] = entry;
+    else entries.push(entry);
+    changed = true;
+  }
+
+  let acidBody = acid && acid.size >= ACID_SIZE ? readAt(fd, acid.off + 8, acid.size) : null;
+  const semitone = keySemitone(values.key);
+  if (values.bpm != null || semitone != null) {
+    const before = acidBody ? Buffer.from(acidBody) : null;
+    acidBody ||= newAcid(fd, chunks, values.bpm);
+    if (values.bpm != null) acidBody.writeFloatLE(values.bpm, 20);
+    if (semitone != null) {
+      acidBody.writeUInt32LE(acidBody.readUInt32LE(0) | ACID_ROOT_SET, 0);
+      acidBody.writeUInt16LE(0x30 + semitone, 4);
+    }
+    if (!before || !before.equals(acidBody)) changed = true;
+  }
+  if (!changed) return null;
+
+  const infoParts = entries.length
+    ? riffChunk("LIST", Buffer.concat([Buffer.from("INFO", "latin1"), ...entries.flatMap(e => riffChunk(e.id, e.data))]))
+    : [];
+  const acidParts = acidBody ? riffChunk("acid", acidBody) : [];
+
+  // New chunks go before the audio data, where streaming readers still see them
+  const added = [...(info ? [] : infoParts), ...(acid ? [] : acidParts)];
+  const parts = [];
+  for (const c of chunks) {
+    if (c.id === "data" && added.length) parts.push(...added.splice(0));
+    if (c === info) parts.push(...infoParts);
+    else if (c === acid) parts.push(...acidParts);
+    else {
+      parts.push([c.off, c.off + 8 + c.size]);
+      if (c.size & 1) parts.push(Buffer.alloc(1));
+    }
+  }
+  parts.push(...added);
+
+  const size = parts.reduce((n, p) => n + (Buffer.isBuffer(p) ? p.length : p[1] - p[0]), 4);
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, "latin1");
+  riff.writeUInt32LE(size, 4);
+  riff.write("WAVE", 8, "latin1");
+  return [riff, ...parts];
+}
+
+// -------------------- MP3: ID3v2 --------------------
+
+const ID3_FRAMES = { category: "TCON", bpm: "TBPM", key: "TKEY", pack: "TALB" };
+const ID3_PADDING = 1024;
+
+const readSyncsafe = (buf, off) =>
+  (buf[off] << 21) | (buf[off + 1] << 14) | (buf[off + 2] << 7) | buf[off + 3];
+
+function writeSyncsafe(buf, n, off) {
+  for (let i = 0; i < 4; i++) buf[off + i] = (n >> (21 - 7 * i)) & 0x7f;
+}
+
+function utf16(raw, littleEndian) {
+  const even = Buffer.from(raw.subarray(0, raw.length & ~1));
+  return (littleEndian ? even : even.swap16()).toString("utf16le");
+}
+
+// First value of a text frame
+function frameText(body) {
+  const raw = body.subarray(1);
+  let text;
+  if (body[0] === 0) text = raw.toString("latin1");
+  else if (body[0] === 3) text = raw.toString("utf8");
+  else if (body[0] === 2) text = utf16(raw, false);
+  else if (raw[0] === 0xfe && raw[1] === 0xff) text = utf16(raw.subarray(2), false);
+  else if (raw[0] === 0xff && raw[1] === 0xfe) text = utf16(raw.subarray(2), true);
+  else text = utf16(raw, true);
+  return text.split("\0")[0];
+}
+
+// v2.4 frames are UTF-8; v2.3 has Latin-1 or UTF-16 with a BOM
+function textFrame(id, value, major) {
+  let body;
+  if (major === 4) body = Buffer.concat([Buffer.from([3]), Buffer.from(value, "utf8")]);
+  else if (/^[\x00-\xff]*$/.test(value)) body = Buffer.concat([Buffer.from([0]), Buffer.from(value, "latin1")]);
+  else body = Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(value, "utf16le")]);
+
+  const head = Buffer.alloc(10);
+  head.write(id, 0, "latin1");
+  if (major === 4) writeSyncsafe(head, body.length, 4);
+  else head.writeUInt32BE(body.length, 4);
+  return Buffer.concat([head, body]);
+}
+
+// Files without a tag get an ID3v2.3 one; v2.3/v2.4 tags keep their version
+function id3Parts(fd, fileSize, strings) {
+  const head = readAt(fd, 0, 10);
+  let major = 3;
+  let frames = [];
+  let audioStart = 0;
+
+  if (head.length === 10 && head.toString("latin1", 0, 3) === "ID3") {
+    major = head[3];
+    const flags = head[5];
+    if (major !== 3 && major !== 4) throw new Error(`ID3v2.${major} tags aren't supported`);
+    if (flags & 0xc0) throw new Error("unsynchronised or extended ID3 headers aren't supported");
+    const size = readSyncsafe(head, 6);
+    audioStart = 10 + size + (flags & 0x10 ? 10 : 0);
+    const body = readAt(fd, 10, size);
+    for (let off = 0; off + 10 <= body.length && body[off] !== 0;) {
+      const frameSize = major === 4 ? readSyncsafe(body, off + 4) : body.readUInt32BE(off + 4);
+      if (off + 10 + frameSize > body.length) throw new Error("damaged ID3 frame");
+      frames.push({ id: body.toString("latin1", off, off + 4), raw: body.subarray(off, off + 10 + frameSize) });
+      off += 10 + frameSize;
+    }
+  }
+
+  let changed = false;
+  for (const [field, id] of Object.entries(ID3_FRAMES)) {
+    const value = strings[field];
+    if (!value) continue;
+    const same = frames.filter(f => f.id === id);
+    // Frames with format flags (compressed, encrypted…) are rewritten rather than decoded
+    if (same.length === 1 && same[0].raw[9] === 0 && frameText(same[0].raw.subarray(10)) === value) continue;
+    const at = frames.findIndex(f => f.id === id);
+    frames = frames.filter(f => f.id !== id);
+    frames.splice(at < 0 ? frames.length : at, 0, { id, raw: textFrame(id, value, major) });
+    changed = true;
+  }
+  if (!changed) return null;
+
+  const body = Buffer.concat([...frames.map(f => f.raw), Buffer.alloc(ID3_PADDING)]);
+  const header = Buffer.from([0x49, 0x44, 0x33, major, 0, 0, 0, 0, 0, 0]);
+  writeSyncsafe(header, body.length, 6);
+  return [header, body, [audioStart, fileSize]];
+}
+
+// -------------------- FLAC: Vorbis comments --------------------
+
+const VORBIS_FIELDS = { category: "GENRE", bpm: "BPM", key: "INITIALKEY", pack: "ALBUM" };
+const VORBIS_COMMENT = 4;
+
+function u32le(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n, 0);
+  return buf;
+}
+
+function flacParts(fd, fileSize, strings) {
+  if (readAt(fd, 0, 4).toString("latin1") !== "fLaC") throw new Error("not a FLAC stream (ID3 before fLaC isn't supported)");
+  const blocks = [];
+  let off = 4;
+  for (let last = false; !last;) {
+    const hdr = readAt(fd, off, 4);
+    if (hdr.length < 4) throw new Error("the metadata ends early");
+    last = !!(hdr[0] & 0x80);
+    const len = hdr.readUIntBE(1, 3);
+    if (off + 4 + len > fileSize) throw new Error("a metadata block runs past the end of the file");
+    blocks.push({ type: hdr[0] & 0x7f, off, len });
+    off += 4 + len;
+  }
+  const audioStart = off;
+
+  const vc = blocks.find(b => b.type === VORBIS_COMMENT);
+  let vendor = Buffer.from("SampleSort", "utf8");
+  let comments = [];
+  if (vc) {
+    const body = readAt(fd, vc.off + 4, vc.len);
+    const vendorLen = body.readUInt32LE(0);
+    vendor = body.subarray(4, 4 + vendorLen);
+    const count = body.readUInt32LE(4 + vendorLen);
+    for (let i = 0, p = 8 + vendorLen; i < count; i++) {
+      const len = body.readUInt32LE(p);
+      comments.push(body.toString("utf8", p + 4, p + 4 + len));
+      p += 4 + len;
+    }
+  }
+
+  let changed = false;
+  for (const [field, name] of Object.entries(VORBIS_FIELDS)) {
+    const value = strings[field];
+    if (!value) continue;
+    const isField = (c) => c.split("=", 1)[0].toUpperCase() === name;
+    const same = comments.filter(isField);
+    if (same.length === 1 && same[0].slice(name.length + 1) === value) continue;
+    const at = comments.findIndex(isField);
+    comments = comments.filter(c => !isField(c));
+    comments.splice(at < 0 ? comments.length : at, 0, `${name}=${value}`);
+    changed = true;
+  }
+  if (!changed) return null;
+
+  const vcBody = Buffer.concat([
+    u32le(vendor.length), vendor, u32le(comments.length),
+    ...comments.flatMap(c => {
+      const b = Buffer.from(c, "utf8");
+      return [u32le(b.length), b];
+    }),
+  ]);
+  if (vcBody.length > 0xffffff) throw new Error("the comments don't fit in a FLAC metadata block");
+
+  // A new comment block goes right after STREAMINFO
+  const list = blocks.map(b => (b === vc ? { type: VORBIS_COMMENT, body: vcBody } : b));
+  if (!vc) list.splice(1, 0, { type: VORBIS_COMMENT, body: vcBody });
+
+  const parts = [Buffer.from("fLaC", "latin1")];
+  list.forEach((b, i) => {
+    const len = b.body ? b.body.length : b.len;
+    const hdr = Buffer.alloc(4);
+    hdr[0] = b.type | (i === list.length - 1 ? 0x80 : 0);
+    hdr.writeUIntBE(len, 1, 3);
+    parts.push(hdr, b.body || [b.off + 4, b.off + 4 + len]);
+  });
+  parts.push([audioStart, fileSize]);
+  return parts;
+}
+
+// -------------------- Writing --------------------
+
+// The rewrite must read as the same audio, with the tags as planned
+async function verifyRewrite(original, tmp, values) {
+  const opts = { skipCovers: true, duration: false };
+  const [before, after] = [await mm.parseFile(original, opts), await mm.parseFile(tmp, opts)];
+  for (const k of ["container", "codec", "sampleRate", "numberOfChannels", "bitsPerSample", "numberOfSamples"]) {
+    if (before.format[k] !== after.format[k]) throw new Error(`the tagged file reads differently (${k})`);
+  }
+  if (plannedParts(tmp, values)) throw new Error("the tags didn't read back as written");
+}
+
+// Tag one file in place: "written", "unchanged", or "linked" (left alone:
+// rewriting a hard or symbolic link would cut it off from its source)
+async function tagFile(file, values, { journal = null, cache = null } = {}) {
+  const st = fs.lstatSync(file);
+  if (st.isSymbolicLink() || st.nlink > 1) return "linked";
+  const parts = plannedParts(file, values);
+  if (!parts) return "unchanged";
+
+  const hit = cache?.lookup(file);
+  const tmp = path.join(path.dirname(file), `.~tags-${path.basename(file)}`);
+  try {
+    writeParts(file, tmp, parts);
+    fs.chmodSync(tmp, st.mode);
+    await verifyRewrite(file, tmp, values);
+    if (journal) journal.rewrite(file, tmp);
+    else fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+
+  // Same audio: keep its analysis, but not the hashes or tags
+  if (cache) {
+    const { size, mtimeMs, hashes, tags, ...audio } = hit || {};
+    cache.update(file, { ...audio, ...(values.bpm != null ? { bpm: values.bpm } : {}) });
+  }
+  return "written";
+}
+
+// Tag the files a run placed, after the BPM/Key passes. files are the
+// newFiles of "organizing-done" ({ src, dest, tags: { category, pack } });
+// the journal says where each one ended up and whether it was copied.
+// A dry run logs the planned tags only. Returns the number of files tagged.
+async function writeTagsPass({
+  rootDir, journalId, files, dryRun, debug, keyFromParent, keyNoteOnlyFallback, useAnalysisCache
+}, webContents) {
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  const placed = new Map((!dryRun && journalId ? journalTransfers(rootDir, journalId) : [])
+    .map(t => [path.resolve(t.src), t]));
+  const journal = !dryRun && journalId ? createJournal(rootDir, { kind: "tags", id: journalId }) : null;
+  const cache = runCache({ useAnalysisCache }, rootDir);
+
+  const work = [];
+  for (const f of files || []) {
+    const src = f?.src ? path.resolve(f.src) : null;
+    const t = src ? placed.get(src) : null;
+    const file = path.resolve(t?.dest || f?.dest || f);
+    if (WRITERS[extOf(file)]) work.push({ src, file, copied: t?.op === "copy", tags: f?.tags });
+  }
+
+  let written = 0, unchanged = 0, linked = 0, failed = 0;
+  const progress = createProgress(webContents, "tags", work.map(w => w.file));
+  resetCancel();
+  for (const [i, w] of work.entries()) {
+    if (await checkpoint(webContents)) {
+      log("⏹️ Tagging cancelled.", "warning");
+      break;
+    }
+    progress.at(i);
+    const name = path.basename(w.file);
+    const values = tagValues(w.file, w.tags, {
+      lookupFile: dryRun ? w.src || w.file : w.file, cache, keyFromParent, keyNoteOnlyFallback,
+    });
+    if (Object.values(values).every(v => v == null)) continue;
+
+    if (dryRun) {
+      log(`[DRY RUN] Would tag <b>${name}</b>: ${describe(values)}`, "info");
+      written++;
+      continue;
+    }
+    // Without a journal a moved file's original could not be kept
+    if (!w.copied && !journal) {
+      log(`Left <b>${name}</b> untagged: no run journal to keep its original in.`, "warning");
+      failed++;
+      continue;
+    }
+
+    try {
+      const r = await tagFile(w.file, values, { journal: w.copied ? null : journal, cache });
+      if (r === "written") {
+        written++;
+        if (debug) log(`Tagged <b>${name}</b>: ${describe(values)}`, "info");
+      } else if (r === "unchanged") {
+        unchanged++;
+      } else {
+        linked++;
+      }
+    } catch (e) {
+      failed++;
+      log(`Could not tag <b>${name}</b>: ${e.message}. The file was left as it was.`, "error");
+    }
+    if ((i % 50) === 0) await new Promise(r => setImmediate(r));
+  }
+  progress.finish({ cancelled: isCancelled() });
+  try { cache?.save(); } catch { /* best effort */ }
+
+  if (journal?.stashed) reportReplaced(rootDir, webContents);
+  if (linked) log(`${linked} linked file(s) left untagged (tagging would break the link).`, "info");
+  if (unchanged) log(`${unchanged} file(s) already had these tags.`, "info");
+  return written;
+}
+
+module.exports = {
+  writeTagsPass,
+  tagFile,
+  tagValues,
+};
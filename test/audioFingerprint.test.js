@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { fingerprintAudio, sameAudio } = require("../audioFingerprint");
+
+const SR = 44100;
+
+// AudioBuffer-like mono buffer of sec seconds from fn(t)
+function buffer(sec, fn) {
+  const length = Math.round(sec * SR);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) data[i] = fn(i / SR);
+  return { sampleRate: SR, numberOfChannels: 1, length, duration: length / SR, getChannelData: () => data };
+}
+
+const tone = (hz, decay = 0) => buffer(1, t => 0.5 * Math.sin(2 * Math.PI * hz * t) * Math.exp(-t * decay));
+
+// The same samples rounded to 16 bits, as a 24-bit to 16-bit re-export would
+function requantized(audio) {
+  const data = audio.getChannelData(0).map(v => Math.round(v * 32767) / 32767);
+  return { ...audio, getChannelData: () => data };
+}
+
+test("different pitches of equal length are not the same audio", () => {
+  for (const [a, b, decay] of [[523.25, 587.33, 0], [2000, 3000, 0], [1000, 1200, 6]]) {
+    assert.strictEqual(sameAudio(fingerprintAudio(tone(a, decay)), fingerprintAudio(tone(b, decay))), false, `${a} Hz vs ${b} Hz`);
+  }
+});
+
+test("a re-export at another bit depth is the same audio", () => {
+  const audio = tone(523.25, 4);
+  assert.strictEqual(sameAudio(fingerprintAudio(audio), fingerprintAudio(requantized(audio))), true);
+});
+
+test("different lengths are not the same audio", () => {
+  const short = buffer(0.5, t => 0.5 * Math.sin(2 * Math.PI * 440 * t));
+  assert.strictEqual(sameAudio(fingerprintAudio(tone(440)), fingerprintAudio(short)), false);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { uniqueDestPath, sameContent, copyWithTimes, resolveConflict } = require("../conflicts");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-conflicts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// file with the given content, modified at the start of year
+function sample(dir, name, content, year) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, content);
+  const at = new Date(Date.UTC(year, 0, 1));
+  fs.utimesSync(file, at, at);
+  return file;
+}
+
+test("keep-newer compares the source times of copied files", (t) => {
+  const root = tempDir(t);
+  const dest = path.join(root, "dest");
+  fs.mkdirSync(dest);
+
+  // An earlier run copied the 2020 kick into the library
+  const old = sample(path.join(root, "a"), "kick.wav", "old kick", 2020);
+  copyWithTimes(old, path.join(dest, "kick.wav"));
+  assert.strictEqual(fs.statSync(path.join(dest, "kick.wav")).mtimeMs, fs.statSync(old).mtimeMs);
+
+  const newer = sample(path.join(root, "b"), "kick.wav", "new kick", 2023);
+  assert.deepStrictEqual(resolveConflict(newer, dest, "kick.wav", "keep-newer"),
+    { dest: path.join(dest, "kick.wav"), replace: true });
+
+  const older = sample(path.join(root, "c"), "kick.wav", "older kick", 2019);
+  assert.deepStrictEqual(resolveConflict(older, dest, "kick.wav", "keep-newer"), { skip: "existing file is newer" });
+});
+
+test("policies", (t) => {
+  const root = tempDir(t);
+  const dest = path.join(root, "dest");
+  sample(dest, "snare.wav", "snare", 2020);
+  const same = sample(path.join(root, "a"), "snare.wav", "snare", 2021);
+  const bigger = sample(path.join(root, "b"), "snare.wav", "bigger snare", 2021);
+  const target = path.join(dest, "snare.wav");
+
+  assert.deepStrictEqual(resolveConflict(bigger, dest, "new.wav", "overwrite"),
+    { dest: path.join(dest, "new.wav"), replace: false });
+  assert.deepStrictEqual(resolveConflict(bigger, dest, "snare.wav", "rename"),
+    { dest: path.join(dest, "snare (2).wav"), replace: false });
+  assert.deepStrictEqual(resolveConflict(same, dest, "snare.wav", "overwrite"), { skip: "identical file already there" });
+  assert.deepStrictEqual(resolveConflict(bigger, dest, "snare.wav", "skip-identical"),
+    { dest: path.join(dest, "snare (2).wav"), replace: false });
+  assert.deepStrictEqual(resolveConflict(bigger, dest, "snare.wav", "keep-larger"), { dest: target, replace: true });
+  assert.deepStrictEqual(resolveConflict(target, dest, "snare.wav", "overwrite"), { skip: "already in place" });
+});
+
+test("uniqueDestPath and sameContent", (t) => {
+  const dir = tempDir(t);
+  const a = sample(dir, "hat.wav", "hat", 2020);
+  sample(dir, "hat (2).wav", "hat", 2020);
+  const b = sample(dir, "tom.wav", "tom", 2020);
+  assert.strictEqual(uniqueDestPath(dir, "hat.wav"), path.join(dir, "hat (3).wav"));
+  assert.strictEqual(sameContent(a, path.join(dir, "hat (2).wav")), true);
+  assert.strictEqual(sameContent(a, b), false);
+});
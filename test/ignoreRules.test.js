@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { IGNORE_FILE, compileIgnorePattern, validateIgnorePattern, createIgnore } = require("../ignoreRules");
+
+// A source root with the given files ("/"-separated paths)
+function root(t, files, ignoreFile = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-ignore-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const f of files) {
+    fs.mkdirSync(path.join(dir, path.dirname(f)), { recursive: true });
+    fs.writeFileSync(path.join(dir, f), "");
+  }
+  if (ignoreFile != null) fs.writeFileSync(path.join(dir, IGNORE_FILE), ignoreFile);
+  return dir;
+}
+
+const at = (dir, rel) => path.join(dir, ...rel.split("/"));
+
+test("patterns follow gitignore rules, case-insensitively", (t) => {
+  const dir = root(t, []);
+  const ignore = createIgnore(dir, ["Presets/", "/Project Files", "*.asd", "Loops/**/*.mid"]);
+  const skip = (rel, isDir = false) => ignore.skip(at(dir, rel), isDir);
+
+  assert.strictEqual(skip("Pack/presets", true), true);
+  assert.strictEqual(skip("Pack/Presets"), false); // a file, not a folder
+  assert.strictEqual(skip("Project Files", true), true);
+  assert.strictEqual(skip("Pack/Project Files", true), false); // anchored to the root
+  assert.strictEqual(skip("Pack/Kick.wav.ASD"), true);
+  assert.strictEqual(skip("Loops/a/b/bass.mid"), true);
+  assert.strictEqual(skip("Loops/bass.mid"), true);
+  assert.strictEqual(skip("Pack/Loops/bass.mid"), false);
+  assert.strictEqual(skip("Pack/kick.wav"), false);
+});
+
+test("the root's ignore file comes last and can bring files back", (t) => {
+  const dir = root(t, [], "# keep the good one\n!keep.asd\nDemo*\n");
+  const ignore = createIgnore(dir, ["*.asd"]);
+  assert.strictEqual(ignore.skip(at(dir, "a/keep.asd")), false);
+  assert.strictEqual(ignore.skip(at(dir, "a/other.asd")), true);
+  assert.strictEqual(ignore.skip(at(dir, "Demo Songs"), true), true);
+  assert.strictEqual(ignore.size, 3);
+});
+
+test("nothing inside an excluded folder comes back", (t) => {
+  const dir = root(t, []);
+  const ignore = createIgnore(dir, ["Presets/", "!Presets/keep.wav"]);
+  assert.strictEqual(ignore.skip(at(dir, "Presets/keep.wav")), true);
+});
+
+test("files in archives match as if the archive were a folder", (t) => {
+  const dir = root(t, []);
+  const ignore = createIgnore(dir, ["Pack/Presets/"]);
+  assert.strictEqual(ignore.skipInArchive(at(dir, "Pack.zip"), path.join("Presets", "a.fxp")), true);
+  assert.strictEqual(ignore.skipInArchive(at(dir, "Pack.zip"), path.join("Kicks", "a.wav")), false);
+});
+
+test("excluded files are counted per rule, a folder by the files in it", (t) => {
+  const dir = root(t, ["Presets/a.fxp", "Presets/sub/b.fxp", "x.asd"]);
+  const ignore = createIgnore(dir, ["Presets/", "*.asd"]);
+  ignore.skip(at(dir, "Presets"), true);
+  ignore.skip(at(dir, "x.asd"));
+  ignore.skip(at(dir, "kick.wav"));
+  assert.deepStrictEqual(ignore.takeCounts(), [
+    { rule: "Presets/", origin: "config", files: 2 },
+    { rule: "*.asd", origin: "config", files: 1 },
+  ]);
+  assert.deepStrictEqual(ignore.takeCounts(), []);
+});
+
+test("invalid lines are reported, blank lines and comments skipped", (t) => {
+  assert.strictEqual(compileIgnorePattern("# comment"), null);
+  assert.strictEqual(compileIgnorePattern("   "), null);
+  assert.strictEqual(compileIgnorePattern("\\#hash").re.test("#hash"), true);
+  assert.notStrictEqual(validateIgnorePattern("[z-a].wav"), null);
+
+  const dir = root(t, [], "ok.wav\n[z-a].wav\n");
+  const errors = [];
+  const ignore = createIgnore(dir, [], (msg) => errors.push(msg));
+  assert.strictEqual(ignore.size, 1);
+  assert.match(errors[0], new RegExp(`${IGNORE_FILE}:2`));
+});
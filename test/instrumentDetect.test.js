@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { instrumentFeatures, classifyInstrument } = require("../instrumentDetect");
+
+const SR = 44100;
+
+// AudioBuffer-like mono buffer of sec seconds from fn(t)
+function buffer(sec, fn) {
+  const length = Math.round(sec * SR);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) data[i] = fn(i / SR);
+  return { sampleRate: SR, numberOfChannels: 1, length, duration: length / SR, getChannelData: () => data };
+}
+
+// Repeatable white noise
+function noise() {
+  let seed = 1;
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed / 2147483647) * 2 - 1;
+  };
+}
+
+const sounds = {
+  // A pitch drop from 150 to 50 Hz that dies out quickly
+  kick: buffer(0.5, t => 0.9 * Math.sin(2 * Math.PI * (50 + 100 * Math.exp(-t * 30)) * t) * Math.exp(-t * 12)),
+  hat: ((rand) => buffer(0.15, t => 0.5 * rand() * Math.exp(-t * 40)))(noise()),
+  bass: buffer(1.5, t => 0.8 * Math.min(1, t / 0.005) * Math.sin(2 * Math.PI * 55 * t) * Math.exp(-t * 0.5)),
+  // A slow-swelling chord
+  pad: buffer(4, t => 0.4 * Math.min(1, t / 0.5)
+    * (Math.sin(2 * Math.PI * 440 * t) + 0.5 * Math.sin(2 * Math.PI * 660 * t) + 0.3 * Math.sin(2 * Math.PI * 880 * t))),
+};
+
+test("synthetic drums, bass and pads are told apart", () => {
+  for (const [expected, audio] of Object.entries(sounds)) {
+    const { instrument, confidence } = classifyInstrument(instrumentFeatures(audio));
+    assert.strictEqual(instrument, expected);
+    assert.ok(confidence > 0.3, `${expected} confidence ${confidence}`);
+  }
+});
+
+test("features measure what they say", () => {
+  const kick = instrumentFeatures(sounds.kick);
+  const hat = instrumentFeatures(sounds.hat);
+  const pad = instrumentFeatures(sounds.pad);
+  assert.ok(kick.low > 0.9 && hat.low < 0.05);
+  assert.ok(hat.centroid > 7000 && kick.centroid < 400);
+  assert.ok(hat.zcr > 0.2 && kick.zcr < 0.02);
+  assert.ok(pad.attack > 100 && kick.attack < 15);
+  assert.ok(pad.sustain > 0.4 && kick.sustain < 0.15);
+});
+
+test("silence has no features", () => {
+  assert.strictEqual(instrumentFeatures(buffer(1, () => 0)), null);
+});
+
+test("confidence drops when two profiles fit about as well", () => {
+  const clear = classifyInstrument(instrumentFeatures(sounds.hat));
+  // Halfway between a kick and a bass note
+  const unsure = classifyInstrument({ duration: 0.6, sustain: 0.18, attack: 5, zcr: 0.005, centroid: 60, low: 0.95 });
+  assert.ok(["kick", "bass"].includes(unsure.instrument));
+  assert.ok(unsure.confidence < clear.confidence, `${unsure.confidence} vs ${clear.confidence}`);
+  assert.deepStrictEqual(Object.keys(unsure.scores).sort(),
+    ["bass", "clap", "fx", "hat", "kick", "pad", "snare", "vocal"]);
+});
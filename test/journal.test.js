@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJournal, pruneReplaced, undoJournal } = require("../journal");
+
+// A library with one run per id, each rewriting its own file
+function library(ids) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-journal-"));
+  for (const [i, id] of ids.entries()) {
+    const journal = createJournal(root, { id });
+    const file = path.join(root, `f${i}.wav`);
+    fs.writeFileSync(file, `original ${i}`);
+    fs.writeFileSync(`${file}.tmp`, `tagged ${i}`);
+    journal.rewrite(file, `${file}.tmp`);
+  }
+  return root;
+}
+
+const IDS = ["2026-01-01T00-00-00-000Z_a", "2026-01-02T00-00-00-000Z_b", "2026-01-03T00-00-00-000Z_c"];
+
+test("only the newest runs keep their replaced originals", (t) => {
+  const root = library(IDS);
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const r = pruneReplaced(root, 2);
+  assert.deepStrictEqual(r, { runs: 2, bytes: "original 1".length + "original 2".length, pruned: 1 });
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, ".samplesort", "replaced")).sort(), IDS.slice(1));
+});
+
+test("undoing a pruned run keeps the rewritten file", async (t) => {
+  const root = library(IDS);
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  pruneReplaced(root, 2);
+  const logs = [];
+  await undoJournal(root, IDS[0], { send: (_channel, msg, type) => logs.push([msg, type]) });
+  assert.strictEqual(fs.readFileSync(path.join(root, "f0.wav"), "utf-8"), "tagged 0");
+  assert.ok(logs.some(([msg, type]) => type === "warning" && /original of <b>f0\.wav<\/b> was pruned/.test(msg)));
+
+  await undoJournal(root, IDS[2]);
+  assert.strictEqual(fs.readFileSync(path.join(root, "f2.wav"), "utf-8"), "original 2");
+  assert.ok(!fs.existsSync(path.join(root, ".samplesort", "replaced", IDS[2])));
+});
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  compileKeyword, compileKeywords, validateKeyword, validateCategories, keywordMatches, matchesKeywords, splitKeywords,
+  scoreCategory, matchHaystacks, pickCategory,
+} = require("../keywordRules");
+
+// The organizer matches text keywords against the file name and globs/regexes
+// against the name without its extension
+const matches = (keyword, fileName) =>
+  keywordMatches(compileKeyword(keyword), fileName, fileName.replace(/\.[^.]+$/, ""));
+
+test("plain keywords are case-insensitive substrings, - and _ count as spaces", () => {
+  assert.strictEqual(matches("kick", "Big_KICK_01.wav"), true);
+  assert.strictEqual(matches("hi hat", "open-hi_hat.wav"), true);
+  assert.strictEqual(matches("snare", "clap.wav"), false);
+});
+
+test("globs match the whole name without the extension", () => {
+  assert.strictEqual(matches("kick_??", "kick_01.wav"), true);
+  assert.strictEqual(matches("kick_??", "kick_001.wav"), false);
+  assert.strictEqual(matches("*808*", "Deep 808 Boom.wav"), true);
+  assert.strictEqual(matches("kick*", "my kick.wav"), false);
+  assert.strictEqual(matches("a.b*", "axb.wav"), false); // . is literal
+});
+
+test("regex keywords use their flags and see the raw name", () => {
+  assert.strictEqual(matches("/^hh[_ -]?open/i", "HH_Open_02.wav"), true);
+  assert.strictEqual(matches("/^hh[_ -]?open/", "HH_Open_02.wav"), false);
+  assert.strictEqual(matches("/\\.wav$/", "kick.wav"), false);
+  assert.strictEqual(matches("/_\\d{3}$/", "loop_120.wav"), true);
+});
+
+test("invalid keywords are reported and dropped", () => {
+  assert.match(validateKeyword("/(/"), /Invalid regular expression/);
+  assert.match(validateKeyword("/kick/g"), /Unsupported regex flags "g"/);
+  assert.strictEqual(validateKeyword("kick"), null);
+
+  const errors = [];
+  const list = compileKeywords(["kick", "/(/", " ", "--", "*hat"], (k) => errors.push(k));
+  assert.deepStrictEqual(list.map(c => c.type), ["text", "glob"]);
+  assert.deepStrictEqual(errors, ["/(/"]);
+});
+
+test("splitKeywords keeps regexes with commas together", () => {
+  assert.deepStrictEqual(splitKeywords("kick, snare;/a{1,2}[,;]b/i\n hat "), ["kick", "snare", "/a{1,2}[,;]b/i", "hat"]);
+  assert.deepStrictEqual(splitKeywords("/not a regex, kick"), ["/not a regex", "kick"]);
+});
+
+test("validateCategories lists every bad keyword with its category", () => {
+  const problems = validateCategories([
+    { name: "Drums", categories: [{ name: "Kick", keywords: ["kick", "/(/"] }, { name: "Hat", keywords: ["/hat/x"] }] },
+  ]);
+  assert.deepStrictEqual(problems.map(p => [p.category, p.keyword]), [["Kick", "/(/"], ["Hat", "/hat/x"]]);
+});
+
+test("sample types must be real ones, not inherited object keys", () => {
+  const rules = (sampleType) => [{ name: "Drums", categories: [{ name: "Loops", keywords: [], sampleType }] }];
+  assert.deepStrictEqual(validateCategories(rules("loop")), []);
+  for (const bad of ["constructor", "toString", "shot"]) {
+    assert.deepStrictEqual(validateCategories(rules(bad)).map(p => p.error), ["Unknown sample type"]);
+  }
+});
+
+// A rule as the organizer flattens it from the config
+const rule = ({ keywords = [], exclude = [], matchAll = false, sampleType = null }) =>
+  ({ keywords, patterns: compileKeywords(keywords), exclude: compileKeywords(exclude), matchAll, sampleType });
+const ruleMatches = (ent, fileName) => matchesKeywords(ent, fileName, fileName.replace(/\.[^.]+$/, ""));
+
+test("an exclude keyword rejects a rule that would match", () => {
+  const kicks = rule({ keywords: ["kick"], exclude: ["loop", "/^fx/i"] });
+  assert.strictEqual(ruleMatches(kicks, "Kick_01.wav"), true);
+  assert.strictEqual(ruleMatches(kicks, "Kick Loop 120.wav"), false);
+  assert.strictEqual(ruleMatches(kicks, "FX_kick_riser.wav"), false);
+  // Excludes alone never make a rule match
+  assert.strictEqual(ruleMatches(rule({ exclude: ["loop"] }), "snare.wav"), false);
+});
+
+test("matchAll needs every keyword; a keyword-less rule only matches with a sample type", () => {
+  const both = rule({ keywords: ["hat", "open"], matchAll: true });
+  assert.strictEqual(ruleMatches(both, "open_hat.wav"), true);
+  assert.strictEqual(ruleMatches(both, "closed_hat.wav"), false);
+  assert.strictEqual(ruleMatches(rule({}), "kick.wav"), false);
+  assert.strictEqual(ruleMatches(rule({ sampleType: "loop" }), "kick.wav"), true);
+});
+
+const spec = () => [
+  { main: "Drums", category: "Kick", ...rule({ keywords: ["kick"] }) },
+  { main: "Drums", category: "808", ...rule({ keywords: ["808 kick"] }) },
+  { main: "FX", category: "Impacts", ...rule({ keywords: ["boom"] }) },
+];
+const hays = (fileName, parentFolder) =>
+  matchHaystacks({ fileName, fileStem: fileName.replace(/\.[^.]+$/, ""), parentFolder });
+
+test("first match takes the first rule in tree order", () => {
+  const r = pickCategory(spec(), hays("808 Kick.wav"), {});
+  assert.strictEqual(r.matched.category, "Kick");
+  assert.strictEqual(r.via, "name");
+});
+
+test("best match prefers the more specific keyword", () => {
+  const r = pickCategory(spec(), hays("808 Kick.wav"), { matchMode: "best" });
+  assert.strictEqual(r.matched.category, "808");
+  assert.deepStrictEqual(r.tied, []);
+  assert.ok(scoreCategory(spec()[1], "808 kick") > scoreCategory(spec()[0], "808 kick"));
+});
+
+test("a file-name hit outweighs the same hit in the parent folder", () => {
+  const r = pickCategory(spec(), hays("kick.wav", "boom"), { matchMode: "best", checkParentFolder: true });
+  assert.strictEqual(r.matched.category, "Kick");
+
+  // Without checkParentFolder the folder isn't looked at
+  assert.strictEqual(pickCategory(spec(), hays("hit.wav", "boom"), { matchMode: "best" }).matched, null);
+  assert.strictEqual(
+    pickCategory(spec(), hays("hit.wav", "boom"), { matchMode: "best", checkParentFolder: true }).via, "parent");
+});
+
+test("equal scores keep tree order and report the tie", () => {
+  const rules = [
+    { main: "A", category: "Snare", ...rule({ keywords: ["snr"] }) },
+    { main: "B", category: "Rim", ...rule({ keywords: ["snr"] }) },
+  ];
+  const r = pickCategory(rules, hays("snr 1.wav"), { matchMode: "best" });
+  assert.strictEqual(r.matched.category, "Snare");
+  assert.deepStrictEqual(r.tied.map(e => e.category), ["Rim"]);
+});
+
+test("rules with matchIn look at embedded tags", () => {
+  const rules = [{ main: "", category: "Bass", ...rule({ keywords: ["bass"] }), matchIn: ["genre"] }];
+  const withTags = matchHaystacks({ fileName: "take 3.wav", fileStem: "take 3" }, { genre: "Sub Bass" });
+  assert.strictEqual(pickCategory(rules, withTags, {}).via, "genre");
+  assert.strictEqual(pickCategory(rules, hays("bass.wav"), {}).matched, null);
+});
+
+test("match sources must be real ones, not inherited object keys", () => {
+  const rules = (matchIn) => [{ name: "Bass", categories: [{ name: "Sub", keywords: ["sub"], matchIn }] }];
+  assert.deepStrictEqual(validateCategories(rules(["name", "genre"])), []);
+  assert.deepStrictEqual(validateCategories(rules(["name", "constructor"])).map(p => p.keyword), ["constructor"]);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { wholeBars, classifyFeatures, classifyAudio } = require("../loopDetect");
+
+const SR = 44100;
+
+// AudioBuffer-like mono buffer of sec seconds from fn(t)
+function buffer(sec, fn) {
+  const length = Math.round(sec * SR);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) data[i] = fn(i / SR);
+  return { sampleRate: SR, numberOfChannels: 1, length, duration: length / SR, getChannelData: () => data };
+}
+
+// A decaying 60 Hz thump every beat at bpm
+const beats = (bpm) => (t) => {
+  const since = t % (60 / bpm);
+  return 0.8 * Math.sin(2 * Math.PI * 60 * since) * Math.exp(-since * 20);
+};
+
+test("wholeBars allows a little slack around whole 4/4 bars", () => {
+  assert.strictEqual(wholeBars(4, 120), 2);
+  assert.strictEqual(wholeBars(4.03, 120), 2); // within 1% of the length
+  assert.strictEqual(wholeBars(4.3, 120), null);
+  assert.strictEqual(wholeBars(1, 120), null); // half a bar
+  assert.strictEqual(wholeBars(4, null), null);
+  assert.strictEqual(wholeBars(0, 120), null);
+});
+
+test("classifyFeatures weighs the votes it has", () => {
+  assert.strictEqual(classifyFeatures({ duration: 8, bpm: 120 }).type, "loop");
+  assert.strictEqual(classifyFeatures({ duration: 8 }).type, "one-shot");
+  assert.strictEqual(classifyFeatures({ duration: 0.5, bpm: 480 }).type, "one-shot"); // a bar, but too short
+  assert.strictEqual(classifyFeatures({ duration: 3, bpm: 120 }).bars, null);
+  assert.strictEqual(classifyFeatures({ duration: 8, onsets: 16, decay: 0.5, peakAt: 0.1 }).type, "loop");
+  assert.strictEqual(classifyFeatures({ duration: 8, bpm: 120, onsets: 1, decay: 0.01, peakAt: 0 }).type, "one-shot");
+  assert.deepStrictEqual(classifyFeatures({ duration: undefined }),
+    { type: null, bpm: null, bars: null, onsets: null, decay: null });
+});
+
+test("a two-bar beat is a loop, a single hit a one-shot", () => {
+  const loop = classifyAudio(buffer(4, beats(120)), { bpm: 120 });
+  assert.strictEqual(loop.type, "loop");
+  assert.strictEqual(loop.bars, 2);
+  assert.ok(loop.onsets >= 4, `onsets ${loop.onsets}`);
+
+  const hit = classifyAudio(buffer(1.5, (t) => 0.8 * Math.sin(2 * Math.PI * 60 * t) * Math.exp(-t * 20)));
+  assert.strictEqual(hit.type, "one-shot");
+  assert.ok(hit.onsets <= 1, `onsets ${hit.onsets}`);
+});
+
+test("silence can't be classified", () => {
+  assert.strictEqual(classifyAudio(buffer(2, () => 0)).type, null);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateTemplate, renderTemplate } = require("../pathTemplate");
+
+const values = {
+  main: "Drums",
+  category: "Kicks",
+  bpm: 120,
+  date: new Date(2026, 9, 19),
+  filename: "kick.wav",
+};
+
+test("levels without a value are dropped", () => {
+  assert.deepStrictEqual(
+    renderTemplate("{main}/{category}/{bpm} BPM/{key}/{filename}", values),
+    ["Drums", "Kicks", "120 BPM", "kick.wav"]
+  );
+});
+
+test("a slash inside a token argument doesn't split the template", () => {
+  assert.strictEqual(validateTemplate("{date:YYYY/MM}/{category}/{filename}"), null);
+  assert.deepStrictEqual(
+    renderTemplate("{date:YYYY/MM}/{category}", values),
+    ["2026", "10", "Kicks", "kick.wav"]
+  );
+});
+
+test("{filename} must be in the last level", () => {
+  assert.strictEqual(validateTemplate("{date:YYYY/MM} {filename}"), null);
+  assert.match(validateTemplate("{filename}/{category}"), /last part/);
+  assert.match(validateTemplate("{main}/../{category}"), /\.\./);
+});
+
+test("unknown tokens are rejected, inherited object keys too", () => {
+  assert.match(validateTemplate("{main}/{nope}"), /Unknown token \{nope\}/);
+  assert.match(validateTemplate("{constructor}/{filename}"), /Unknown token \{constructor\}/);
+});
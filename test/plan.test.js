@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writePlan, readPlan, parseCsv } = require("../plan");
+
+function library(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-plan-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const entries = [
+  { op: "copy", src: "/samples/Pack, Vol 1/kick \"hard\".wav", dest: "/lib/Drums/Kick/kick \"hard\".wav",
+    category: "Drums/Kick", keyword: "kick", bpm: 120, key: "A Min" },
+  { op: "move", src: "/samples/line\nbreak.wav", dest: "/lib/Misc/line\nbreak.wav", category: "", keyword: "" },
+];
+
+test("parseCsv handles quotes, doubled quotes, CRLF and a BOM", () => {
+  assert.deepStrictEqual(
+    parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",\n'),
+    [["a", "b"], ["x, y", 'say "hi"'], ["multi\nline", ""]]
+  );
+});
+
+test("a written plan reads back from its JSON and its CSV", (t) => {
+  const root = library(t);
+  const { json, csv } = writePlan(root, entries, { destDir: root, transferMode: "copy" });
+
+  const fromJson = readPlan(json);
+  assert.deepStrictEqual(fromJson.entries, entries);
+  assert.strictEqual(fromJson.meta.transferMode, "copy");
+
+  // CSV cells are strings, and the destination comes from where the plan is saved
+  const fromCsv = readPlan(csv);
+  assert.deepStrictEqual(fromCsv.meta, { destDir: path.resolve(root) });
+  assert.deepStrictEqual(fromCsv.entries.map(e => [e.op, e.src, e.dest, e.bpm]), [
+    ["copy", entries[0].src, entries[0].dest, "120"],
+    ["move", entries[1].src, entries[1].dest, ""],
+  ]);
+});
+
+test("an edited CSV needs src and dest columns, in any order and case", (t) => {
+  const dir = library(t);
+  const ok = path.join(dir, "edited.csv");
+  fs.writeFileSync(ok, "Dest,SRC,op\n/lib/a.wav,/s/a.wav,skip\n");
+  assert.deepStrictEqual(readPlan(ok), { meta: {}, entries: [{ dest: "/lib/a.wav", src: "/s/a.wav", op: "skip" }] });
+
+  const bad = path.join(dir, "bad.csv");
+  fs.writeFileSync(bad, "op,src\ncopy,/s/a.wav\n");
+  assert.throws(() => readPlan(bad), /no "dest" column/);
+
+  const broken = path.join(dir, "broken.json");
+  fs.writeFileSync(broken, "{");
+  assert.throws(() => readPlan(broken), /not valid JSON/);
+});
+
+test("CSV paths keep leading and trailing spaces", (t) => {
+  const dir = library(t);
+  const file = path.join(dir, "spaces.csv");
+  fs.writeFileSync(file, " op , src ,dest,bpm\n copy ,/s/ Pack /kick .wav,/lib/Kick/kick .wav, 120 \nmove,   ,/lib/x.wav,\n");
+  assert.deepStrictEqual(readPlan(file).entries, [
+    { op: "copy", src: "/s/ Pack /kick .wav", dest: "/lib/Kick/kick .wav", bpm: "120" },
+    { op: "move", src: "", dest: "/lib/x.wav", bpm: "" },
+  ]);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createProgress, progressStats } = require("../progress");
+
+test("bytes count the files the loop got past, moved ones too", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-progress-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = [100, 200, 300].map((size, i) => {
+    const f = path.join(dir, `${i}.wav`);
+    fs.writeFileSync(f, Buffer.alloc(size));
+    return f;
+  });
+
+  const sent = [];
+  const progress = createProgress({ send: (_channel, p) => sent.push(p) }, "organize", files);
+  assert.deepStrictEqual([sent[0].bytes, sent[0].totalBytes], [0, null]);
+
+  progress.at(0);
+  fs.rmSync(files[0]); // moved away while being organized
+  progress.at(2); // files[1] skipped over
+  progress.finish({ cancelled: true });
+  assert.deepStrictEqual([sent.at(-1).done, sent.at(-1).bytes], [2, 300]);
+});
+
+test("the ETA goes by bytes only when the total size is known", () => {
+  const startedAt = 0;
+  assert.strictEqual(progressStats({ startedAt, done: 1, total: 4, bytes: 10, totalBytes: null }, 1000).etaSec, 3);
+  assert.strictEqual(progressStats({ startedAt, done: 1, total: 4, bytes: 10, totalBytes: 20 }, 1000).etaSec, 1);
+  assert.strictEqual(progressStats({ startedAt, done: 4, total: 4, bytes: 10, finished: true }, 1000).percent, 100);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateRenameTemplate, cleanName, shortMinorKey, renderFileName } = require("../renameTemplate");
+
+const values = {
+  name: "Deep Bass",
+  original: "VND_Deep_Bass_Am",
+  category: "Bass",
+  bpm: 120,
+  key: "A Min",
+  n: 7,
+  ext: ".wav",
+};
+
+test("words whose tokens have no value drop out with their separators", () => {
+  assert.strictEqual(renderFileName("{category} {n:03} - {bpm}BPM {key}{ext}", values), "Bass 007 - 120BPM Am.wav");
+  assert.strictEqual(renderFileName("{category} - {bpm}BPM - {name}", { ...values, bpm: null }), "Bass - Deep Bass.wav");
+  assert.strictEqual(renderFileName("{category} {bpm}BPM -", { ...values, bpm: null }), "Bass.wav");
+});
+
+test("{key} is short, {key:long} the Key folder name", () => {
+  assert.strictEqual(renderFileName("{name} {key}", { ...values, key: "F# Maj" }), "Deep Bass F#.wav");
+  assert.strictEqual(renderFileName("{name} {key:long}", values), "Deep Bass A Min.wav");
+});
+
+test("the case mode leaves the key alone", () => {
+  assert.strictEqual(renderFileName("{name} {key}", values, { caseMode: "upper" }), "DEEP BASS Am.wav");
+  assert.strictEqual(renderFileName("{original}", values, { caseMode: "title" }), "Vnd_Deep_Bass_Am.wav");
+  assert.strictEqual(renderFileName("{name}", values, { caseMode: "lower" }), "deep bass.wav");
+});
+
+test("an empty result keeps the original name, and the extension always stays", () => {
+  assert.strictEqual(renderFileName("{bpm}", { ...values, bpm: null }), "VND_Deep_Bass_Am.wav");
+  assert.strictEqual(renderFileName("{category}{ext}", values), "Bass.wav");
+  assert.strictEqual(renderFileName("{category}: {name}?", values), "Bass Deep Bass.wav");
+});
+
+test("templates are validated", () => {
+  assert.strictEqual(validateRenameTemplate("{category} {n:03}{ext}"), null);
+  assert.strictEqual(validateRenameTemplate(""), null);
+  assert.match(validateRenameTemplate("{category}/{name}"), /folders/);
+  assert.match(validateRenameTemplate("{nope}"), /Unknown token/);
+  assert.match(validateRenameTemplate("{toString}"), /Unknown token/);
+  assert.match(validateRenameTemplate("{n:x}"), /digit count/);
+  assert.match(validateRenameTemplate("{key:short}"), /Unknown key format/);
+  assert.match(validateRenameTemplate("{ext} {name}"), /only end/);
+  assert.match(validateRenameTemplate("{ext}"), /doesn't produce a name/);
+});
+
+test("cleanName strips pack prefixes and vendor tags", () => {
+  const opts = { stripPrefixes: ["VND", "VND_Pack"], stripTags: ["wet", "v*"] };
+  assert.strictEqual(cleanName("VND_Pack_VND_Kick_Wet_v2", opts), "Kick");
+  assert.strictEqual(cleanName("Snare - Tight", {}), "Snare - Tight");
+});
+
+test("short minor keys need a lowercase m", () => {
+  assert.strictEqual(shortMinorKey("Bass_Am_120"), "A Min");
+  assert.strictEqual(shortMinorKey("Pad F#m"), "F# Min");
+  assert.strictEqual(shortMinorKey("FM_Bass"), null);
+  assert.strictEqual(shortMinorKey("Bass AM 120"), null);
+});
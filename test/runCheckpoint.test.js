@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeCheckpoint, readCheckpoint, clearCheckpoint } = require("../runCheckpoint");
+
+function library(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-checkpoint-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("a checkpoint keeps the run's settings, not its per-run state", (t) => {
+  const root = library(t);
+  const config = { destDir: root, sortByBPM: true, resumeRunId: "old", _cache: {}, _plan: [] };
+  writeCheckpoint(root, { runId: "run-1", phase: "organize", config });
+
+  const cp = readCheckpoint(root);
+  assert.strictEqual(cp.runId, "run-1");
+  assert.strictEqual(cp.phase, "organize");
+  assert.deepStrictEqual(cp.config, { destDir: root, sortByBPM: true });
+});
+
+test("the start time carries over to later phases of the same run only", (t) => {
+  const root = library(t);
+  writeCheckpoint(root, { runId: "run-1", phase: "organize", config: {} });
+  const first = readCheckpoint(root);
+  first.startedAt = "2020-01-01T00:00:00.000Z";
+  fs.writeFileSync(path.join(root, ".samplesort", "checkpoint.json"), JSON.stringify(first));
+
+  writeCheckpoint(root, { runId: "run-1", phase: "post", config: {} });
+  assert.strictEqual(readCheckpoint(root).startedAt, "2020-01-01T00:00:00.000Z");
+  writeCheckpoint(root, { runId: "run-2", phase: "organize", config: {} });
+  assert.notStrictEqual(readCheckpoint(root).startedAt, "2020-01-01T00:00:00.000Z");
+});
+
+test("clearing with a run id leaves another run's checkpoint alone", (t) => {
+  const root = library(t);
+  writeCheckpoint(root, { runId: "run-2", phase: "organize", config: {} });
+  clearCheckpoint(root, "run-1");
+  assert.strictEqual(readCheckpoint(root).runId, "run-2");
+  clearCheckpoint(root, "run-2");
+  assert.strictEqual(readCheckpoint(root), null);
+
+  fs.writeFileSync(path.join(root, ".samplesort", "checkpoint.json"), "{");
+  assert.strictEqual(readCheckpoint(root), null);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const control = require("../runControl");
+
+// Whether a promise has settled after the pending callbacks ran
+async function settled(promise) {
+  let done = false;
+  promise.then(() => { done = true; });
+  await new Promise(r => setImmediate(r));
+  return done;
+}
+
+test("checkpoint waits while paused and logs it once", async () => {
+  control.resetRunControl();
+  const logs = [];
+  const webContents = { send: (_channel, msg) => logs.push(msg) };
+
+  control.requestPause();
+  assert.strictEqual(control.isPaused(), true);
+  const waiting = control.checkpoint(webContents);
+  assert.strictEqual(await settled(waiting), false);
+
+  control.requestResume();
+  assert.strictEqual(await waiting, false);
+  assert.strictEqual(logs.length, 1);
+});
+
+test("a cancel wakes a paused checkpoint and stops the pass", async () => {
+  control.resetRunControl();
+  control.requestPause();
+  const waiting = control.checkpoint();
+  control.requestCancel();
+  assert.strictEqual(await waiting, true);
+  assert.strictEqual(await control.checkpoint(), true);
+});
+
+test("a new pass forgets the cancel, a new run the pause too", async () => {
+  control.resetRunControl();
+  control.requestPause();
+  control.requestCancel();
+
+  control.resetCancel();
+  assert.strictEqual(control.isCancelled(), false);
+  assert.strictEqual(control.isPaused(), true);
+
+  control.resetRunControl();
+  assert.strictEqual(control.isPaused(), false);
+  assert.strictEqual(await control.checkpoint(), false);
+});
+
+test("a control of its own isn't touched by the shared one", async () => {
+  control.resetRunControl();
+  const own = control.createRunControl();
+  control.requestCancel();
+  assert.strictEqual(own.isCancelled(), false);
+  own.requestCancel();
+  control.resetCancel();
+  assert.strictEqual(own.isCancelled(), true);
+  assert.strictEqual(await own.checkpoint(), true);
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openSyncState, clearSyncState } = require("../syncState");
+const { createJournal, undoJournal } = require("../journal");
+
+// A destination and a source folder with one sample
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "samplesort-sync-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dest = path.join(dir, "dest");
+  const src = path.join(dir, "src", "kick.wav");
+  fs.mkdirSync(path.dirname(src), { recursive: true });
+  fs.mkdirSync(dest);
+  fs.writeFileSync(src, "kick");
+  return { dest, src };
+}
+
+test("a recorded source is skipped until it changes", (t) => {
+  const { dest, src } = setup(t);
+  const sync = openSyncState(dest);
+  assert.strictEqual(sync.lookup(src), null);
+
+  sync.record(src, [path.join(dest, "Kick", "kick.wav")], "run-1");
+  assert.deepStrictEqual(sync.lookup(src).dests, [path.join(dest, "Kick", "kick.wav")]);
+
+  fs.writeFileSync(src, "a different kick");
+  assert.strictEqual(sync.lookup(src), null);
+});
+
+test("the record survives a save and is gone after clearing", (t) => {
+  const { dest, src } = setup(t);
+  const sync = openSyncState(dest);
+  sync.record(src, [], "run-1");
+  sync.record(path.join(path.dirname(src), "gone.wav"), [], "run-1"); // nothing to stat: not recorded
+  sync.save();
+
+  const again = openSyncState(dest);
+  assert.strictEqual(again.size, 1);
+  assert.strictEqual(again.lookup(src).runId, "run-1");
+
+  clearSyncState(dest);
+  assert.strictEqual(openSyncState(dest).size, 0);
+});
+
+test("sources of an undone run count as new again", async (t) => {
+  const { dest, src } = setup(t);
+  const journal = createJournal(dest);
+  const sync = openSyncState(dest);
+  sync.record(src, [], journal.id);
+  sync.save();
+
+  await undoJournal(dest, journal.id);
+  assert.strictEqual(openSyncState(dest).lookup(src), null);
+});
+
+test("a corrupt or older state file starts over", (t) => {
+  const { dest, src } = setup(t);
+  const sync = openSyncState(dest);
+  sync.record(src, [], "run-1");
+  sync.save();
+
+  fs.writeFileSync(sync.file, "{ not json");
+  assert.strictEqual(openSyncState(dest).size, 0);
+  fs.writeFileSync(sync.file, JSON.stringify({ version: 0, entries: { [src]: {} } }));
+  assert.strictEqual(openSyncState(dest).size, 0);
+});
@@ -0,0 +1,209 @@
+const fs = require("fs");
+const path = require("path");
+const organizer = require("./organizer");
+const { createRunControl } = require("./runControl");
+
+// Watch-folder mode: listen for file system events under the source roots, wait
+// until new files/archives stop changing (download or copy finished), then
+// organize them in batches. Nothing walks the source libraries: only the
+// paths the events name are looked at (a folder dropped in is walked once),
+// so watching a big library in copy mode stays cheap.
+
+const SETTLE_POLL_MS = 1000; // how often queued files are re-checked
+const SETTLE_MS = 3000; // size/mtime must be unchanged this long
+
+// The BPM, Key and tag passes run in the renderer after each batch; they use
+// these saved settings, not whatever the controls show now
+function postProcessSettings(config) {
+  return {
+    sortByBPM: config.sortByBPM ?? true,
+    BPMThreshold: Number(config.BPMThreshold) || 0,
+    bpmDebug: !!config.bpmDebug,
+    sortByKey: !!config.sortByKey,
+    keyFromParent: config.keyFromParent ?? true,
+    keyNoteOnlyFallback: !!config.keyNoteOnlyFallback,
+    writeTags: !!config.writeTags,
+    extensions: config.extensions || [],
+    ignorePatterns: config.ignorePatterns || [],
+    useAnalysisCache: config.useAnalysisCache ?? true,
+    workerThreads: Math.max(0, Math.floor(Number(config.workerThreads) || 0)),
+    conflictPolicy: config.conflictPolicy || "rename",
+    samplesDir: config._sources?.[0]?.dir || config.samplesDir || "",
+  };
+}
+
+function createWatcher(config, webContents) {
+  const log = (msg, type = "info") => webContents.send("organizing-log", msg, type);
+  const status = (state) => webContents.send("watch-status", { state, queued: readyCount() });
+
+  const pending = new Map(); // path -> { size, mtimeMs, stableSince, ready }
+  const done = new Set(); // processed this session; only a deleted-and-back file counts again
+  const ignored = new Set(); // excluded by ignore rules (counted once, in the next batch's report)
+  const destRoot = path.resolve(config.destDir) + path.sep;
+  let run = null;
+  let timer = null;
+  let watchers = [];
+  let paused = false;
+  let busy = false;
+  let pausedNoticeGiven = false;
+  // Stopping the watch cancels its batch, not a run started with Start
+  const control = createRunControl();
+
+  function readyCount() {
+    let n = 0;
+    for (const s of pending.values()) if (s.ready) n++;
+    return n;
+  }
+
+  function queue(file, st) {
+    if (done.has(file) || pending.has(file)) return;
+    pending.set(file, { size: st.size, mtimeMs: st.mtimeMs, stableSince: Date.now(), ready: false });
+    log(`👀 New file: <b>${path.basename(file)}</b> (waiting for it to finish writing)`, "info");
+  }
+
+  // abs or a folder above it was already excluded (and counted)
+  function isIgnored(root, abs) {
+    for (let p = abs; p.length > root.dir.length; p = path.dirname(p)) {
+      if (ignored.has(p)) return true;
+    }
+    return false;
+  }
+
+  // An event for root/rel: queue the file, or every file of a folder that appeared
+  function noteChange(root, rel) {
+    if (!rel) return;
+    const abs = path.join(root.dir, String(rel));
+    // Destination inside the samples folder: never feed our own output back in
+    if (abs.startsWith(destRoot) || isIgnored(root, abs)) return;
+    if (path.relative(root.dir, abs).split(path.sep).some(organizer.isHiddenName)) return;
+
+    let st;
+    try {
+      st = fs.statSync(abs);
+    } catch {
+      // Moved away or deleted: a file with that name later is new again
+      pending.delete(abs);
+      done.delete(abs);
+      ignored.delete(abs);
+      return;
+    }
+    if (root.ignore?.skip(abs, st.isDirectory())) {
+      ignored.add(abs);
+      return;
+    }
+    if (st.isFile()) {
+      queue(abs, st);
+      return;
+    }
+    if (!st.isDirectory()) return;
+    try {
+      for (const f of organizer.getAllFiles(abs, root.ignore)) {
+        try { queue(f, fs.statSync(f)); } catch { /* gone again */ }
+      }
+    } catch (e) {
+      log(`Watch: could not scan <b>${abs}</b>: ${e.message}`, "error");
+    }
+  }
+
+  // Settle timer: only the queued files are stat'ed
+  function settle() {
+    const now = Date.now();
+    for (const [f, s] of pending) {
+      let st;
+      try { st = fs.statSync(f); } catch { pending.delete(f); continue; }
+      if (s.size !== st.size || s.mtimeMs !== st.mtimeMs) {
+        Object.assign(s, { size: st.size, mtimeMs: st.mtimeMs, stableSince: now, ready: false });
+      } else if (now - s.stableSince >= SETTLE_MS) {
+        s.ready = true;
+      }
+    }
+  }
+
+  async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+      settle();
+      const ready = [...pending.entries()].filter(([, s]) => s.ready).map(([f]) => f);
+      if (!ready.length) return;
+
+      if (paused) {
+        if (!pausedNoticeGiven) {
+          log(`⏸ Watch paused. ${ready.length} file(s) queued.`, "warning");
+          pausedNoticeGiven = true;
+        }
+        status("paused");
+        return;
+      }
+
+      log(`👀 Processing ${ready.length} new file(s)…`, "warning");
+      organizer.newBatch(run);
+      await organizer.processFiles(run, ready);
+      for (const f of ready) {
+        pending.delete(f);
+        done.add(f);
+      }
+      organizer.finishRun(run, { watch: true, settings: postProcessSettings(config) });
+      status("watching");
+    } catch (e) {
+      log(`Watch batch failed: ${e.message}`, "error");
+    } finally {
+      busy = false;
+    }
+  }
+
+  function closeWatchers() {
+    for (const w of watchers) w.close();
+    watchers = [];
+  }
+
+  return {
+    async start() {
+      config._control = control;
+      run = await organizer.beginRun(config, webContents);
+      if (!run) return false;
+
+      // Only files that show up from now on count as new: existing ones raise no events
+      try {
+        for (const root of config._sources) {
+          const w = fs.watch(root.dir, { recursive: true }, (_event, rel) => noteChange(root, rel));
+          w.on("error", (e) => log(`Watch: <b>${root.dir}</b> can no longer be watched: ${e.message}`, "error"));
+          watchers.push(w);
+        }
+      } catch (e) {
+        closeWatchers();
+        log(`Could not watch the Sample Directory: ${e.message}`, "error");
+        return false;
+      }
+
+      const dirs = config._sources.map(root => `<b>${root.dir}</b>`).join(", ");
+      log(`👀 Watching ${dirs} for new files and archives.`, "warning");
+      timer = setInterval(tick, SETTLE_POLL_MS);
+      status("watching");
+      return true;
+    },
+    pause() {
+      paused = true;
+      pausedNoticeGiven = false;
+      log("⏸ Watch paused. New files will be queued.", "warning");
+      status("paused");
+    },
+    resume() {
+      paused = false;
+      log("▶️ Watch resumed.", "warning");
+      status("watching");
+      tick();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      closeWatchers();
+      control.requestCancel();
+      log("⏹ Stopped watching.", "warning");
+      status("stopped");
+    },
+    isPaused: () => paused,
+  };
+}
+
+module.exports = { createWatcher };
@@ -0,0 +1,180 @@
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+// Bounded worker_threads pool for hashing, metadata reads, audio fingerprints,
+// BPM detection, loop detection and instrument guesses, so big dedupe runs use
+// every core and don't block the Electron main process (and its IPC).
+// Tasks queue up once every worker is busy. If a worker can't be started the
+// pool runs tasks inline instead, so callers never have to care.
+
+const WORKER_SCRIPT = path.join(__dirname, "metaWorker.js");
+const MAX_THREADS = 16;
+
+// config.workerThreads: 0 / empty = one less than the number of cores
+function poolSizeFor(config) {
+  const n = Math.floor(Number(config?.workerThreads));
+  if (Number.isFinite(n) && n > 0) return Math.min(n, MAX_THREADS);
+  return Math.max(1, Math.min(os.cpus().length - 1, MAX_THREADS));
+}
+
+function createWorkerPool(script = WORKER_SCRIPT, size = poolSizeFor()) {
+  const idle = [];
+  const all = new Set();
+  const queue = [];
+  let nextId = 1;
+  let broken = false;
+  let everStarted = false;
+  let inline = null;
+
+  function runInline({ type, args, resolve, reject }) {
+    inline ||= require(script).tasks;
+    const fn = inline[type];
+    if (!fn) return reject(new Error(`Unknown task "${type}"`));
+    Promise.resolve().then(() => fn(args)).then(resolve, reject);
+  }
+
+  function spawn() {
+    const w = new Worker(script);
+    w.unref(); // idle workers must not keep the CLI alive
+    w.task = null;
+    w.started = false;
+
+    w.on("message", ({ id, ready, result, error }) => {
+      if (ready) {
+        w.started = everStarted = true;
+        return;
+      }
+      const t = w.task;
+      if (!t || t.id !== id) return;
+      w.task = null;
+      if (error) t.reject(new Error(error));
+      else t.resolve(result);
+      release(w);
+    });
+    w.on("error", (e) => {
+      const t = w.task;
+      w.task = null;
+      drop(w);
+      // Never got going (missing script, packaged app…): fall back to inline
+      if (!w.started && !everStarted) broken = true;
+      if (t) {
+        if (broken) runInline(t);
+        else t.reject(e);
+      }
+      pump();
+    });
+    w.on("exit", () => {
+      if (all.has(w)) {
+        const t = w.task;
+        drop(w);
+        if (t) t.reject(new Error("Worker exited"));
+        pump();
+      }
+    });
+
+    all.add(w);
+    return w;
+  }
+
+  function drop(w) {
+    all.delete(w);
+    const i = idle.indexOf(w);
+    if (i !== -1) idle.splice(i, 1);
+  }
+
+  function release(w) {
+    w.unref();
+    if (all.size > size) {
+      drop(w);
+      w.terminate();
+    } else {
+      idle.push(w);
+    }
+    pump();
+  }
+
+  function pump() {
+    while (queue.length) {
+      if (broken) {
+        runInline(queue.shift());
+        continue;
+      }
+      let w = idle.pop();
+      if (!w && all.size < size) {
+        try {
+          w = spawn();
+        } catch {
+          broken = true;
+          continue;
+        }
+      }
+      if (!w) return;
+      const t = queue.shift();
+      w.task = t;
+      w.ref(); // keep the process alive until the result is back
+      w.postMessage({ id: t.id, type: t.type, args: t.args });
+    }
+  }
+
+  return {
+    run(type, args) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, type, args, resolve, reject });
+        pump();
+      });
+    },
+    resize(n) {
+      size = Math.max(1, n);
+      while (all.size > size && idle.length) {
+        const w = idle.pop();
+        drop(w);
+        w.terminate();
+      }
+      pump();
+    },
+    get size() { return size; },
+    close() {
+      for (const w of all) w.terminate();
+      all.clear();
+      idle.length = 0;
+    },
+  };
+}
+
+// -------------------- Shared pool --------------------
+
+let shared = null;
+
+function sharedPool(config) {
+  const size = poolSizeFor(config);
+  if (!shared) shared = createWorkerPool(WORKER_SCRIPT, size);
+  else if (config && shared.size !== size) shared.resize(size);
+  return shared;
+}
+
+// Size the shared pool from config.workerThreads; returns the pool size
+function configurePool(config) {
+  return sharedPool(config).size;
+}
+
+const hashFile = (file, algo) => sharedPool().run("hash", { file, algo });
+const readFormat = (file) => sharedPool().run("format", { file });
+const audioFingerprint = (file) => sharedPool().run("fingerprint", { file });
+const readTags = (file) => sharedPool().run("tags", { file });
+const classifySample = (file, bpm) => sharedPool().run("sampleType", { file, bpm });
+const guessInstrument = (file) => sharedPool().run("instrument", { file });
+const detectTempo = (file, minDuration) => sharedPool().run("bpm", { file, minDuration });
+
+module.exports = {
+  poolSizeFor,
+  createWorkerPool,
+  configurePool,
+  hashFile,
+  readFormat,
+  audioFingerprint,
+  readTags,
+  classifySample,
+  guessInstrument,
+  detectTempo,
+};